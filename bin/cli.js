@@ -2,6 +2,7 @@
 
 import { Command } from 'commander';
 import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
 
 const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
 const program = new Command();
@@ -9,13 +10,23 @@ const program = new Command();
 program
   .name('openclaw-kb')
   .description('Self-updating vector knowledge base for OpenClaw')
-  .version(pkg.version);
+  .version(pkg.version)
+  .option('--config <path>', 'Project config file (env: KB_CONFIG, default: $KB_DATA_DIR/openclaw-kb.config.json)')
+  .hook('preAction', () => {
+    // Apply before any command reads config getters
+    const { config } = program.opts();
+    if (config) process.env.KB_CONFIG = resolve(config);
+  });
 
 import { register as registerStats } from '../commands/stats.js';
 import { register as registerLatest } from '../commands/latest.js';
 import { register as registerHistory } from '../commands/history.js';
 import { register as registerSince } from '../commands/since.js';
 import { register as registerQuery } from '../commands/query.js';
+import { register as registerShow } from '../commands/show.js';
+import { register as registerContext } from '../commands/context.js';
+import { register as registerSymbol } from '../commands/symbol.js';
+import { register as registerConfigKey } from '../commands/config-key.js';
 import { registerDocs, registerCode, registerSkills, registerVerify } from '../commands/aliases.js';
 
 registerStats(program);
@@ -23,6 +34,10 @@ registerLatest(program);
 registerHistory(program);
 registerSince(program);
 registerQuery(program);
+registerShow(program);
+registerContext(program);
+registerSymbol(program);
+registerConfigKey(program);
 registerDocs(program);
 registerCode(program);
 registerSkills(program);
@@ -40,4 +55,10 @@ registerInstallService(program);
 import { register as registerMcpServe } from '../commands/mcp-serve.js';
 registerMcpServe(program);
 
+import { register as registerConfig } from '../commands/config.js';
+registerConfig(program);
+
+import { register as registerMigrate } from '../commands/migrate.js';
+registerMigrate(program);
+
 program.parse();
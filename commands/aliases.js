@@ -8,6 +8,10 @@ function makeAlias(name, description, filterOpts) {
       .option('--json', 'Output JSON')
       .option('--top <n>', 'Number of results', '8')
       .option('--offline', 'FTS-only keyword search')
+      .option('--rerank', 'Rescore the top fused candidates with a local cross-encoder')
+      .option('--no-collapse', 'Keep overlapping chunks of the same file as separate results')
+      .option('--group-by <field>', 'Keep only the best result per file (field: file)')
+      .option('--mmr [lambda]', 'Diversify results with maximal marginal relevance (lambda 0-1)')
       .action(async (textParts, opts) => {
         await queryHandler({ query: textParts.join(' '), ...filterOpts, ...opts });
       });
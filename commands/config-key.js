@@ -0,0 +1,47 @@
+import { openDb, closeDb, getStats } from '../lib/db.js';
+import { loadConfig } from '../lib/config.js';
+import { lookupConfigKeys, formatConfigKeys, CONFIG_KEY_LIMIT } from '../lib/config-keys.js';
+import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from '../lib/exit-codes.js';
+
+export function register(program) {
+  program
+    .command('config-key <key>')
+    .description('Look up an upstream config key (dotted path or prefix) in the zod schemas: type, values, default, description and docs')
+    .option('--limit <n>', 'Maximum keys to show', String(CONFIG_KEY_LIMIT))
+    .option('--json', 'Output JSON')
+    .action((key, opts) => handler({ key, ...opts }));
+}
+
+export function handler(opts) {
+  const { key, json } = opts;
+  const limit = Number(opts.limit ?? CONFIG_KEY_LIMIT);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    console.error(`Error: --limit must be a positive integer (got "${opts.limit}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    openDb();
+    const result = lookupConfigKeys(key, { limit });
+    if (result.keys.length === 0) {
+      const hint = getStats().configKeys === 0 ? ' (the config key reference is empty; run `openclaw-kb index` with the zod-schema files in a source)' : '';
+      console.error(`No config key matching "${key}"${hint}`);
+      closeDb();
+      process.exit(EXIT_NO_RESULTS);
+    }
+
+    console.log(json ? JSON.stringify({ query: key, ...result }, null, 2) : formatConfigKeys(result));
+    closeDb();
+    process.exit(EXIT_SUCCESS);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+}
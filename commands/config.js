@@ -0,0 +1,71 @@
+import { loadConfig, getKbDataDir, CONFIG_FILE_NAME } from '../lib/config.js';
+import { EXIT_SUCCESS, EXIT_CONFIG_ERROR } from '../lib/exit-codes.js';
+
+export function register(program) {
+  const config = program
+    .command('config')
+    .description('Inspect the project config file');
+
+  config
+    .command('show')
+    .description('Print the effective config and where each value came from')
+    .option('--json', 'Output JSON')
+    .action((opts) => showHandler(opts));
+
+  config
+    .command('validate')
+    .description('Validate the project config file')
+    .action(() => validateHandler());
+}
+
+/**
+ * Flatten the effective config into printable rows.
+ * @param {{ values: object, origins: Record<string, string> }} config
+ * @returns {{ key: string, value: string, origin: string }[]}
+ */
+export function describeConfig(config) {
+  return Object.entries(config.origins).map(([key, origin]) => {
+    const value = key.split('.').reduce((obj, part) => obj[part], config.values);
+    const display = key === 'sources'
+      ? value.map(s => s.name).join(', ')
+      : String(value);
+    return { key, value: display, origin };
+  });
+}
+
+export function showHandler(opts = {}) {
+  const config = loadOrExit();
+
+  if (opts.json) {
+    console.log(JSON.stringify(config, null, 2));
+    process.exit(EXIT_SUCCESS);
+  }
+
+  console.log(`Config file: ${config.path || `none (no ${CONFIG_FILE_NAME} in ${getKbDataDir()})`}\n`);
+  const rows = describeConfig(config);
+  const keyWidth = Math.max(...rows.map(r => r.key.length));
+  const valueWidth = Math.max(...rows.map(r => r.value.length));
+  for (const row of rows) {
+    console.log(`${row.key.padEnd(keyWidth)}  ${row.value.padEnd(valueWidth)}  (${row.origin})`);
+  }
+  process.exit(EXIT_SUCCESS);
+}
+
+export function validateHandler() {
+  const config = loadOrExit();
+  if (config.path) {
+    console.log(`Config OK: ${config.path}`);
+  } else {
+    console.log(`No config file found (looked for ${CONFIG_FILE_NAME} in ${getKbDataDir()}); using defaults`);
+  }
+  process.exit(EXIT_SUCCESS);
+}
+
+function loadOrExit() {
+  try {
+    return loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+}
@@ -0,0 +1,73 @@
+import { openDb, closeDb, getCurrentIndexedRelease } from '../lib/db.js';
+import { getEmbeddingConfigError } from '../lib/embedder.js';
+import { loadConfig } from '../lib/config.js';
+import { parseQueryFilters } from '../lib/query-filters.js';
+import { collectContext, buildContextPack, CONTEXT_BUDGET } from '../lib/context-pack.js';
+import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from '../lib/exit-codes.js';
+
+export function register(program) {
+  program
+    .command('context <question...>')
+    .description('Build a token-budgeted markdown bundle of docs, code and release notes for a prompt')
+    .option('--budget <tokens>', 'Token budget for the bundle', String(CONTEXT_BUDGET))
+    .option('--offline', 'FTS-only keyword search (no API needed)')
+    .option('--json', 'Output JSON (markdown plus the cited sections)')
+    .action(async (questionParts, opts) => {
+      await handler({ question: questionParts.join(' '), ...opts });
+    });
+}
+
+export async function handler(opts) {
+  const { question, offline = false, json } = opts;
+  const budget = Number(opts.budget ?? CONTEXT_BUDGET);
+  if (!Number.isInteger(budget) || budget <= 0) {
+    console.error(`Error: --budget must be a positive integer (got "${opts.budget}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  let searchText;
+  let filters;
+  try {
+    ({ query: searchText, filters } = parseQueryFilters(question));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  if (!searchText) {
+    console.error('Usage: openclaw-kb context "<question>" [--budget <tokens>]');
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    openDb();
+    if (!offline) {
+      const embeddingError = getEmbeddingConfigError();
+      if (embeddingError) {
+        console.error(`${embeddingError} Set it in your environment or use --offline for keyword search.`);
+        process.exit(EXIT_CONFIG_ERROR);
+      }
+    }
+
+    const results = await collectContext(searchText, { offline, filters });
+    const release = getCurrentIndexedRelease()?.tag ?? null;
+    const pack = buildContextPack(searchText, results, { budget, release });
+    closeDb();
+
+    if (json) {
+      console.log(JSON.stringify({ question: searchText, release, ...pack }, null, 2));
+    } else {
+      console.log(pack.markdown);
+    }
+    process.exit(pack.sections.length > 0 ? EXIT_SUCCESS : EXIT_NO_RESULTS);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+}
@@ -6,17 +6,26 @@ import { readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
 import { join, relative } from 'node:path';
 import { createHash } from 'node:crypto';
 import { spawnSync } from 'node:child_process';
-import { getUpstreamRoot, SOURCES, EMBEDDING_PROVIDER } from '../lib/config.js';
-import { chunkFile } from '../lib/chunker.js';
-import { embedAll } from '../lib/embedder.js';
+import { getUpstreamRoot, loadConfig, getConfig, getEmbeddingSettings } from '../lib/config.js';
+import { chunkFile, hashChunkBody, CHUNKER_VERSION } from '../lib/chunker.js';
+import { extractSymbols } from '../lib/symbols.js';
+import { isConfigSchemaPath } from '../lib/config-keys.js';
+import { walkConfigSchemas } from '../lib/zod-walker.js';
+import { embedAll, getEmbeddingConfigError, getEmbeddingUsage, estimateEmbeddingCost, estimateTokens } from '../lib/embedder.js';
 import { extractReleaseMetadata, formatChangelogMarkdown, selectReleaseWindow } from '../lib/release-parser.js';
 import {
   openDb, closeDb,
-  getFileHash, upsertFile, getAllFilePaths, deleteFile,
-  deleteChunksByPath, insertChunks, getStats,
-  insertRelease,
+  getFileRecord, getAllFilePaths, deleteFile,
+  deleteChunksByPath, replaceFileChunks, getStats,
+  insertRelease, getIndexMeta, recordEmbeddingMeta,
+  getChunkHashes, getEmbeddings, replaceConfigKeys,
+  getIndexCheckpoint, setIndexCheckpoint,
+  startIndexRun, updateIndexRun,
 } from '../lib/db.js';
-import { EXIT_CONFIG_ERROR, EXIT_RUNTIME_ERROR } from '../lib/exit-codes.js';
+import { EXIT_CONFIG_ERROR, EXIT_RUNTIME_ERROR, EXIT_BUDGET_EXCEEDED } from '../lib/exit-codes.js';
+
+// Token estimates (~4 chars each) undercount code, so budgets keep a margin
+const BUDGET_ESTIMATE_MARGIN = 1.2;
 
 /**
  * Register the `index` subcommand with commander.
@@ -28,10 +37,18 @@ export function register(program) {
     .description('Index upstream docs and source code into the vector database')
     .option('--force', 'Re-index all files regardless of hash', false)
     .option('--release <tag>', 'Release tag to associate with indexed chunks', '')
+    .option('--resume', 'Continue an interrupted index run without re-embedding finished files', false)
+    .option('--threads <n>', 'Worker threads for the local embedding provider')
+    .option('--max-cost <usd>', 'Stop before embedding would cost more than this (USD)')
+    .option('--max-tokens <n>', 'Stop before embedding more than this many tokens')
     .action(async (opts) => {
       try {
         await handler(opts);
       } catch (err) {
+        if (err.exitCode) {
+          console.error(`Error: ${err.message}`);
+          process.exit(err.exitCode);
+        }
         console.error('Fatal:', err);
         process.exit(EXIT_RUNTIME_ERROR);
       }
@@ -40,14 +57,36 @@ export function register(program) {
 
 /**
  * Main indexing handler.
- * @param {{ force: boolean, release: string }} opts
+ * @param {{ force: boolean, release: string, resume?: boolean, threads?: string, maxCost?: string, maxTokens?: string }} opts
  */
 export async function handler(opts) {
-  const force = opts.force ?? false;
+  const budget = parseBudget(opts);
+
+  // Apply CLI overrides to process.env BEFORE calling getter functions
+  if (opts.threads) {
+    if (!(parseInt(opts.threads, 10) > 0)) {
+      console.error(`Error: --threads must be a positive integer (got "${opts.threads}")`);
+      process.exit(EXIT_CONFIG_ERROR);
+    }
+    process.env.KB_EMBEDDING_THREADS = opts.threads;
+  }
+
+  let force = opts.force ?? false;
+  // --force re-embeds everything; other re-chunking reuses vectors of unchanged chunk text
+  let reuseVectors = !force;
   const releaseFlag = opts.release || '';
 
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
   console.log('OpenClaw Knowledge Base Indexer');
   console.log(`Upstream: ${getUpstreamRoot()}`);
+  if (config.path) console.log(`Config: ${config.path}`);
   console.log(`Force: ${force}\n`);
 
   // Verify upstream source exists
@@ -57,17 +96,49 @@ export async function handler(opts) {
     process.exit(EXIT_CONFIG_ERROR);
   }
 
-  // Only require OPENAI_API_KEY when using the openai provider
-  if (EMBEDDING_PROVIDER === 'openai' && !process.env.OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY not set. Check .env file.');
+  // --force may switch embedding providers: drop vectors built with the old one
+  openDb({ resetEmbeddings: force });
+
+  // Check the provider can run (e.g. OPENAI_API_KEY for api.openai.com)
+  const embeddingError = getEmbeddingConfigError();
+  if (embeddingError) {
+    console.error(`Error: ${embeddingError} Check .env file.`);
     process.exit(EXIT_CONFIG_ERROR);
   }
+  const embedding = getEmbeddingSettings();
+  console.log(`Embeddings: ${embedding.provider}/${embedding.model} (${embedding.dims} dims)${embedding.baseUrl ? ` via ${embedding.baseUrl}` : ''}${embedding.provider === 'local' && embedding.threads > 1 ? `, ${embedding.threads} threads` : ''}`);
+
+  // An unfinished run leaves its checkpoint behind; --resume continues it with the same options
+  const checkpoint = getIndexCheckpoint();
+  const resuming = Boolean(opts.resume && checkpoint);
+  // An unfinished forced run already recorded its provider and chunker, so the
+  // files it never reached stay stale for any run after it, not only --resume
+  const inheritsForce = Boolean(!resuming && !force && checkpoint?.force);
+  if (resuming) {
+    force = checkpoint.force;
+    reuseVectors = checkpoint.reuseVectors;
+    console.log(`Resuming index run started ${new Date(checkpoint.startedAt).toISOString()}`);
+  } else if (opts.resume) {
+    console.log('No interrupted index run to resume, indexing normally');
+  } else if (checkpoint) {
+    console.log(`Previous index run (started ${new Date(checkpoint.startedAt).toISOString()}) did not finish, starting a new one (use --resume to continue it)`);
+    if (inheritsForce) {
+      force = true;
+      reuseVectors = checkpoint.reuseVectors;
+      console.log('It was a forced run, finishing the files it did not reach');
+    }
+  }
 
-  openDb();
+  const indexedChunkerVersion = getIndexMeta().chunker_version;
+  if (!force && indexedChunkerVersion && Number(indexedChunkerVersion) !== CHUNKER_VERSION) {
+    console.log(`Chunker changed (v${indexedChunkerVersion} → v${CHUNKER_VERSION}), re-chunking all files`);
+    force = true;
+  }
+  recordEmbeddingMeta({ chunker_version: CHUNKER_VERSION });
 
   // Determine current release tag
-  let currentRelease = releaseFlag || null;
-  if (!currentRelease) {
+  let currentRelease = resuming ? checkpoint.release : releaseFlag || null;
+  if (!currentRelease && !resuming) {
     // Try to detect from git (try exact tag first, fallback to commit hash)
     try {
       let result = spawnSync('git', ['describe', '--tags', '--exact-match'], {
@@ -98,23 +169,41 @@ export async function handler(opts) {
     } catch {
       console.log('Warning: Could not detect release tag, chunks will not be version-tagged\n');
     }
-  } else {
+  } else if (currentRelease) {
     console.log(`Using release: ${currentRelease}\n`);
   }
 
+  const continuing = resuming || inheritsForce;
+  const startedAt = continuing ? checkpoint.startedAt : Date.now();
+  setIndexCheckpoint({ startedAt, release: currentRelease, force, reuseVectors });
+
+  const run = createRun(currentRelease, budget);
+  if (budget.maxTokens !== null) console.log(`Budget: ${budget.maxTokens} tokens`);
+  if (budget.maxCost !== null) {
+    console.log(estimateEmbeddingCost(1e6) > 0
+      ? `Budget: $${budget.maxCost}`
+      : `Budget: $${budget.maxCost} (no effect, ${embedding.model} has no known price)`);
+  }
+
+  // Under --force, files already rewritten by the run being continued count as current
+  const isUpToDate = (record, hash) =>
+    record?.hash === hash && (!force || (continuing && record.indexedAt >= startedAt));
+
   const allDiscoveredPaths = new Set();
   let totalNew = 0;
   let totalUpdated = 0;
   let totalSkipped = 0;
   let totalDeleted = 0;
+  let totalEmbedded = 0;
+  let totalReused = 0;
 
-  for (const source of SOURCES) {
+  for (const source of config.values.sources) {
     console.log(`\n--- Source: ${source.name} ---`);
     const files = discoverFiles(source);
     console.log(`  Found ${files.length} files`);
 
-    const chunksToEmbed = [];
-    const chunkMetadata = [];
+    const pending = [];
+    const sourceStartTokens = run.tokens();
 
     for (const filePath of files) {
       const relPath = relative(getUpstreamRoot(), filePath);
@@ -122,53 +211,39 @@ export async function handler(opts) {
 
       const content = readFileSync(filePath, 'utf-8');
       const fileHash = createHash('sha256').update(content).digest('hex');
-      const existingHash = getFileHash(relPath);
+      const record = getFileRecord(relPath);
 
-      if (!force && existingHash === fileHash) {
+      if (isUpToDate(record, fileHash)) {
         totalSkipped++;
         continue;
       }
 
-      if (existingHash) {
+      const chunks = chunkFile(content, relPath, source.name);
+      const reusable = reuseVectors && record ? getReusableEmbeddings(relPath, chunks) : new Map();
+
+      if (record) {
         totalUpdated++;
-        deleteChunksByPath(relPath);
       } else {
         totalNew++;
       }
 
-      const chunks = chunkFile(content, relPath, source.name);
-      for (const chunk of chunks) {
-        chunksToEmbed.push(chunk);
-        chunkMetadata.push(chunk);
-      }
-
-      upsertFile(relPath, source.name, fileHash, currentRelease);
+      pending.push({
+        file: { path: relPath, source: source.name, hash: fileHash, indexedRelease: currentRelease, symbols: extractSymbols(content, relPath) },
+        chunks,
+        embeddings: chunks.map(chunk => reusable.get(chunk.contentHash) || null),
+      });
     }
 
-    if (chunksToEmbed.length === 0) {
+    if (pending.length === 0) {
       console.log(`  No changes to embed`);
       continue;
     }
 
-    console.log(`  Embedding ${chunksToEmbed.length} chunks...`);
-    const texts = chunksToEmbed.map(c => c.text);
-    const embeddings = await embedAll(texts, (done, total) => {
-      process.stdout.write(`\r  Embedding: ${done}/${total} chunks`);
-    });
-    console.log('');
-
-    insertChunks(chunkMetadata, embeddings, currentRelease);
-    console.log(`  Inserted ${chunkMetadata.length} chunks`);
-
-    // Validate FTS table was populated
-    const db = openDb();
-    const ftsCount = db.prepare('SELECT COUNT(*) as n FROM chunks_fts').get().n;
-    const chunksCount = db.prepare('SELECT COUNT(*) as n FROM chunks').get().n;
-    if (ftsCount < chunksCount * 0.9) {
-      console.warn(`  WARNING: FTS table has ${ftsCount} rows but chunks has ${chunksCount} rows`);
-    } else {
-      console.log(`  FTS table verified: ${ftsCount} rows`);
-    }
+    const { embedded, reused, chunks } = await embedAndStore(pending, currentRelease, run);
+    totalEmbedded += embedded;
+    totalReused += reused;
+    console.log(`  Inserted ${chunks} chunks`);
+    console.log(`  Usage: ${formatUsage(run.tokens() - sourceStartTokens)}`);
   }
 
   // Clean up files that no longer exist in upstream
@@ -181,11 +256,21 @@ export async function handler(opts) {
     }
   }
 
+  // Schemas reference each other across files, so the key reference is rebuilt whole
+  const schemaPaths = [...allDiscoveredPaths].filter(isConfigSchemaPath).sort();
+  const configKeys = walkConfigSchemas(schemaPaths.map(path => ({ path, content: readFileSync(join(getUpstreamRoot(), path), 'utf-8') })));
+  replaceConfigKeys(configKeys, currentRelease);
+
   // Refresh release metadata before indexing synthetic release chunks
   syncRecentReleaseMetadata();
 
   // Index release changelogs
-  await indexReleaseChangelogs(currentRelease);
+  const releaseCounts = await indexReleaseChangelogs(currentRelease, isUpToDate, reuseVectors, run);
+  totalEmbedded += releaseCounts.embedded;
+  totalReused += releaseCounts.reused;
+
+  setIndexCheckpoint(null);
+  run.save({ status: 'completed', embedded: totalEmbedded, reused: totalReused });
 
   // Summary
   const stats = getStats();
@@ -193,6 +278,9 @@ export async function handler(opts) {
   console.log(`Files: ${stats.files} indexed`);
   console.log(`Chunks: ${stats.chunks} total`);
   console.log(`Changes: ${totalNew} new, ${totalUpdated} updated, ${totalSkipped} skipped, ${totalDeleted} deleted`);
+  console.log(`Embeddings: ${totalEmbedded} embedded, ${totalReused} reused`);
+  console.log(`Config keys: ${configKeys.length} from ${schemaPaths.length} schema files`);
+  console.log(`Usage: ${formatUsage(run.tokens())}`);
   console.log(`Vector search: ${stats.vecLoaded ? 'enabled' : 'DISABLED'}`);
   console.log('Sources:');
   for (const s of stats.sources) {
@@ -231,11 +319,162 @@ function syncRecentReleaseMetadata() {
 
 // --- Private helpers ---
 
+/**
+ * Validate --max-cost / --max-tokens.
+ * @param {{ maxCost?: string, maxTokens?: string }} opts
+ * @returns {{ maxCost: number|null, maxTokens: number|null }}
+ */
+function parseBudget(opts) {
+  const budget = { maxCost: null, maxTokens: null };
+  for (const [key, flag] of [['maxCost', '--max-cost'], ['maxTokens', '--max-tokens']]) {
+    if (opts[key] === undefined) continue;
+    const value = Number(opts[key]);
+    if (!(value > 0)) {
+      console.error(`Error: ${flag} must be a positive number (got "${opts[key]}")`);
+      process.exit(EXIT_CONFIG_ERROR);
+    }
+    budget[key] = value;
+  }
+  return budget;
+}
+
+/**
+ * Track this run's embedding usage in index_runs and enforce its budget.
+ * @param {string|null} release
+ * @param {{ maxCost: number|null, maxTokens: number|null }} budget
+ */
+function createRun(release, budget) {
+  const { provider, model } = getEmbeddingSettings();
+  const id = startIndexRun({ release, provider, model });
+  const startTokens = getEmbeddingUsage().tokens;
+  const tokens = () => getEmbeddingUsage().tokens - startTokens;
+
+  const save = (extra = {}) => {
+    const used = tokens();
+    updateIndexRun(id, { tokens: used, cost: estimateEmbeddingCost(used), ...extra });
+  };
+
+  return {
+    tokens,
+    save,
+    /**
+     * Throw before embedding about `needed` more tokens would exceed the budget.
+     * @param {number} needed - Estimated tokens of the next batch
+     */
+    reserve(needed) {
+      const used = tokens();
+      const projected = used + Math.ceil(needed * BUDGET_ESTIMATE_MARGIN);
+      const limit = budget.maxTokens !== null && projected > budget.maxTokens ? `--max-tokens ${budget.maxTokens}`
+        : budget.maxCost !== null && estimateEmbeddingCost(projected) > budget.maxCost ? `--max-cost ${budget.maxCost}`
+          : null;
+      if (!limit) return;
+
+      save({ status: 'budget' });
+      const err = new Error(
+        `Embedding budget reached (${limit}): this run used ${formatUsage(used)} and the next batch needs ~${needed} more tokens. ` +
+        'Files indexed so far are saved; run `openclaw-kb index --resume` with a higher budget to finish.'
+      );
+      err.exitCode = EXIT_BUDGET_EXCEEDED;
+      throw err;
+    },
+  };
+}
+
+function formatUsage(tokens) {
+  const cost = estimateEmbeddingCost(tokens);
+  return `${tokens.toLocaleString('en-US')} tokens${cost > 0 ? ` (~$${cost.toFixed(4)})` : ''}`;
+}
+
+/**
+ * Vectors of a file's stored chunks whose text survives in the new chunking,
+ * including chunks that only moved lines.
+ * @param {string} relPath
+ * @param {{ contentHash: string }[]} chunks - New chunks for the file
+ * @returns {Map<string, number[]>} - content hash → vector
+ */
+function getReusableEmbeddings(relPath, chunks) {
+  const stored = getChunkHashes(relPath);
+  const ids = new Map();
+  for (const chunk of chunks) {
+    if (stored[chunk.contentHash]) ids.set(chunk.contentHash, stored[chunk.contentHash]);
+  }
+
+  const vectors = getEmbeddings([...ids.values()]);
+  const reusable = new Map();
+  for (const [contentHash, id] of ids) {
+    if (vectors.has(id)) reusable.set(contentHash, vectors.get(id));
+  }
+  return reusable;
+}
+
+/**
+ * Embed the chunks that have no reused vector and store them in batches of
+ * about batchSize × concurrency new vectors, so every request slot has work.
+ * Each batch commits its files' chunks, vectors and hashes together, so an
+ * interrupted run only loses the batch in flight and never marks a file as
+ * indexed without its chunks.
+ * @param {{ file: { path: string, source: string, hash: string, indexedRelease?: string|null }, chunks: object[], embeddings: (number[]|null)[] }[]} pending
+ *   - Files to store; `embeddings` is parallel to `chunks`, null where embedding is needed
+ * @param {string|null} indexedRelease - Release tag for the stored chunks
+ * @param {ReturnType<typeof createRun>} run - Usage tracking and budget of this index run
+ * @returns {Promise<{ embedded: number, reused: number, chunks: number }>}
+ */
+async function embedAndStore(pending, indexedRelease, run) {
+  const countMissing = (p) => p.embeddings.filter(embedding => !embedding).length;
+  const chunkCount = pending.reduce((n, p) => n + p.chunks.length, 0);
+  const missingCount = pending.reduce((n, p) => n + countMissing(p), 0);
+  const reused = chunkCount - missingCount;
+
+  if (missingCount === 0) {
+    console.log(`  Reused ${reused} embeddings, nothing to embed`);
+  } else {
+    console.log(`  Embedding ${missingCount} chunks${reused > 0 ? ` (${reused} reused)` : ''}...`);
+  }
+
+  const { batchSize, concurrency } = getConfig().embedding;
+  const commitSize = batchSize * concurrency;
+  let embedded = 0;
+  let batch = [];
+  let batchMissing = 0;
+
+  for (let i = 0; i < pending.length; i++) {
+    batch.push(pending[i]);
+    batchMissing += countMissing(pending[i]);
+    if (batchMissing < commitSize && i < pending.length - 1) continue;
+
+    const chunks = batch.flatMap(p => p.chunks);
+    const embeddings = batch.flatMap(p => p.embeddings);
+    const missing = [];
+    embeddings.forEach((embedding, j) => { if (!embedding) missing.push(j); });
+
+    if (missing.length > 0) {
+      run.reserve(missing.reduce((sum, j) => sum + estimateTokens(chunks[j].text), 0));
+      const vectors = await embedAll(missing.map(j => chunks[j].text), (done) => {
+        process.stdout.write(`\r  Embedding: ${embedded + done}/${missingCount} chunks`);
+      });
+      missing.forEach((chunkIndex, j) => { embeddings[chunkIndex] = vectors[j]; });
+      embedded += missing.length;
+    }
+
+    replaceFileChunks(batch.map(p => p.file), chunks, embeddings, indexedRelease);
+    run.save();
+    batch = [];
+    batchMissing = 0;
+  }
+
+  if (missingCount > 0) console.log('');
+  return { embedded, reused, chunks: chunkCount };
+}
+
 /**
  * Index release changelogs as searchable chunks
  * @param {string|null} currentRelease - Current release tag
+ * @param {(record: { hash: string, indexedAt: number }|null, hash: string) => boolean} isUpToDate - Whether a stored changelog can be skipped
+ * @param {boolean} reuseVectors - Reuse vectors of unchanged changelog parts
+ * @param {ReturnType<typeof createRun>} run - Usage tracking and budget of this index run
+ * @returns {Promise<{ embedded: number, reused: number }>}
  */
-async function indexReleaseChangelogs(currentRelease = null) {
+async function indexReleaseChangelogs(currentRelease, isUpToDate, reuseVectors, run) {
   const db = openDb();
   const allReleases = db.prepare('SELECT * FROM releases ORDER BY date DESC').all();
   const releases = selectReleaseWindow(allReleases, 3);
@@ -248,8 +487,7 @@ async function indexReleaseChangelogs(currentRelease = null) {
     }
   }
 
-  const chunksToEmbed = [];
-  const chunkMetadata = [];
+  const pending = [];
 
   for (const release of releases) {
     // Parse changelog_json back into object
@@ -261,50 +499,40 @@ async function indexReleaseChangelogs(currentRelease = null) {
     const changelog = formatChangelogMarkdown(metadata);
     const releasePath = `releases/${release.tag}`;
     const releaseHash = createHash('sha256').update(changelog).digest('hex');
-    const existingHash = getFileHash(releasePath);
-
-    if (existingHash === releaseHash) continue;
-
-    deleteChunksByPath(releasePath);
-
-    const parts = splitReleaseChangelog(changelog);
-    for (let index = 0; index < parts.length; index++) {
-      const text = parts[index];
-      const chunkHash = createHash('sha256').update(text).digest('hex');
-      const chunk = {
-        id: `${release.tag}#${index + 1}`,
-        path: releasePath,
-        source: 'releases',
-        startLine: 1,
-        endLine: 1,
-        text,
-        hash: chunkHash,
-        contentType: 'docs',
-        language: 'markdown',
-        category: 'release-notes'
-      };
-      chunksToEmbed.push(chunk.text);
-      chunkMetadata.push(chunk);
-    }
-
-    upsertFile(releasePath, 'releases', releaseHash);
+    const record = getFileRecord(releasePath);
+
+    if (isUpToDate(record, releaseHash)) continue;
+
+    const chunks = splitReleaseChangelog(changelog).map((text, index) => ({
+      id: `${release.tag}#${index + 1}`,
+      path: releasePath,
+      source: 'releases',
+      startLine: 1,
+      endLine: 1,
+      text,
+      hash: createHash('sha256').update(text).digest('hex'),
+      contentHash: hashChunkBody(text),
+      contentType: 'docs',
+      language: 'markdown',
+      category: 'release-notes'
+    }));
+    const reusable = reuseVectors && record ? getReusableEmbeddings(releasePath, chunks) : new Map();
+
+    pending.push({
+      file: { path: releasePath, source: 'releases', hash: releaseHash },
+      chunks,
+      embeddings: chunks.map(chunk => reusable.get(chunk.contentHash) || null),
+    });
   }
 
-  if (chunksToEmbed.length === 0) return;
+  if (pending.length === 0) return { embedded: 0, reused: 0 };
 
   console.log(`\n--- Indexing Release Changelogs ---`);
-  console.log(`  Found ${chunksToEmbed.length} release changelog chunks to refresh`);
-
-  if (chunksToEmbed.length > 0) {
-    console.log(`  Embedding ${chunksToEmbed.length} changelog chunks...`);
-    const embeddings = await embedAll(chunksToEmbed, (done, total) => {
-      process.stdout.write(`\r  Embedding: ${done}/${total} chunks`);
-    });
-    console.log('');
+  console.log(`  Found ${pending.reduce((n, p) => n + p.chunks.length, 0)} release changelog chunks to refresh`);
 
-    insertChunks(chunkMetadata, embeddings, currentRelease);
-    console.log(`  Indexed ${chunkMetadata.length} release changelogs`);
-  }
+  const { embedded, reused, chunks } = await embedAndStore(pending, currentRelease, run);
+  console.log(`  Indexed ${chunks} release changelogs`);
+  return { embedded, reused };
 }
 
 function splitReleaseChangelog(markdown, maxChars = 5500) {
@@ -2,10 +2,28 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
 import { readFileSync } from 'node:fs';
-import { openDb, hybridSearch, searchFTS, getStats, getCurrentIndexedRelease, getReleaseHistory, getChunksSinceRelease } from '../lib/db.js';
-import { embedQuery } from '../lib/embedder.js';
+import { openDb, hybridSearch, searchFTS, explainSearch, getStats, getCurrentIndexedRelease, getReleaseHistory, getChunksSinceRelease } from '../lib/db.js';
+import { embedQuery, getEmbeddingConfigError } from '../lib/embedder.js';
 import { expandQuery } from '../lib/synonyms.js';
-import { EMBEDDING_PROVIDER } from '../lib/config.js';
+import { loadConfig, getConfig, SEARCH_FUSION_MODES } from '../lib/config.js';
+import { rerankOrFallback } from '../lib/reranker.js';
+import { postProcessResults, POST_PROCESS_POOL_FACTOR } from '../lib/search-results.js';
+import { parseQueryFilters, mergeFilters, SearchFiltersSchema } from '../lib/query-filters.js';
+import { EXIT_CONFIG_ERROR, EXIT_RUNTIME_ERROR } from '../lib/exit-codes.js';
+import { parseLocation, loadFileView, loadChunkView, formatFileView } from '../lib/file-view.js';
+import { collectContext, buildContextPack, CONTEXT_BUDGET } from '../lib/context-pack.js';
+import { lookupSymbols, loadSymbolDefinition, formatSymbolDefinitions, SYMBOL_MATCH_MODES, SYMBOL_LIMIT } from '../lib/symbols.js';
+import { lookupConfigKeys, formatConfigKeys, CONFIG_KEY_LIMIT } from '../lib/config-keys.js';
+import { serializeResult, summarizeExplanation } from '../lib/result-fields.js';
+
+const RERANK_DESCRIPTION = 'Rescore the top fused candidates with a local cross-encoder (falls back to fused order if unavailable)';
+
+/** Result post-processing params shared by every search tool */
+const POST_PROCESS_PARAMS = {
+  collapse: z.boolean().optional().describe('Merge overlapping chunks of the same file into one hit (default: search.collapseOverlaps)'),
+  groupBy: z.enum(['file']).optional().describe('Keep only the best hit per file'),
+  mmr: z.number().min(0).max(1).optional().describe('Diversify results with maximal marginal relevance; lambda 1 = relevance only, 0 = diversity only'),
+};
 
 const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
 
@@ -17,12 +35,20 @@ export function register(program) {
 }
 
 export async function handler() {
-  // Open DB once at startup — kept open for server lifetime
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  // Open DB once at startup — kept open for server lifetime.
+  // Also adopts the embedding provider recorded in the DB, or refuses a mismatch.
   try {
     openDb();
   } catch (err) {
     console.error(`Failed to open database: ${err.message}`);
-    process.exit(1);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
   }
 
   const server = new McpServer({
@@ -36,13 +62,23 @@ export async function handler() {
     'search',
     'Hybrid search across the OpenClaw knowledge base. Combines vector similarity + keyword matching.',
     {
-      query: z.string().describe('Search text'),
+      query: z.string().describe('Search text; may include inline filters like path:src/gateway lang:swift -path:extensions'),
       mode: z.enum(['docs', 'code', 'skills', 'ios', 'macos', 'shared', 'releases', 'verify']).optional().describe('Content filter'),
       top: z.number().default(8).describe('Max results'),
       offline: z.boolean().default(false).describe('FTS-only keyword search, no API key needed'),
+      vectorWeight: z.number().nonnegative().optional().describe('Weight of vector results in fusion'),
+      textWeight: z.number().nonnegative().optional().describe('Weight of keyword results in fusion'),
+      fusion: z.enum(SEARCH_FUSION_MODES).optional().describe('rrf (rank-based) or score (normalized scores)'),
+      filters: SearchFiltersSchema.optional().describe('Structured filters (path prefixes/globs, lang, type, source, release like ">=v2026.2.1", exclude); override inline filters of the same key'),
+      rerank: z.boolean().default(false).describe(RERANK_DESCRIPTION),
+      explain: z.boolean().default(false).describe('Include the expanded query, FTS expression, per-hit ranks, filtered candidates and timings'),
+      ...POST_PROCESS_PARAMS,
     },
-    async ({ query, mode, top, offline }) => {
-      return await doSearch(query, mode, top, offline);
+    async ({ query, mode, top, offline, vectorWeight, textWeight, fusion, filters, rerank, explain, collapse, groupBy, mmr }) => {
+      const fusionOptions = Object.fromEntries(
+        Object.entries({ vectorWeight, textWeight, fusion }).filter(([, value]) => value !== undefined)
+      );
+      return await doSearch(query, mode, top, { offline, fusionOptions, filters, rerank, explain, postProcess: { collapse, groupBy, mmr } });
     }
   );
 
@@ -52,9 +88,11 @@ export async function handler() {
     {
       query: z.string().describe('Search text'),
       top: z.number().default(8).describe('Max results'),
+      rerank: z.boolean().default(false).describe(RERANK_DESCRIPTION),
+      ...POST_PROCESS_PARAMS,
     },
-    async ({ query, top }) => {
-      return await doSearch(query, 'docs', top, false);
+    async ({ query, top, rerank, collapse, groupBy, mmr }) => {
+      return await doSearch(query, 'docs', top, { rerank, postProcess: { collapse, groupBy, mmr } });
     }
   );
 
@@ -64,9 +102,11 @@ export async function handler() {
     {
       query: z.string().describe('Search text'),
       top: z.number().default(8).describe('Max results'),
+      rerank: z.boolean().default(false).describe(RERANK_DESCRIPTION),
+      ...POST_PROCESS_PARAMS,
     },
-    async ({ query, top }) => {
-      return await doSearch(query, 'code', top, false);
+    async ({ query, top, rerank, collapse, groupBy, mmr }) => {
+      return await doSearch(query, 'code', top, { rerank, postProcess: { collapse, groupBy, mmr } });
     }
   );
 
@@ -76,9 +116,11 @@ export async function handler() {
     {
       query: z.string().describe('Search text'),
       top: z.number().default(8).describe('Max results'),
+      rerank: z.boolean().default(false).describe(RERANK_DESCRIPTION),
+      ...POST_PROCESS_PARAMS,
     },
-    async ({ query, top }) => {
-      return await doSearch(query, 'skills', top, false);
+    async ({ query, top, rerank, collapse, groupBy, mmr }) => {
+      return await doSearch(query, 'skills', top, { rerank, postProcess: { collapse, groupBy, mmr } });
     }
   );
 
@@ -88,9 +130,122 @@ export async function handler() {
     {
       query: z.string().describe('Search text'),
       top: z.number().default(8).describe('Max results'),
+      rerank: z.boolean().default(false).describe(RERANK_DESCRIPTION),
+      ...POST_PROCESS_PARAMS,
+    },
+    async ({ query, top, rerank, collapse, groupBy, mmr }) => {
+      return await doSearch(query, 'ios', top, { rerank, postProcess: { collapse, groupBy, mmr } });
+    }
+  );
+
+  server.tool(
+    'build_context',
+    'Build one token-budgeted markdown bundle of the most relevant docs, code and release notes for a question, with file/line citations. Use instead of several searches when preparing context for a prompt.',
+    {
+      question: z.string().describe('Question or topic; may include inline filters like lang:swift'),
+      budget: z.number().int().positive().default(CONTEXT_BUDGET).describe('Token budget for the bundle'),
+      offline: z.boolean().default(false).describe('FTS-only keyword search, no API key needed'),
+      filters: SearchFiltersSchema.optional().describe('Structured filters applied to every scope; override inline filters of the same key'),
+    },
+    async ({ question, budget, offline, filters: structuredFilters }) => {
+      let searchText;
+      let filters;
+      try {
+        const parsed = parseQueryFilters(question);
+        searchText = parsed.query;
+        filters = mergeFilters(parsed.filters, structuredFilters);
+      } catch (err) {
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
+      if (!searchText) {
+        return { content: [{ type: 'text', text: 'Filters need a question too, e.g. "keychain access lang:swift".' }], isError: true };
+      }
+      if (!offline) {
+        const embeddingError = getEmbeddingConfigError();
+        if (embeddingError) {
+          return { content: [{ type: 'text', text: `${embeddingError} Use offline: true for keyword-only search.` }], isError: true };
+        }
+      }
+
+      const results = await collectContext(searchText, { offline, filters });
+      const pack = buildContextPack(searchText, results, { budget, release: getCurrentIndexedRelease()?.tag ?? null });
+      if (pack.sections.length === 0) {
+        return { content: [{ type: 'text', text: 'No results found.' }] };
+      }
+      return { content: [{ type: 'text', text: pack.markdown }] };
+    }
+  );
+
+  // --- File tools ---
+
+  server.tool(
+    'get_file',
+    'Read an indexed file or line range with line numbers, e.g. to see the full context of a search hit. Reads the upstream checkout when available, otherwise rebuilds the text from the index.',
+    {
+      path: z.string().optional().describe('Indexed path, optionally with a range: src/gateway/auth.ts:40-80'),
+      chunkId: z.string().optional().describe('Show the lines of this chunk instead (the id field of search results)'),
+      context: z.number().int().nonnegative().default(0).describe('Extra lines before and after the range'),
     },
-    async ({ query, top }) => {
-      return await doSearch(query, 'ios', top, false);
+    async ({ path, chunkId, context }) => {
+      if (!path === !chunkId) {
+        return { content: [{ type: 'text', text: 'Pass either path or chunkId.' }], isError: true };
+      }
+      try {
+        let view;
+        if (chunkId) {
+          view = loadChunkView(chunkId, { context });
+        } else {
+          const location = parseLocation(path);
+          view = loadFileView(location.path, { startLine: location.startLine, endLine: location.endLine, context });
+        }
+        const text = formatFileView(view);
+        return { content: [{ type: 'text', text: view.warning ? `Warning: ${view.warning}\n${text}` : text }] };
+      } catch (err) {
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
+    }
+  );
+
+  server.tool(
+    'get_symbol',
+    'Find an exported TypeScript/JavaScript or Swift declaration by name (exact, then prefix, then fuzzy) and return its definition with line numbers and chunk id. Needs no embeddings.',
+    {
+      name: z.string().describe('Symbol name, e.g. TtsProviderSchema or SettingsView'),
+      match: z.enum(SYMBOL_MATCH_MODES).optional().describe('Only this match mode'),
+      kind: z.string().optional().describe('Only symbols of this kind: function, class, interface, type, const, struct, protocol, ...'),
+      limit: z.number().int().positive().max(20).default(SYMBOL_LIMIT).describe('Maximum definitions'),
+    },
+    async ({ name, match, kind, limit }) => {
+      try {
+        const result = lookupSymbols(name, { match, kind, limit });
+        if (result.symbols.length === 0) {
+          return { content: [{ type: 'text', text: `No symbol matching "${name}".` }] };
+        }
+        const found = { match: result.match, symbols: result.symbols.map(loadSymbolDefinition) };
+        return { content: [{ type: 'text', text: formatSymbolDefinitions(found) }] };
+      } catch (err) {
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
+    }
+  );
+
+  server.tool(
+    'get_config_key',
+    'Look up an OpenClaw config key by dotted path (e.g. agents.defaults.sandbox.mode) or prefix, as read from the upstream zod schemas: type, allowed values, default, description, where it is declared and which docs mention it. Needs no embeddings.',
+    {
+      key: z.string().describe('Dotted key or prefix; `*` and `[]` stand for record entries and array items'),
+      limit: z.number().int().positive().max(200).default(CONFIG_KEY_LIMIT).describe('Maximum keys'),
+    },
+    async ({ key, limit }) => {
+      try {
+        const result = lookupConfigKeys(key, { limit });
+        if (result.keys.length === 0) {
+          return { content: [{ type: 'text', text: `No config key matching "${key}".` }] };
+        }
+        return { content: [{ type: 'text', text: formatConfigKeys(result) }] };
+      } catch (err) {
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
     }
   );
 
@@ -179,7 +334,20 @@ export async function handler() {
 
 // --- Shared search logic ---
 
-async function doSearch(query, mode, top, offline) {
+async function doSearch(rawQuery, mode, top, { offline = false, fusionOptions = {}, filters: structuredFilters = null, rerank = false, explain = false, postProcess = {} } = {}) {
+  let query;
+  let filters;
+  try {
+    const parsed = parseQueryFilters(rawQuery);
+    query = parsed.query;
+    filters = mergeFilters(parsed.filters, structuredFilters);
+  } catch (err) {
+    return { content: [{ type: 'text', text: err.message }], isError: true };
+  }
+  if (!query) {
+    return { content: [{ type: 'text', text: 'Filters need search text too, e.g. "keychain lang:swift".' }], isError: true };
+  }
+
   let sourceFilter = null;
   let contentTypeFilter = null;
 
@@ -192,42 +360,66 @@ async function doSearch(query, mode, top, offline) {
   else if (mode === 'releases') sourceFilter = 'releases';
 
   const expandedQuery = expandQuery(query);
+  const { rerankModel, rerankCandidates, collapseOverlaps } = getConfig().search;
+  const collapse = postProcess.collapse ?? collapseOverlaps;
+  const groupBy = postProcess.groupBy ?? null;
+  const mmr = postProcess.mmr ?? null;
+  const postProcessing = collapse || groupBy || mmr !== null;
+  const poolLimit = postProcessing ? top * POST_PROCESS_POOL_FACTOR : top;
+  const searchLimit = rerank ? Math.max(poolLimit, rerankCandidates) : poolLimit;
 
   let results;
+  let explanation = null;
   if (offline) {
-    results = searchFTS(expandedQuery, top, sourceFilter, contentTypeFilter);
+    if (explain) {
+      explanation = explainSearch(null, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, {}, filters);
+      results = explanation.results;
+    } else {
+      results = searchFTS(expandedQuery, searchLimit, sourceFilter, contentTypeFilter, filters);
+    }
   } else {
-    if (EMBEDDING_PROVIDER === 'openai' && !process.env.OPENAI_API_KEY) {
+    const embeddingError = getEmbeddingConfigError();
+    if (embeddingError) {
       return {
-        content: [{ type: 'text', text: 'OPENAI_API_KEY required for vector search. Use offline: true for keyword-only search.' }],
+        content: [{ type: 'text', text: `${embeddingError} Use offline: true for keyword-only search.` }],
         isError: true,
       };
     }
+    const embedStart = performance.now();
     const queryEmbedding = await embedQuery(expandedQuery);
-    results = hybridSearch(queryEmbedding, expandedQuery, top, sourceFilter, contentTypeFilter);
+    const embeddingMs = performance.now() - embedStart;
+    if (explain) {
+      explanation = explainSearch(queryEmbedding, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, fusionOptions, filters);
+      explanation.timings.embeddingMs = embeddingMs;
+      results = explanation.results;
+    } else {
+      results = hybridSearch(queryEmbedding, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, fusionOptions, filters);
+    }
   }
+  if (explanation) explanation.expandedQuery = expandedQuery;
+
+  if (rerank) {
+    const rerankStart = performance.now();
+    const { results: reranked, warning } = await rerankOrFallback(query, results, rerankModel);
+    if (warning) console.error(warning);
+    if (explanation) explanation.timings.rerankMs = performance.now() - rerankStart;
+    results = reranked;
+  }
+  results = postProcessResults(results, { limit: top, collapse, groupBy, mmr });
 
   // Verify mode: append code results after docs
   if (mode === 'verify' && results.length > 0 && !offline) {
     const codeEmbedding = await embedQuery(expandedQuery);
-    const codeResults = hybridSearch(codeEmbedding, expandedQuery, 5, null, 'code');
-    results = [...results, ...codeResults];
+    const codePool = hybridSearch(codeEmbedding, expandedQuery, postProcessing ? 5 * POST_PROCESS_POOL_FACTOR : 5, null, 'code', fusionOptions, filters);
+    results = [...results, ...postProcessResults(codePool, { limit: 5, collapse, groupBy, mmr })];
   }
 
-  if (results.length === 0) {
+  if (results.length === 0 && !explanation) {
     return { content: [{ type: 'text', text: 'No results found.' }] };
   }
 
-  const formatted = results.map(r => ({
-    score: Math.round(r.score * 1000) / 1000,
-    path: r.path,
-    lines: `${r.startLine}-${r.endLine}`,
-    source: r.source,
-    contentType: r.contentType,
-    language: r.language,
-    category: r.category,
-    snippet: r.text.slice(0, 800),
-  }));
-
-  return { content: [{ type: 'text', text: JSON.stringify(formatted, null, 2) }] };
+  const formatted = results.map(serializeResult);
+
+  const payload = explanation ? { explain: summarizeExplanation(explanation), results: formatted } : formatted;
+  return { content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }] };
 }
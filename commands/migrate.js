@@ -0,0 +1,34 @@
+import { getDbPath } from '../lib/config.js';
+import { migrateDb } from '../lib/db.js';
+import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR } from '../lib/exit-codes.js';
+
+export function register(program) {
+  program
+    .command('migrate')
+    .description('Upgrade the database schema to the version this openclaw-kb expects')
+    .option('--dry-run', 'Show pending migrations without applying them', false)
+    .action((opts) => handler(opts));
+}
+
+export function handler(opts = {}) {
+  const dryRun = opts.dryRun ?? false;
+
+  try {
+    const plan = migrateDb({ dryRun });
+    console.log(`Database: ${getDbPath()}`);
+    console.log(`Schema version: ${plan.from} (latest: ${plan.to})`);
+
+    if (plan.pending.length === 0) {
+      console.log('Schema is up to date');
+    } else {
+      console.log(dryRun ? '\nPending migrations:' : '\nApplied migrations:');
+      for (const m of plan.pending) {
+        console.log(`  ${String(m.version).padStart(3)}  ${m.name}`);
+      }
+    }
+    process.exit(EXIT_SUCCESS);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+}
@@ -1,30 +1,82 @@
-import { openDb, closeDb, hybridSearch, searchFTS } from '../lib/db.js';
-import { embedQuery } from '../lib/embedder.js';
+import { openDb, closeDb, hybridSearch, searchFTS, explainSearch } from '../lib/db.js';
+import { embedQuery, getEmbeddingConfigError } from '../lib/embedder.js';
 import { expandQuery } from '../lib/synonyms.js';
-import { EMBEDDING_PROVIDER } from '../lib/config.js';
+import { loadConfig, getConfig, SEARCH_FUSION_MODES } from '../lib/config.js';
+import { rerankOrFallback } from '../lib/reranker.js';
+import { parseQueryFilters, describeFilters } from '../lib/query-filters.js';
+import { postProcessResults, POST_PROCESS_POOL_FACTOR } from '../lib/search-results.js';
+import { serializeResult, summarizeExplanation } from '../lib/result-fields.js';
+import { chunkBody } from '../lib/chunker.js';
 import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from '../lib/exit-codes.js';
 
-function serializeResult(r) {
-  return {
-    score: Math.round(r.score * 1000) / 1000,
-    path: r.path,
-    lines: `${r.startLine}-${r.endLine}`,
-    source: r.source,
-    contentType: r.contentType,
-    language: r.language,
-    category: r.category,
-    snippet: r.text.slice(0, 800),
-  };
+/**
+ * `path:start-end`, prefixed with the chunk's declaration when known:
+ * `TtsProviderSchema (const) in src/config/zod-schema.ts:10-40`.
+ */
+export function formatLocation(r) {
+  const location = `${r.path}:${r.startLine}-${r.endLine}`;
+  if (r.symbolName) return `${r.symbolName}${r.symbolKind ? ` (${r.symbolKind})` : ''} in ${location}`;
+  return r.section ? `${r.section} in ${location}` : location;
 }
 
-export function formatJsonOutput(query, results, relatedCode = []) {
+export function formatJsonOutput(query, results, relatedCode = [], explanation = null) {
   return JSON.stringify({
     query,
+    ...(explanation ? { explain: summarizeExplanation(explanation) } : {}),
     results: results.map(serializeResult),
     ...(relatedCode.length > 0 ? { relatedCode: relatedCode.map(serializeResult) } : {}),
   }, null, 2);
 }
 
+function printExplanation(summary) {
+  console.log(`Expanded query: ${summary.expandedQuery}`);
+  console.log(`FTS MATCH: ${summary.ftsMatch ?? '(no searchable terms)'}`);
+  if (summary.ftsWholeIdentifiers) console.log(`Whole-identifier boost: ${summary.ftsWholeIdentifiers}`);
+  if (summary.filters.length > 0) console.log(`Filters: ${summary.filters.join(' ')}`);
+  if (summary.fusion) {
+    const { fusion, vectorWeight, textWeight, rrfK } = summary.fusion;
+    console.log(`Fusion: ${fusion} (vector ${vectorWeight}, text ${textWeight}${fusion === 'rrf' ? `, k=${rrfK}` : ''})`);
+  }
+  const { embeddingMs, vectorMs, ftsMs, rerankMs } = summary.timings;
+  const timings = [
+    ...(embeddingMs !== null ? [`embedding ${embeddingMs}ms`] : []),
+    ...(vectorMs !== null ? [`vector ${vectorMs}ms`] : []),
+    `FTS ${ftsMs}ms`,
+    ...(rerankMs !== null ? [`rerank ${rerankMs}ms`] : []),
+  ];
+  console.log(`Timings: ${timings.join(', ')}`);
+  if (summary.filteredOut.length > 0) {
+    console.log(`Filtered out: ${summary.filteredOut.length} candidate${summary.filteredOut.length === 1 ? '' : 's'}`);
+    for (const r of summary.filteredOut) {
+      console.log(`  ${r.path}:${r.lines} (${r.source}, ${r.contentType}) ${formatRanks(r)} — ${r.removedBy.join(', ')}`);
+    }
+  }
+  console.log('');
+}
+
+function formatRanks({ vectorRank, textRank }) {
+  return [
+    vectorRank ? `vector #${vectorRank}` : 'no vector hit',
+    textRank ? `text #${textRank}` : 'no text hit',
+  ].join(', ');
+}
+
+function formatHitExplanation(explain) {
+  const parts = [];
+  if (explain.vectorRank) parts.push(`vector #${explain.vectorRank} (distance ${explain.distance.toFixed(4)})`);
+  else if (explain.vectorContribution !== null) parts.push('no vector hit');
+  if (explain.textRank) {
+    const boost = explain.textBoost > 1 ? `, ×${explain.textBoost} whole identifier` : '';
+    parts.push(`text #${explain.textRank} (bm25 ${explain.bm25.toFixed(3)}${boost})`);
+  }
+  else parts.push('no text hit');
+  if (explain.vectorContribution !== null) {
+    parts.push(`fused ${explain.vectorContribution.toFixed(4)} + ${explain.textContribution.toFixed(4)}`);
+  }
+  if (explain.fusedRank) parts.push(`reranked from #${explain.fusedRank}`);
+  return parts.join(', ');
+}
+
 export function register(program) {
   program
     .command('query <text...>')
@@ -40,25 +92,121 @@ export function register(program) {
     .option('--json', 'Output JSON')
     .option('--top <n>', 'Number of results', '8')
     .option('--offline', 'FTS-only keyword search (no API needed)')
+    .option('--vector-weight <w>', 'Weight of vector results in fusion (default: search.vectorWeight)')
+    .option('--text-weight <w>', 'Weight of keyword results in fusion (default: search.textWeight)')
+    .option('--fusion <mode>', `How vector and keyword results are fused: ${SEARCH_FUSION_MODES.join(', ')} (default: search.fusion)`)
+    .option('--rerank', 'Rescore the top fused candidates with a local cross-encoder')
+    .option('--rerank-candidates <n>', 'Candidates to rerank (default: search.rerankCandidates)')
+    .option('--no-collapse', 'Keep overlapping chunks of the same file as separate results')
+    .option('--group-by <field>', 'Keep only the best result per file (field: file)')
+    .option('--mmr [lambda]', 'Diversify results with maximal marginal relevance (lambda 0-1, default: search.mmrLambda)')
+    .option('--explain', 'Show the expanded query, FTS expression, per-hit ranks, filtered candidates and timings')
     .action(async (textParts, opts) => {
       await handler({ query: textParts.join(' '), ...opts });
     });
 }
 
+/**
+ * Result post-processing options from CLI flags, defaulting to the `search` config.
+ * @returns {{ collapse: boolean, groupBy: 'file'|null, mmr: number|null }}
+ */
+function parsePostProcessOptions(opts) {
+  const { collapseOverlaps, mmrLambda } = getConfig().search;
+  if (opts.groupBy !== undefined && opts.groupBy !== 'file') {
+    console.error(`Error: --group-by only supports "file" (got "${opts.groupBy}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  let mmr = null;
+  if (opts.mmr !== undefined) {
+    mmr = opts.mmr === true ? mmrLambda : Number(opts.mmr);
+    if (!(mmr >= 0 && mmr <= 1)) {
+      console.error(`Error: --mmr must be between 0 and 1 (got "${opts.mmr}")`);
+      process.exit(EXIT_CONFIG_ERROR);
+    }
+  }
+  return {
+    collapse: opts.collapse === false ? false : collapseOverlaps,
+    groupBy: opts.groupBy ?? null,
+    mmr,
+  };
+}
+
+function parseRerankCandidates(opts) {
+  if (opts.rerankCandidates === undefined) return getConfig().search.rerankCandidates;
+  const value = Number(opts.rerankCandidates);
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`Error: --rerank-candidates must be a positive integer (got "${opts.rerankCandidates}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  return value;
+}
+
+/**
+ * Per-query overrides of the `search` config from CLI flags.
+ * @returns {{ vectorWeight?: number, textWeight?: number, fusion?: string }}
+ */
+function parseFusionOptions(opts) {
+  const fusionOptions = {};
+  for (const [key, flag] of [['vectorWeight', '--vector-weight'], ['textWeight', '--text-weight']]) {
+    if (opts[key] === undefined) continue;
+    const value = Number(opts[key]);
+    if (!(value >= 0)) {
+      console.error(`Error: ${flag} must be a non-negative number (got "${opts[key]}")`);
+      process.exit(EXIT_CONFIG_ERROR);
+    }
+    fusionOptions[key] = value;
+  }
+  if (opts.fusion !== undefined) {
+    if (!SEARCH_FUSION_MODES.includes(opts.fusion)) {
+      console.error(`Error: --fusion must be one of ${SEARCH_FUSION_MODES.join(', ')} (got "${opts.fusion}")`);
+      process.exit(EXIT_CONFIG_ERROR);
+    }
+    fusionOptions.fusion = opts.fusion;
+  }
+  return fusionOptions;
+}
+
 export async function handler(opts) {
   const {
     query, docs, code, skills, ios, macos, shared, releases,
-    verify, json, top = '8', offline = false,
+    verify, json, top = '8', offline = false, explain = false, rerank = false,
   } = opts;
 
   if (!query || !query.trim()) {
     console.error('Usage: openclaw-kb query <text>');
     process.exit(EXIT_CONFIG_ERROR);
   }
+  const fusionOptions = parseFusionOptions(opts);
+
+  let searchText;
+  let filters;
+  try {
+    ({ query: searchText, filters } = parseQueryFilters(query));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  if (!searchText) {
+    console.error('Error: filters need search text too, e.g. "keychain lang:swift"');
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  const rerankCandidates = rerank ? parseRerankCandidates(opts) : null;
+  const postProcess = parsePostProcessOptions(opts);
 
   try {
     openDb();
     const limit = parseInt(top, 10) || 8;
+    // Post-processing merges or drops hits, and reranking rescores a wider pool; both keep the best `limit`
+    const postProcessing = postProcess.collapse || postProcess.groupBy || postProcess.mmr !== null;
+    const poolLimit = postProcessing ? limit * POST_PROCESS_POOL_FACTOR : limit;
+    const searchLimit = rerank ? Math.max(poolLimit, rerankCandidates) : poolLimit;
 
     // Determine filters
     let sourceFilter = null;
@@ -73,30 +221,57 @@ export async function handler(opts) {
     else if (code) contentTypeFilter = 'code';
     else if (skills) contentTypeFilter = 'skill';
 
-    const expandedQuery = expandQuery(query);
+    const expandedQuery = expandQuery(searchText);
 
     let results;
+    let explanation = null;
     if (offline) {
-      results = searchFTS(expandedQuery, limit, sourceFilter, contentTypeFilter);
+      if (explain) {
+        explanation = explainSearch(null, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, {}, filters);
+        results = explanation.results;
+      } else {
+        results = searchFTS(expandedQuery, searchLimit, sourceFilter, contentTypeFilter, filters);
+      }
     } else {
-      if (EMBEDDING_PROVIDER === 'openai' && !process.env.OPENAI_API_KEY) {
-        console.error('OPENAI_API_KEY is required. Set it in your environment or use --offline for keyword search.');
+      const embeddingError = getEmbeddingConfigError();
+      if (embeddingError) {
+        console.error(`${embeddingError} Set it in your environment or use --offline for keyword search.`);
         process.exit(EXIT_CONFIG_ERROR);
       }
+      const embedStart = performance.now();
       const queryEmbedding = await embedQuery(expandedQuery);
-      results = hybridSearch(queryEmbedding, expandedQuery, limit, sourceFilter, contentTypeFilter);
+      const embeddingMs = performance.now() - embedStart;
+      if (explain) {
+        explanation = explainSearch(queryEmbedding, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, fusionOptions, filters);
+        explanation.timings.embeddingMs = embeddingMs;
+        results = explanation.results;
+      } else {
+        results = hybridSearch(queryEmbedding, expandedQuery, searchLimit, sourceFilter, contentTypeFilter, fusionOptions, filters);
+      }
+    }
+    if (explanation) explanation.expandedQuery = expandedQuery;
+
+    if (rerank) {
+      const rerankStart = performance.now();
+      const { results: reranked, warning } = await rerankOrFallback(searchText, results, getConfig().search.rerankModel);
+      if (warning) console.error(`Warning: ${warning}`);
+      if (explanation) explanation.timings.rerankMs = performance.now() - rerankStart;
+      results = reranked;
     }
+    results = postProcessResults(results, { limit, ...postProcess });
 
     let codeResults = [];
     if (verify && results.length > 0 && !offline) {
       const codeEmbedding = await embedQuery(expandedQuery);
-      codeResults = hybridSearch(codeEmbedding, expandedQuery, 5, null, 'code');
+      const codePool = hybridSearch(codeEmbedding, expandedQuery, postProcessing ? 5 * POST_PROCESS_POOL_FACTOR : 5, null, 'code', fusionOptions, filters);
+      codeResults = postProcessResults(codePool, { limit: 5, ...postProcess });
     }
 
     if (results.length === 0) {
       if (json) {
-        console.log(formatJsonOutput(query, []));
+        console.log(formatJsonOutput(query, [], [], explanation));
       } else {
+        if (explanation) printExplanation(summarizeExplanation(explanation));
         console.log('No results found.');
       }
       closeDb();
@@ -104,19 +279,23 @@ export async function handler(opts) {
     }
 
     if (json) {
-      console.log(formatJsonOutput(query, results, codeResults));
+      console.log(formatJsonOutput(query, results, codeResults, explanation));
     } else {
       console.log(`Query: "${query}"`);
       if (sourceFilter) console.log(`Filter: source=${sourceFilter}`);
       if (contentTypeFilter) console.log(`Filter: type=${contentTypeFilter}`);
+      if (filters) console.log(`Filter: ${describeFilters(filters).join(' ')}`);
       if (offline) console.log('Mode: offline (FTS-only)');
+      if (explanation) printExplanation(summarizeExplanation(explanation));
       console.log(`Results: ${results.length}\n`);
 
       for (const r of results) {
         const scoreStr = r.score.toFixed(3);
         const typeTag = r.contentType ? `[${r.contentType}]` : '';
-        console.log(`[${scoreStr}] ${typeTag} ${r.path}:${r.startLine}-${r.endLine} (${r.source})`);
-        const lines = r.text.split('\n').slice(1, 4);
+        const fileHits = r.fileHits > 1 ? ` +${r.fileHits - 1} more in file` : '';
+        console.log(`[${scoreStr}] ${typeTag} ${formatLocation(r)} (${r.source})${fileHits}`);
+        if (r.explain) console.log(`  ranking: ${formatHitExplanation(r.explain)}`);
+        const lines = chunkBody(r.text).split('\n').slice(0, 3);
         for (const line of lines) {
           const trimmed = line.length > 120 ? line.slice(0, 117) + '...' : line;
           console.log(`  ${trimmed}`);
@@ -133,8 +312,8 @@ export async function handler(opts) {
       } else {
         for (const r of codeResults) {
           const scoreStr = r.score.toFixed(3);
-          console.log(`[${scoreStr}] [code] ${r.path}:${r.startLine}-${r.endLine} (${r.source})`);
-          const lines = r.text.split('\n').slice(1, 4);
+          console.log(`[${scoreStr}] [code] ${formatLocation(r)} (${r.source})`);
+          const lines = chunkBody(r.text).split('\n').slice(0, 3);
           for (const line of lines) {
             const trimmed = line.length > 120 ? line.slice(0, 117) + '...' : line;
             console.log(`  ${trimmed}`);
@@ -148,6 +327,6 @@ export async function handler(opts) {
     process.exit(EXIT_SUCCESS);
   } catch (err) {
     console.error('Error:', err.message);
-    process.exit(EXIT_RUNTIME_ERROR);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
   }
 }
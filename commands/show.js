@@ -0,0 +1,52 @@
+import { openDb, closeDb } from '../lib/db.js';
+import { loadConfig } from '../lib/config.js';
+import { parseLocation, loadFileView, loadChunkView, formatFileView } from '../lib/file-view.js';
+import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR } from '../lib/exit-codes.js';
+
+export function register(program) {
+  program
+    .command('show [location]')
+    .description('Print an indexed file or line range (path or path:start-end) with line numbers')
+    .option('--chunk <id>', 'Show the lines of a chunk (ids are in query --json output)')
+    .option('--context <n>', 'Extra lines before and after the range', '0')
+    .option('--json', 'Output JSON')
+    .action((location, opts) => handler({ location, ...opts }));
+}
+
+export function handler(opts) {
+  const { location, chunk, json } = opts;
+  if (!location === !chunk) {
+    console.error('Usage: openclaw-kb show <path>[:start-end] [--context N] | show --chunk <id>');
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  const context = Number(opts.context ?? 0);
+  if (!Number.isInteger(context) || context < 0) {
+    console.error(`Error: --context must be a non-negative integer (got "${opts.context}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    openDb();
+    let view;
+    if (chunk) {
+      view = loadChunkView(chunk, { context });
+    } else {
+      const { path, startLine, endLine } = parseLocation(location);
+      view = loadFileView(path, { startLine, endLine, context });
+    }
+    if (view.warning) console.error(`Warning: ${view.warning}`);
+    console.log(json ? JSON.stringify(view, null, 2) : formatFileView(view));
+    closeDb();
+    process.exit(EXIT_SUCCESS);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+}
@@ -17,6 +17,6 @@ export function handler() {
     process.exit(EXIT_SUCCESS);
   } catch (err) {
     console.error('Error:', err.message);
-    process.exit(EXIT_RUNTIME_ERROR);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
   }
 }
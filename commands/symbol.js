@@ -0,0 +1,58 @@
+import { openDb, closeDb, getStats } from '../lib/db.js';
+import { loadConfig } from '../lib/config.js';
+import { lookupSymbols, loadSymbolDefinition, formatSymbolDefinitions, SYMBOL_MATCH_MODES, SYMBOL_LIMIT } from '../lib/symbols.js';
+import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from '../lib/exit-codes.js';
+
+export function register(program) {
+  program
+    .command('symbol <name>')
+    .description('Find an exported TS/JS or Swift declaration by name and print its definition')
+    .option('--match <mode>', `Only this match mode: ${SYMBOL_MATCH_MODES.join(', ')} (default: the first that finds something)`)
+    .option('--kind <kind>', 'Only symbols of this kind (function, class, const, struct, protocol, ...)')
+    .option('--limit <n>', 'Maximum definitions to show', String(SYMBOL_LIMIT))
+    .option('--json', 'Output JSON')
+    .action((name, opts) => handler({ name, ...opts }));
+}
+
+export function handler(opts) {
+  const { name, match = null, kind = null, json } = opts;
+  if (match && !SYMBOL_MATCH_MODES.includes(match)) {
+    console.error(`Error: --match must be one of ${SYMBOL_MATCH_MODES.join(', ')} (got "${match}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+  const limit = Number(opts.limit ?? SYMBOL_LIMIT);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    console.error(`Error: --limit must be a positive integer (got "${opts.limit}")`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  try {
+    openDb();
+    const result = lookupSymbols(name, { match, kind, limit });
+    if (result.symbols.length === 0) {
+      const hint = getStats().symbols === 0 ? ' (the symbol index is empty; run `openclaw-kb index` to build it)' : '';
+      console.error(`No symbol matching "${name}"${hint}`);
+      closeDb();
+      process.exit(EXIT_NO_RESULTS);
+    }
+
+    const found = { match: result.match, symbols: result.symbols.map(loadSymbolDefinition) };
+    if (json) {
+      // The text output prints warnings inline
+      for (const s of found.symbols) if (s.definition.warning) console.error(`Warning: ${s.definition.warning}`);
+    }
+    console.log(json ? JSON.stringify({ query: name, ...found }, null, 2) : formatSymbolDefinitions(found));
+    closeDb();
+    process.exit(EXIT_SUCCESS);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+}
@@ -6,7 +6,9 @@
 import { execFileSync } from 'node:child_process';
 import { existsSync, mkdirSync, appendFileSync } from 'node:fs';
 import { resolve, join } from 'node:path';
-import { getUpstreamRoot, getLogDir, getGitRemote, EMBEDDING_PROVIDER } from '../lib/config.js';
+import { getUpstreamRoot, getLogDir, getGitRemote, loadConfig } from '../lib/config.js';
+import { getEmbeddingConfigError } from '../lib/embedder.js';
+import { openDb, closeDb, getIndexCheckpoint } from '../lib/db.js';
 import { EXIT_SUCCESS, EXIT_RUNTIME_ERROR, EXIT_CONFIG_ERROR } from '../lib/exit-codes.js';
 import { handler as indexHandler } from './index.js';
 
@@ -20,6 +22,8 @@ export function register(program) {
     .option('--upstream-dir <path>', 'Override UPSTREAM_DIR')
     .option('--data-dir <path>', 'Override KB_DATA_DIR')
     .option('--remote <name>', 'Git remote to fetch tags from (default: upstream, env: KB_GIT_REMOTE)')
+    .option('--max-cost <usd>', 'Stop reindexing before embedding would cost more than this (USD)')
+    .option('--max-tokens <n>', 'Stop reindexing before embedding more than this many tokens')
     .action((opts) => handler(opts));
 }
 
@@ -51,9 +55,29 @@ export async function handler(opts = {}) {
     process.exit(EXIT_CONFIG_ERROR);
   }
 
-  // Validate API key for openai provider
-  if (EMBEDDING_PROVIDER === 'openai' && !process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY is required for sync. Set it in your environment or use KB_EMBEDDING_PROVIDER=local.');
+  // Validate the project config before touching the checkout
+  try {
+    loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(EXIT_CONFIG_ERROR);
+  }
+
+  // Adopt the embedding provider recorded in the DB before checking credentials
+  let unfinishedIndex;
+  try {
+    openDb();
+    unfinishedIndex = getIndexCheckpoint();
+    closeDb();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
+  }
+
+  // Validate the embedding provider (e.g. API key for api.openai.com)
+  const embeddingError = getEmbeddingConfigError();
+  if (embeddingError) {
+    console.error(`${embeddingError} Set it in your environment or use KB_EMBEDDING_PROVIDER=local.`);
     process.exit(EXIT_CONFIG_ERROR);
   }
 
@@ -80,7 +104,17 @@ export async function handler(opts = {}) {
       currentTag = 'none';
     }
 
+    const budget = { maxCost: opts.maxCost, maxTokens: opts.maxTokens };
+
     if (currentTag === latestTag) {
+      // A reindex stopped by a budget or crash is finished before reporting up to date
+      if (unfinishedIndex) {
+        console.log(`[sync] Resuming unfinished reindex of ${latestTag}...`);
+        await indexHandler({ release: latestTag, resume: true, ...budget });
+        log(`${latestTag} | resumed reindex`);
+        console.log(`[sync] KB upgraded to ${latestTag}`);
+        process.exit(EXIT_SUCCESS);
+      }
       console.log(`[sync] Already on latest release (${latestTag})`);
       process.exit(EXIT_SUCCESS);
     }
@@ -113,7 +147,7 @@ export async function handler(opts = {}) {
     console.log(`[sync] ${relevant.length} KB-relevant file(s) changed`);
     console.log('[sync] Re-indexing...');
 
-    await indexHandler({ release: latestTag });
+    await indexHandler({ release: latestTag, ...budget });
 
     log(`${currentTag} → ${latestTag} | ${relevant.length} KB files | reindexed`);
     console.log(`[sync] KB upgraded to ${latestTag}`);
@@ -121,6 +155,6 @@ export async function handler(opts = {}) {
   } catch (err) {
     console.error('[sync] Error:', err.message);
     log(`ERROR: ${err.message}`);
-    process.exit(EXIT_RUNTIME_ERROR);
+    process.exit(err.exitCode ?? EXIT_RUNTIME_ERROR);
   }
 }
@@ -1,5 +1,14 @@
 import { createHash } from 'node:crypto';
-import { CHUNK_MAX_CHARS, CHUNK_OVERLAP_CHARS, MAX_EMBEDDING_SAFE_CHARS } from './config.js';
+import { getConfig, MAX_EMBEDDING_SAFE_CHARS } from './config.js';
+import { segmentTypeScript, segmentSwift } from './code-symbols.js';
+import { parseFrontmatter, segmentMarkdown } from './markdown-sections.js';
+
+/**
+ * Bump whenever chunk boundaries or chunk text change (or what indexing
+ * extracts from a file, like symbols), so existing indexes re-chunk every
+ * file on the next `index` run.
+ */
+export const CHUNKER_VERSION = 7;
 
 /**
  * Chunk a file into semantically coherent pieces.
@@ -152,6 +161,7 @@ function buildChangelogChunk(lines, startLine, endLineExclusive, relPath, source
     endLine: endLineExclusive,
     text,
     hash,
+    contentHash: hashChunkBody(text),
     contentType: 'release',
     language: 'markdown',
     category: 'release-notes',
@@ -171,10 +181,26 @@ export function chunkFile(content, relPath, source) {
   // Derive metadata for this file
   const metadata = deriveMetadata(relPath, source);
   const lineRecords = normalizeLines(rawLines);
+  const { maxChars: docMaxChars, overlapChars } = getConfig().chunking;
 
   // File-type detection: use smaller max size for code files
   const isCodeFile = metadata.language === 'typescript' || metadata.language === 'javascript' || metadata.language === 'swift';
-  const maxChars = isCodeFile ? 1200 : CHUNK_MAX_CHARS;
+  const maxChars = isCodeFile ? Math.min(1200, docMaxChars) : docMaxChars;
+
+  // TypeScript/JavaScript and Swift: one chunk per declaration, split along members when oversized
+  if (isCodeFile) {
+    const segments = metadata.language === 'swift'
+      ? segmentSwift(rawLines, { maxChars })
+      : segmentTypeScript(rawLines, { maxChars });
+    if (segments) return chunkSegments(segments, lineRecords, relPath, source, metadata);
+  }
+
+  // Markdown: one chunk per section (or run of small sections), never inside a code fence
+  if (metadata.language === 'markdown') {
+    const doc = documentMetadata(parseFrontmatter(rawLines)?.data ?? {});
+    const segments = segmentMarkdown(rawLines, { maxChars, title: doc.docTitle });
+    return chunkSegments(segments, lineRecords, relPath, source, { ...metadata, ...doc });
+  }
 
   const chunks = [];
   let chunkLines = [];
@@ -198,9 +224,10 @@ export function chunkFile(content, relPath, source) {
       const isClassDecl = /^(export\s+)?class\s+\w+/.test(line);
       const isTypeDecl = /^(export\s+)?(interface|type|enum)\s+\w+/.test(line);
       const isConstFunc = /^(export\s+)?const\s+\w+\s*=\s*(async\s+)?\(/.test(line);
+      const isSwiftDecl = /^(@\w+\s+)*((public|private|fileprivate|internal|open|final)\s+)*(struct|class|enum|protocol|extension|actor|func)\s+\w+/.test(line);
 
       // Categorize boundary strength
-      const isStrongBoundary = isCodeFile && (isFunctionDecl || isClassDecl || isTypeDecl || isConstFunc);
+      const isStrongBoundary = isCodeFile && (isFunctionDecl || isClassDecl || isTypeDecl || isConstFunc || isSwiftDecl);
       const isWeakBoundary = isHeading || isBlank;
 
       // Decision: prefer strong boundaries for code, allow weak boundaries for docs
@@ -211,7 +238,7 @@ export function chunkFile(content, relPath, source) {
         chunks.push(...buildChunks(chunkLines, relPath, source, metadata));
 
         // Start new chunk with overlap
-        const { overlapLines, overlapStart } = getOverlap(chunkLines);
+        const { overlapLines, overlapStart } = getOverlap(chunkLines, overlapChars);
         chunkLines = [...overlapLines];
         chunkStart = overlapStart;
         charCount = chunkLines.reduce((sum, item) => sum + item.text.length + 1, 0);
@@ -230,6 +257,37 @@ export function chunkFile(content, relPath, source) {
   return chunks;
 }
 
+/**
+ * Chunks for symbol or section segments (see lib/code-symbols.js and
+ * lib/markdown-sections.js), skipping blank ones. Each chunk records its
+ * segment's symbol name and kind, or its section. Segments do not overlap:
+ * `chunking.overlapChars` only applies to line-window chunking.
+ */
+function chunkSegments(segments, lineRecords, relPath, source, metadata) {
+  const chunks = [];
+  let idx = 0;
+  for (const { startLine, endLine, ...segmentMetadata } of segments) {
+    const lines = [];
+    while (idx < lineRecords.length && lineRecords[idx].lineNo <= endLine) {
+      lines.push(lineRecords[idx++]);
+    }
+    if (lines.every(line => line.text.trim() === '')) continue;
+    chunks.push(...buildChunks(lines, relPath, source, { ...metadata, ...segmentMetadata }));
+  }
+  return chunks;
+}
+
+/** Doc-level fields from frontmatter; skills use `name`/`description` for them */
+function documentMetadata(frontmatter) {
+  const text = value => (typeof value === 'string' && value !== '' ? value : null);
+  const readWhen = frontmatter.read_when;
+  return {
+    docTitle: text(frontmatter.title) ?? text(frontmatter.name),
+    docSummary: text(frontmatter.summary) ?? text(frontmatter.description),
+    docReadWhen: Array.isArray(readWhen) ? readWhen : text(readWhen) ? [readWhen] : null,
+  };
+}
+
 function buildChunks(lines, relPath, source, metadata) {
   const chunks = [];
   let currentLines = [];
@@ -240,7 +298,9 @@ function buildChunks(lines, relPath, source, metadata) {
       candidateLines.map(item => item.text),
       relPath,
       candidateLines[0].lineNo,
-      candidateLines[candidateLines.length - 1].lineNo
+      candidateLines[candidateLines.length - 1].lineNo,
+      metadata.section,
+      candidateLines.some(item => item.split)
     );
 
     if (candidateText.length > MAX_EMBEDDING_SAFE_CHARS && currentLines.length > 0) {
@@ -261,7 +321,7 @@ function buildChunks(lines, relPath, source, metadata) {
 function buildChunk(lines, relPath, source, metadata) {
   const startLine = lines[0].lineNo;
   const endLine = lines[lines.length - 1].lineNo;
-  const text = buildChunkText(lines.map(line => line.text), relPath, startLine, endLine);
+  const text = buildChunkText(lines.map(line => line.text), relPath, startLine, endLine, metadata.section, lines.some(line => line.split));
   const hash = createHash('sha256').update(text).digest('hex');
   const id = `${hash.slice(0, 12)}-${startLine}`;
 
@@ -273,23 +333,80 @@ function buildChunk(lines, relPath, source, metadata) {
     endLine,
     text,
     hash,
+    contentHash: hashChunkBody(text),
     contentType: metadata.contentType,
     language: metadata.language,
     category: metadata.category,
+    symbolName: metadata.symbolName ?? null,
+    symbolKind: metadata.symbolKind ?? null,
+    section: metadata.section ?? null,
+    docTitle: metadata.docTitle ?? null,
+    docSummary: metadata.docSummary ?? null,
+    docReadWhen: metadata.docReadWhen ?? null,
   };
 }
 
-function buildChunkText(lines, relPath, startLine, endLine) {
-  return `// File: ${relPath} (lines ${startLine}-${endLine})\n${lines.join('\n')}`;
+/**
+ * Chunk text: a `// File: path (lines a-b)` header, which names the heading
+ * path of markdown sections (`// File: path (lines a-b, section: A > B)`)
+ * and flags chunks holding pieces of a split long line
+ * (`// File: path (lines a-b, split line)`), then the lines.
+ * @param {string[]} lines
+ * @param {string} relPath
+ * @param {number} startLine
+ * @param {number} endLine
+ * @param {string|null} [section] - Heading path
+ * @param {boolean} [splitLine] - Whether the lines include fragments of a line too long for one chunk
+ * @returns {string}
+ */
+export function buildChunkText(lines, relPath, startLine, endLine, section = null, splitLine = false) {
+  const splitLabel = splitLine ? SPLIT_LINE_LABEL : '';
+  const sectionLabel = section ? `, section: ${section}` : '';
+  return `${CHUNK_HEADER_PREFIX}${relPath} (lines ${startLine}-${endLine}${splitLabel}${sectionLabel})\n${lines.join('\n')}`;
+}
+
+const CHUNK_HEADER_PREFIX = '// File: ';
+const SPLIT_LINE_LABEL = ', split line';
+
+/**
+ * Hash a chunk's text without its `// File: path (lines a-b)` header, so a
+ * chunk that only moved lines keeps the same content hash and its vector can be reused.
+ * @param {string} text - Full chunk text
+ * @returns {string}
+ */
+export function hashChunkBody(text) {
+  return createHash('sha256').update(chunkBody(text)).digest('hex');
+}
+
+/**
+ * Chunk text without its `// File: path (lines a-b)` header line.
+ * @param {string} text - Full chunk text
+ * @returns {string}
+ */
+export function chunkBody(text) {
+  if (!text.startsWith(CHUNK_HEADER_PREFIX)) return text;
+  return text.slice(text.indexOf('\n') + 1);
+}
+
+/**
+ * Whether a chunk holds a piece of a line too long for one chunk. Such a line
+ * is split into fragments that share its line number and may end up in
+ * different chunks, so the chunk's text does not map line for line to its range.
+ * @param {string} text - Full chunk text
+ * @returns {boolean}
+ */
+export function holdsLineFragment(text) {
+  if (!text.startsWith(CHUNK_HEADER_PREFIX)) return false;
+  return /\(lines \d+-\d+, split line[,)]/.test(text.slice(0, text.indexOf('\n')));
 }
 
-function getOverlap(chunkLines) {
+function getOverlap(chunkLines, maxOverlapChars) {
   let overlapChars = 0;
   let overlapLines = [];
 
   for (let j = chunkLines.length - 1; j >= 0; j--) {
     overlapChars += chunkLines[j].text.length + 1;
-    if (overlapChars > CHUNK_OVERLAP_CHARS) break;
+    if (overlapChars > maxOverlapChars) break;
     overlapLines.unshift(chunkLines[j]);
   }
 
@@ -313,6 +430,7 @@ function normalizeLines(lines) {
       normalized.push({
         text: line.slice(start, start + MAX_LINE_FRAGMENT_CHARS),
         lineNo,
+        split: true,
       });
     }
   }
@@ -0,0 +1,565 @@
+/**
+ * Declaration-aligned segmentation of source files for the chunker.
+ *
+ * There is no parser dependency: a small lexer per language tracks bracket
+ * depth while skipping strings, comments and (TypeScript) regex literals,
+ * which is enough to find where top-level declarations and their members
+ * start and end. Files the lexer cannot balance fall back to line-based
+ * chunking.
+ */
+
+const MAX_SPLIT_LEVELS = 3;
+const MAX_GROUP_NAMES = 3;   // names listed for a chunk of packed one-line declarations
+
+/** Lines starting with these begin a new statement even without a `;` before them */
+const TS_STATEMENT_START = /^(?:(?:export|import|const|let|var|function|async|class|abstract|interface|type|enum|declare|namespace|module)\b|@|\/\/|\/\*)/;
+/** Lines starting with these continue the previous line's expression */
+const TS_CONTINUATION = /^(?:\.|\?|:|\||&|\+|-|\*|=>|\/(?![/*]))/;
+const TS_MODIFIERS = /^(?:(?:export|default|declare|abstract|async)\s+)*/;
+const TS_DECLARATIONS = [
+  { pattern: /^function\s*\*?\s*([\w$]+)/, kind: 'function' },
+  { pattern: /^class\s+([\w$]+)/, kind: 'class' },
+  { pattern: /^interface\s+([\w$]+)/, kind: 'interface' },
+  { pattern: /^type\s+([\w$]+)/, kind: 'type' },
+  { pattern: /^(?:const\s+)?enum\s+([\w$]+)/, kind: 'enum' },
+  { pattern: /^(?:namespace|module)\s+([\w$.]+)/, kind: 'namespace' },
+  { pattern: /^const\s+([\w$]+)\s*(?::[^=]*)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]*)?=>|[\w$]+\s*=>)/, kind: 'function' },
+  { pattern: /^const\s+([\w$]+)/, kind: 'const' },
+  { pattern: /^(?:let|var)\s+([\w$]+)/, kind: 'variable' },
+];
+const TS_MEMBER = /^(?:(?:public|private|protected|static|readonly|async|override|abstract|declare|accessor|get|set)\s+)*(?:\*\s*)?(#?[A-Za-z_$][\w$]*|'[^']+'|"[^"]+")\s*[?!]?\s*([(<:=,;]|$)/;
+/** Parents whose members are named (`Class.method`); function bodies are not */
+const TS_NAMED_PARENTS = new Set(['class', 'interface', 'enum', 'const', 'variable', 'namespace']);
+
+/** Swift has no `;`: these start a line that continues the previous one */
+const SWIFT_CONTINUATION = /^(?:\.(?!\.\.)|\?|:|\|\||&&|[+\-*%=<>]|\/(?![/*])|->|(?:where|else|async|throws|rethrows)\b)/;
+/** Attributes and property wrappers (`@MainActor`, `@State`) count as modifiers */
+const SWIFT_MODIFIERS = /^(?:(?:@[\w.]+(?:\([^)]*\))?|public|private|fileprivate|internal|open|package|static|final|override|mutating|nonmutating|convenience|required|lazy|weak|unowned|nonisolated|dynamic|indirect|optional|distributed|class(?=\s+(?:func|var|let|subscript)\b))(?:\([\w\s]*\))?\s+)*/;
+const SWIFT_DECLARATIONS = [
+  { pattern: /^func\s+`?([^\s(<`]+)/, kind: 'function' },
+  { pattern: /^(init|deinit|subscript)\b/, kind: 'function' },
+  { pattern: /^class\s+(\w+)/, kind: 'class' },
+  { pattern: /^struct\s+(\w+)/, kind: 'struct' },
+  { pattern: /^enum\s+(\w+)/, kind: 'enum' },
+  { pattern: /^protocol\s+(\w+)/, kind: 'protocol' },
+  { pattern: /^actor\s+(\w+)/, kind: 'actor' },
+  { pattern: /^extension\s+([\w.]+)/, kind: 'extension' },
+  { pattern: /^typealias\s+(\w+)/, kind: 'type' },
+  { pattern: /^let\s+`?(\w+)/, kind: 'const' },
+  { pattern: /^var\s+`?(\w+)/, kind: 'variable' },
+  { pattern: /^case\s+`?(\w+)/, kind: 'case' },
+];
+const SWIFT_MEMBER_KINDS = { function: 'method', const: 'property', variable: 'property' };
+const SWIFT_NAMED_PARENTS = new Set(['class', 'struct', 'enum', 'protocol', 'actor', 'extension']);
+
+/** A decorator or attribute alone on its line (`@Injectable()`, `@MainActor`) */
+const ANNOTATION_LINE = /^@[\w$.]+(?:\(.*\))?$/;
+
+const REGEX_PREFIX_CHARS = new Set('(,=:[!&|?{};+-*%<>~^');
+const REGEX_PREFIX_WORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']);
+
+/**
+ * What differs between languages: how to scan brackets, where statements
+ * start, which declarations exist and how members are named.
+ * @typedef {object} Grammar
+ * @property {(lines: string[]) => ({ depth: number, inCode: boolean, endChar: string }[]|null)} scan
+ * @property {(lines: string[], info: object[], i: number, text: string, depth: number) => boolean} startsStatement
+ * @property {RegExp} modifiers
+ * @property {{ pattern: RegExp, kind: string }[]} declarations
+ * @property {(lines: string[], item: object) => ({ name: string, kind: string }|null)} memberOf
+ * @property {Set<string>} namedParents
+ * @property {(modifiers: string) => boolean} isExported - Whether a top-level declaration with these modifiers is visible to other files
+ * @property {Set<string>} [skipKinds] - Declarations that do not define a symbol of their own
+ */
+
+/** @type {Grammar} */
+const TYPESCRIPT = {
+  scan: scanTypeScript,
+  startsStatement: startsTypeScriptStatement,
+  modifiers: TS_MODIFIERS,
+  declarations: TS_DECLARATIONS,
+  memberOf: typeScriptMemberOf,
+  namedParents: TS_NAMED_PARENTS,
+  isExported: modifiers => /\bexport\b/.test(modifiers),
+};
+
+/** @type {Grammar} */
+const SWIFT = {
+  scan: scanSwift,
+  startsStatement: startsSwiftStatement,
+  modifiers: SWIFT_MODIFIERS,
+  declarations: SWIFT_DECLARATIONS,
+  memberOf: swiftMemberOf,
+  namedParents: SWIFT_NAMED_PARENTS,
+  // Swift declarations are visible module-wide unless private
+  isExported: modifiers => !/\b(?:private|fileprivate)\b/.test(modifiers),
+  skipKinds: new Set(['extension']),
+};
+
+const GRAMMARS = { typescript: TYPESCRIPT, javascript: TYPESCRIPT, swift: SWIFT };
+
+/**
+ * Split TypeScript/JavaScript into segments that follow declarations:
+ * each function, class, interface, type, enum or top-level const is its own
+ * segment; runs of small statements (imports, one-line types) are packed
+ * together; declarations over `maxChars` split along their members.
+ * Segments cover every line, in order.
+ * @param {string[]} lines
+ * @param {{ maxChars: number }} options
+ * @returns {{ startLine: number, endLine: number, symbolName: string|null, symbolKind: string|null }[]|null}
+ *   1-based inclusive ranges; null when brackets do not balance
+ */
+export function segmentTypeScript(lines, { maxChars }) {
+  return segment(lines, TYPESCRIPT, maxChars);
+}
+
+/**
+ * Split Swift the same way: each struct, class, enum, protocol, actor,
+ * extension or top-level func is its own segment, and oversized types split
+ * along their members (`SettingsView.body`). Attributes such as `@MainActor`
+ * stay with the declaration they annotate.
+ * @param {string[]} lines
+ * @param {{ maxChars: number }} options
+ * @returns {{ startLine: number, endLine: number, symbolName: string|null, symbolKind: string|null }[]|null}
+ */
+export function segmentSwift(lines, { maxChars }) {
+  return segment(lines, SWIFT, maxChars);
+}
+
+/**
+ * Top-level declarations other files can use: `export`ed ones in
+ * TypeScript/JavaScript, everything but `private`/`fileprivate` in Swift
+ * (extensions excluded). Ranges include leading doc comments and attributes.
+ * @param {string[]} lines
+ * @param {'typescript'|'javascript'|'swift'} language
+ * @returns {{ name: string, kind: string, startLine: number, endLine: number }[]} - empty when brackets do not balance
+ */
+export function exportedSymbols(lines, language) {
+  const grammar = GRAMMARS[language];
+  const info = grammar?.scan(lines);
+  if (!info) return [];
+
+  const symbols = [];
+  for (const item of splitStatements(lines, info, 0, lines.length, 0, grammar)) {
+    const { symbolName, symbolKind } = declarationOf(lines, item, grammar);
+    if (!symbolName || grammar.skipKinds?.has(symbolKind)) continue;
+    const modifiers = lines[firstCodeLine(lines, item)].trim().match(grammar.modifiers)[0];
+    if (!grammar.isExported(modifiers)) continue;
+
+    let end = item.end;
+    while (end > item.head && lines[end].trim() === '') end--;
+    symbols.push({ name: symbolName, kind: symbolKind, startLine: item.head + 1, endLine: end + 1 });
+  }
+  return symbols;
+}
+
+/** @param {Grammar} grammar */
+function segment(lines, grammar, maxChars) {
+  const info = grammar.scan(lines);
+  if (!info) return null;
+
+  const items = splitStatements(lines, info, 0, lines.length, 0, grammar).map(item => ({
+    ...item,
+    ...declarationOf(lines, item, grammar),
+  }));
+  return packTopLevel(lines, info, items, maxChars, grammar)
+    .map(seg => ({ ...seg, startLine: seg.start + 1, endLine: seg.end + 1 }))
+    .map(({ startLine, endLine, symbolName, symbolKind }) => ({ startLine, endLine, symbolName, symbolKind }));
+}
+
+/**
+ * Bracket depth at the start of each line and the last code character before
+ * its end, or null when brackets do not balance.
+ * @returns {{ depth: number, inCode: boolean, endChar: string }[]|null}
+ */
+function scanTypeScript(lines) {
+  const info = [];
+  const templateDepths = [];
+  let depth = 0;
+  let state = 'code';
+  let prev = '';
+  let word = '';
+  let inWord = false;
+  let regexClass = false;
+
+  for (const line of lines) {
+    info.push({ depth, inCode: state === 'code', endChar: '' });
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      const next = line[i + 1];
+
+      if (state === 'block-comment') {
+        if (ch === '*' && next === '/') { state = 'code'; i++; }
+        continue;
+      }
+      if (state === "'" || state === '"') {
+        if (ch === '\\') i++;
+        else if (ch === state) state = 'code';
+        continue;
+      }
+      if (state === 'template') {
+        if (ch === '\\') i++;
+        else if (ch === '`') state = 'code';
+        else if (ch === '$' && next === '{') { templateDepths.push(depth); depth++; state = 'code'; i++; }
+        continue;
+      }
+      if (state === 'regex') {
+        if (ch === '\\') i++;
+        else if (ch === '[') regexClass = true;
+        else if (ch === ']') regexClass = false;
+        else if (ch === '/' && !regexClass) { state = 'code'; prev = '/'; }
+        continue;
+      }
+
+      if (ch === '/' && next === '/') break;
+      if (ch === '/' && next === '*') { state = 'block-comment'; i++; continue; }
+      if (/\s/.test(ch)) { inWord = false; continue; }
+
+      if (ch === "'" || ch === '"' || ch === '`') {
+        state = ch === '`' ? 'template' : ch;
+      } else if (ch === '/' && (prev === '' || REGEX_PREFIX_CHARS.has(prev) || (/[\w$]/.test(prev) && REGEX_PREFIX_WORDS.has(word)))) {
+        state = 'regex';
+        regexClass = false;
+      } else if (ch === '{' || ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ')' || ch === ']') {
+        if (ch === '}' && templateDepths.at(-1) === depth - 1) {
+          templateDepths.pop();
+          state = 'template';
+        }
+        depth--;
+        if (depth < 0) return null;
+      }
+
+      if (/[\w$]/.test(ch)) {
+        word = inWord ? word + ch : ch;
+        inWord = true;
+      } else {
+        inWord = false;
+      }
+      prev = ch;
+    }
+    if (state === "'" || state === '"' || state === 'regex') state = 'code';
+    info[info.length - 1].endChar = prev;
+    inWord = false;
+  }
+
+  return depth === 0 && state === 'code' ? info : null;
+}
+
+/**
+ * Swift counterpart of scanTypeScript: strings may be multi-line (`"""`) or raw
+ * (`#"..."#`) and interpolate with `\(...)`, and block comments nest.
+ */
+function scanSwift(lines) {
+  const info = [];
+  const interpolations = [];   // strings to resume at the `)` closing a `\(`
+  let depth = 0;
+  let commentDepth = 0;
+  let string = null;           // { multiline, hashes } inside a string literal
+  let prev = '';
+
+  for (const line of lines) {
+    info.push({ depth, inCode: !string && commentDepth === 0, endChar: '' });
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      const next = line[i + 1];
+
+      if (commentDepth > 0) {
+        if (ch === '*' && next === '/') { commentDepth--; i++; }
+        else if (ch === '/' && next === '*') { commentDepth++; i++; }
+        continue;
+      }
+      if (string) {
+        const hashes = '#'.repeat(string.hashes);
+        if (ch === '\\' && line.startsWith(hashes, i + 1)) {
+          i += 1 + string.hashes;
+          if (line[i] === '(') {
+            interpolations.push({ depth, string });
+            depth++;
+            string = null;
+          }
+          continue;
+        }
+        const quote = (string.multiline ? '"""' : '"') + hashes;
+        if (line.startsWith(quote, i)) {
+          i += quote.length - 1;
+          string = null;
+        }
+        continue;
+      }
+
+      if (ch === '/' && next === '/') break;
+      if (ch === '/' && next === '*') { commentDepth = 1; i++; continue; }
+      if (/\s/.test(ch)) continue;
+
+      const opening = line.slice(i).match(/^(#*)"/);
+      if (opening) {
+        const hashes = opening[1].length;
+        const multiline = line.startsWith('"""', i + hashes);
+        string = { multiline, hashes };
+        i += hashes + (multiline ? 2 : 0);
+        prev = '"';
+        continue;
+      }
+      if (ch === '{' || ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ')' || ch === ']') {
+        depth--;
+        if (depth < 0) return null;
+        if (ch === ')' && interpolations.at(-1)?.depth === depth) string = interpolations.pop().string;
+      }
+      prev = ch;
+    }
+    if (string && !string.multiline) string = null;
+    info[info.length - 1].endChar = prev;
+  }
+
+  return depth === 0 && !string && commentDepth === 0 ? info : null;
+}
+
+/**
+ * Statements (or members) at `depth` within lines [from, to): each runs until
+ * the next one starts, so together they cover the range. Leading comments and
+ * decorators belong to the statement after them.
+ * @returns {{ start: number, head: number, end: number }[]} - 0-based inclusive line indexes;
+ *   the first statement also covers any lines before it, `head` is where it starts itself
+ */
+function splitStatements(lines, info, from, to, depth, grammar) {
+  const starts = [];
+  for (let i = from; i < to; i++) {
+    const text = lines[i].trim();
+    if (!info[i].inCode || info[i].depth !== depth || text === '' || /^[)}\]]/.test(text)) continue;
+    if (starts.length > 0 && !grammar.startsStatement(lines, info, i, text, depth)) continue;
+    starts.push(i);
+  }
+  if (starts.length === 0) return [];
+
+  // Comment-only and decorator-only statements attach to the next one
+  const merged = starts.filter((start, idx) => idx === 0 || !isPreamble(lines, starts[idx - 1], start));
+  return merged.map((start, idx) => ({
+    start: idx === 0 ? from : start,
+    head: start,
+    end: (merged[idx + 1] ?? to) - 1,
+  }));
+}
+
+function startsTypeScriptStatement(lines, info, i, text, depth) {
+  if (TS_CONTINUATION.test(text)) return false;
+  const prevEnd = info[i - 1].endChar;
+  if (/[,;})\]]/.test(prevEnd) || lines[i - 1].trim() === '' || TS_STATEMENT_START.test(text)) return true;
+  // Class and interface members may omit the `;`
+  return depth > 0 && !/[=:?&|+\-*/%!~^.([{]/.test(prevEnd) && TS_MEMBER.test(text);
+}
+
+function startsSwiftStatement(lines, info, i, text) {
+  if (SWIFT_CONTINUATION.test(text)) return false;
+  // A line ending in an operator or comma continues on the next one
+  return lines[i - 1].trim() === '' || !/[=:&|+\-*/%~^.,]/.test(info[i - 1].endChar);
+}
+
+/** Whether lines [start, end) hold only comments, decorators and blank lines */
+function isPreamble(lines, start, end) {
+  let inBlock = false;
+  for (let i = start; i < end; i++) {
+    const text = lines[i].trim();
+    if (inBlock) {
+      if (text.includes('*/')) inBlock = false;
+      continue;
+    }
+    if (text === '' || text.startsWith('//') || ANNOTATION_LINE.test(text)) continue;
+    if (text.startsWith('/*')) {
+      inBlock = !text.includes('*/');
+      continue;
+    }
+    return false;
+  }
+  return true;
+}
+
+/** First line of an item that is code, skipping comments, decorators and blanks */
+function firstCodeLine(lines, item) {
+  let inBlock = false;
+  for (let i = item.head ?? item.start; i <= item.end; i++) {
+    const text = lines[i].trim();
+    if (inBlock) {
+      if (text.includes('*/')) inBlock = false;
+      continue;
+    }
+    if (text === '' || text.startsWith('//') || ANNOTATION_LINE.test(text)) continue;
+    if (text.startsWith('/*')) {
+      inBlock = !text.includes('*/');
+      continue;
+    }
+    return i;
+  }
+  return null;
+}
+
+function declarationOf(lines, item, grammar) {
+  const line = firstCodeLine(lines, item);
+  if (line === null) return { symbolName: null, symbolKind: null };
+  const text = lines[line].trim().replace(grammar.modifiers, '');
+  for (const { pattern, kind } of grammar.declarations) {
+    const match = text.match(pattern);
+    if (match) return { symbolName: match[1], symbolKind: kind };
+  }
+  return { symbolName: null, symbolKind: null };
+}
+
+function typeScriptMemberOf(lines, item) {
+  const line = firstCodeLine(lines, item);
+  if (line === null) return null;
+  const match = lines[line].trim().match(TS_MEMBER);
+  if (!match) return null;
+  const name = match[1].replace(/^['"]|['"]$/g, '');
+  return { name, kind: match[2] === '(' || match[2] === '<' ? 'method' : 'property' };
+}
+
+/** Swift members are declarations themselves; nested types keep their kind */
+function swiftMemberOf(lines, item) {
+  const { symbolName, symbolKind } = declarationOf(lines, item, SWIFT);
+  if (!symbolName) return null;
+  return { name: symbolName, kind: SWIFT_MEMBER_KINDS[symbolKind] ?? symbolKind };
+}
+
+function charCount(lines, start, end) {
+  let count = 0;
+  for (let i = start; i <= end; i++) count += lines[i].length + 1;
+  return count;
+}
+
+/**
+ * Named declarations stand alone; imports, other statements and one-line
+ * declarations share a segment up to maxChars; oversized declarations split
+ * further.
+ */
+function packTopLevel(lines, info, items, maxChars, grammar) {
+  const segments = [];
+  let group = null;
+
+  const flush = () => {
+    if (group) segments.push(nameGroup(group));
+    group = null;
+  };
+
+  for (const item of items) {
+    const chars = charCount(lines, item.start, item.end);
+    if (chars > maxChars) {
+      flush();
+      segments.push(...splitSymbol(lines, info, item, maxChars, 1, grammar));
+      continue;
+    }
+    const small = !item.symbolName || isOneLiner(lines, item);
+    if (group && group.small && small && group.chars + chars <= maxChars) {
+      group.items.push(item);
+      group.chars += chars;
+      group.end = item.end;
+      continue;
+    }
+    flush();
+    group = { start: item.start, end: item.end, chars, small, items: [item] };
+  }
+  flush();
+  return segments;
+}
+
+function isOneLiner(lines, item) {
+  const first = firstCodeLine(lines, item);
+  return first !== null && lines.slice(first + 1, item.end + 1).every(line => line.trim() === '');
+}
+
+function nameGroup(group) {
+  const named = group.items.filter(item => item.symbolName);
+  const kinds = new Set(named.map(item => item.symbolKind));
+  return {
+    start: group.start,
+    end: group.end,
+    symbolName: named.length > 0 ? named.slice(0, MAX_GROUP_NAMES).map(item => item.symbolName).join(', ') + (named.length > MAX_GROUP_NAMES ? ', …' : '') : null,
+    symbolKind: kinds.size === 1 ? [...kinds][0] : null,
+  };
+}
+
+/**
+ * Split an oversized declaration along its members (methods, properties,
+ * statements), packing neighbours up to maxChars. A lone member keeps its own
+ * name (`Class.method`); packed members keep the parent's. Members that are
+ * still too big split again, down to plain line ranges.
+ */
+function splitSymbol(lines, info, item, maxChars, level, grammar) {
+  const { symbolName, symbolKind } = item;
+  const bodyDepth = memberDepth(lines, info, item);
+  const members = bodyDepth === null || level > MAX_SPLIT_LEVELS
+    ? []
+    : splitStatements(lines, info, item.start, item.end + 1, bodyDepth, grammar);
+  if (members.length < 2) return splitLines(lines, item, maxChars);
+
+  // The first member also holds the header lines (declaration, opening brace)
+  const nameMembers = grammar.namedParents.has(symbolKind) && symbolName;
+
+  const segments = [];
+  let group = null;
+  const flush = () => {
+    if (!group) return;
+    const single = group.members.length === 1 && group.members[0].member;
+    segments.push({
+      start: group.start,
+      end: group.end,
+      symbolName: single ? `${symbolName}.${single.name}` : symbolName,
+      symbolKind: single ? single.kind : symbolKind,
+    });
+    group = null;
+  };
+
+  for (const member of members) {
+    member.member = nameMembers ? grammar.memberOf(lines, member) : null;
+    const chars = charCount(lines, member.start, member.end);
+    if (chars > maxChars) {
+      flush();
+      const name = member.member ? `${symbolName}.${member.member.name}` : symbolName;
+      const kind = member.member ? member.member.kind : symbolKind;
+      segments.push(...splitSymbol(lines, info, { ...member, symbolName: name, symbolKind: kind }, maxChars, level + 1, grammar));
+      continue;
+    }
+    if (group && group.chars + chars <= maxChars) {
+      group.members.push(member);
+      group.chars += chars;
+      group.end = member.end;
+      continue;
+    }
+    flush();
+    group = { start: member.start, end: member.end, chars, members: [member] };
+  }
+  flush();
+  return segments;
+}
+
+/** Shallowest depth below the item's own at which its lines start, or null */
+function memberDepth(lines, info, item) {
+  const head = item.head ?? item.start;
+  const base = info[head].depth;
+  let depth = null;
+  for (let i = head + 1; i <= item.end; i++) {
+    if (!info[i].inCode || lines[i].trim() === '' || info[i].depth <= base) continue;
+    depth = depth === null ? info[i].depth : Math.min(depth, info[i].depth);
+  }
+  return depth;
+}
+
+/** Last resort for a declaration with no member boundaries: plain line ranges. */
+function splitLines(lines, item, maxChars) {
+  const segments = [];
+  let start = item.start;
+  let chars = 0;
+  for (let i = item.start; i <= item.end; i++) {
+    const lineChars = lines[i].length + 1;
+    if (chars + lineChars > maxChars && i > start) {
+      segments.push({ start, end: i - 1, symbolName: item.symbolName, symbolKind: item.symbolKind });
+      start = i;
+      chars = 0;
+    }
+    chars += lineChars;
+  }
+  segments.push({ start, end: item.end, symbolName: item.symbolName, symbolKind: item.symbolKind });
+  return segments;
+}
@@ -0,0 +1,139 @@
+/**
+ * Config key reference for `config-key` and the MCP `get_config_key` tool:
+ * the keys read from the upstream zod schemas (see zod-walker.js), looked up
+ * by dotted path or prefix, with the docs chunks that mention each key.
+ */
+
+import { getConfigKeys, getChunksContaining } from './db.js';
+import { chunkBody } from './chunker.js';
+
+export const CONFIG_KEY_LIMIT = 50;
+const DOC_LINK_LIMIT = 5;
+const DOC_CONTENT_TYPES = ['docs', 'skill'];
+const DESCRIPTION_PREVIEW = 100;   // chars of a description in key lists
+
+/**
+ * Whether a file is one of the zod schema files config keys are read from.
+ * @param {string} relPath
+ * @returns {boolean}
+ */
+export function isConfigSchemaPath(relPath) {
+  return /zod-schema[^/]*\.(ts|js)$/.test(relPath);
+}
+
+/**
+ * Look a dotted key up. An exact match (ignoring case; `*` record entries
+ * match any name and `[]` array items may be left out) comes back with its
+ * direct children and the docs chunks that mention it; otherwise every key
+ * the query is a prefix of, in schema order.
+ * @param {string} query - e.g. `agents.defaults.sandbox.mode` or `agents.defaults.sand`
+ * @param {{ limit?: number }} [options]
+ * @returns {{ match: 'exact'|'prefix'|null, total: number, keys: (import('./db.js').StoredConfigKey & { children?: string[], docs?: object[], docsTerm?: string|null })[] }}
+ */
+export function lookupConfigKeys(query, { limit = CONFIG_KEY_LIMIT } = {}) {
+  const wanted = splitKey(normalizeKey(query));
+  const keys = getConfigKeys();
+
+  const exact = keys.filter(k => matchesKey(splitKey(k.key), wanted, false));
+  if (exact.length > 0) {
+    return {
+      match: 'exact',
+      total: exact.length,
+      keys: exact.slice(0, limit).map(k => ({ ...k, children: childrenOf(k.key, keys), ...docsMentioning(k.key) })),
+    };
+  }
+  const prefixed = keys.filter(k => matchesKey(splitKey(k.key), wanted, true));
+  return { match: prefixed.length > 0 ? 'prefix' : null, total: prefixed.length, keys: prefixed.slice(0, limit) };
+}
+
+/** `agents.list[0].id` and `agents.list.0.id` become `agents.list[].id` */
+function normalizeKey(query) {
+  return query.trim()
+    .replace(/\[(\d+|\*)?\]/g, '[]')
+    .replace(/\.\d+(?=\.|$)/g, '[]')
+    .replace(/\.\[\]/g, '[]')
+    .replace(/^\.+|\.+$/g, '')
+    .replace(/(\[\])+$/, '');
+}
+
+function splitKey(key) {
+  return key.replace(/\[\]/g, '.[]').split('.').filter(Boolean);
+}
+
+function matchesKey(segments, wanted, prefix, i = 0, j = 0) {
+  if (j === wanted.length) return prefix || segments.slice(i).every(s => s === '[]');
+  if (i === segments.length) return false;
+  const segment = segments[i].toLowerCase();
+  const want = wanted[j].toLowerCase();
+
+  // Array items may be left out of the query: agents.list.id finds agents.list[].id
+  if (segment === '[]' && want !== '[]' && matchesKey(segments, wanted, prefix, i + 1, j)) return true;
+  const same = segment === '*'
+    ? want !== '[]'
+    : segment === want || (prefix && j === wanted.length - 1 && segment.startsWith(want));
+  return same && matchesKey(segments, wanted, prefix, i + 1, j + 1);
+}
+
+/** Names of the keys one level below `key`, through array items and record entries */
+function childrenOf(key, keys) {
+  return keys
+    .filter(k => k.key.startsWith(key) && /^(\[\]|\.\*)*\.[^.[]+$/.test(k.key.slice(key.length)))
+    .map(k => k.key.slice(key.length).replace(/^(\[\]|\.\*)*\./, ''));
+}
+
+/**
+ * Docs chunks that mention the key by its full dotted path, or else by its
+ * last two names (`sandbox.mode`), which is how docs often write nested keys.
+ */
+function docsMentioning(key) {
+  const segments = key.replace(/\[\]/g, '').split('.');
+  const named = segments.slice(segments.lastIndexOf('*') + 1);
+  const terms = [...new Set([named.length === segments.length ? key.replace(/\[\]/g, '') : null, named.slice(-2).join('.')])]
+    .filter(term => term?.includes('.'));
+
+  for (const term of terms) {
+    const mention = new RegExp(`(?<![\\w$])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`);
+    const chunks = getChunksContaining(term, { contentTypes: DOC_CONTENT_TYPES })
+      .filter(chunk => mention.test(chunkBody(chunk.text)));
+    if (chunks.length > 0) {
+      return { docsTerm: term, docs: chunks.slice(0, DOC_LINK_LIMIT).map(({ text, ...chunk }) => chunk) };
+    }
+  }
+  return { docsTerm: null, docs: [] };
+}
+
+/**
+ * Render a lookup: each exact match in full (type, values, default,
+ * description, declaration, children and docs), or one line per prefix match.
+ * @param {ReturnType<typeof lookupConfigKeys>} result
+ * @returns {string}
+ */
+export function formatConfigKeys({ match, total, keys }) {
+  const more = total > keys.length ? `\n… ${total - keys.length} more keys (raise --limit or narrow the prefix)` : '';
+  if (match === 'prefix') {
+    return keys.map(k => {
+      const value = k.defaultValue !== null ? ` = ${k.defaultValue}` : '';
+      const description = k.description ? `  ${preview(k.description)}` : '';
+      return `${k.key}: ${k.type}${value}${description}`;
+    }).join('\n') + more;
+  }
+
+  return keys.map(k => {
+    const out = [`${k.key} (${k.type}${k.optional ? ', optional' : ''})`];
+    if (k.description) out.push(`  ${k.description}`);
+    if (k.values) out.push(`  Values: ${k.values.map(v => JSON.stringify(v)).join(' | ')}`);
+    if (k.defaultValue !== null) out.push(`  Default: ${k.defaultValue}`);
+    out.push(`  Defined in: ${k.path}:${k.startLine}${k.endLine > k.startLine ? `-${k.endLine}` : ''}${k.schema ? ` (${k.schema})` : ''}`);
+    if (k.children.length > 0) out.push(`  Keys: ${k.children.join(', ')}`);
+    if (k.docs.length > 0) {
+      out.push(`  Docs mentioning ${k.docsTerm}:`);
+      for (const d of k.docs) out.push(`    ${d.path}:${d.startLine}-${d.endLine}${d.section ? ` (${d.section})` : ''}, chunk ${d.id}`);
+    }
+    return out.join('\n');
+  }).join('\n\n') + more;
+}
+
+function preview(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > DESCRIPTION_PREVIEW ? `${line.slice(0, DESCRIPTION_PREVIEW - 1)}…` : line;
+}
@@ -1,5 +1,7 @@
 import { fileURLToPath } from 'node:url';
 import { dirname, join, resolve } from 'node:path';
+import { existsSync, readFileSync } from 'node:fs';
+import { z } from 'zod';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -31,6 +33,17 @@ export function getGitRemote() {
   return process.env.KB_GIT_REMOTE || 'upstream';
 }
 
+/**
+ * Resolve the project config file: KB_CONFIG (set by --config) wins,
+ * otherwise openclaw-kb.config.json inside KB_DATA_DIR if it exists.
+ * @returns {string|null}
+ */
+export function getConfigPath() {
+  if (process.env.KB_CONFIG) return resolve(process.env.KB_CONFIG);
+  const candidate = join(getKbDataDir(), CONFIG_FILE_NAME);
+  return existsSync(candidate) ? candidate : null;
+}
+
 // --- Static exports for backward compatibility (read at import time) ---
 
 // Use environment variable or default to source directory inside this repo
@@ -62,29 +75,109 @@ export const LOCAL_MODEL = process.env.KB_LOCAL_MODEL || 'all-MiniLM-L6-v2';
  * @param {string} model - Embedding model name
  * @returns {number} - Embedding dimensions
  */
-function getEmbeddingDims(model) {
+export function getEmbeddingDims(model) {
   const dims = {
     'text-embedding-3-small': 1536,
     'text-embedding-3-large': 3072,
     'nomic-embed-text-v2': 768,
+    'nomic-embed-text': 768,
+    'mxbai-embed-large': 1024,
+    'bge-m3': 1024,
+    'all-minilm': 384,
     'all-MiniLM-L6-v2': 384,
+    'feature-hash-v1': 512,
   };
   return dims[model] || 1536;
 }
 
+// USD per 1M input tokens on api.openai.com; self-hosted and local models are free
+const EMBEDDING_PRICES = {
+  'text-embedding-3-small': 0.02,
+  'text-embedding-3-large': 0.13,
+  'text-embedding-ada-002': 0.10,
+};
+
+/**
+ * Price of the active embedding model per 1M tokens, for cost reports and
+ * `--max-cost`. `embedding.pricePerMillionTokens` in the config file overrides it.
+ * @param {{ provider: string, model: string, baseUrl: string|null }} settings
+ * @returns {number} - USD per 1M tokens (0 when free)
+ */
+export function getEmbeddingPrice(settings) {
+  const override = getConfig().embedding.pricePerMillionTokens;
+  if (override !== undefined) return override;
+  if (settings.provider !== 'openai' || settings.baseUrl !== DEFAULT_OPENAI_BASE_URL) return 0;
+  return EMBEDDING_PRICES[settings.model] ?? 0;
+}
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434';
+
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  ollama: 'nomic-embed-text',
+  hash: 'feature-hash-v1',
+};
+
 export const EMBEDDING_DIMS = EMBEDDING_PROVIDER === 'local'
   ? getEmbeddingDims(LOCAL_MODEL)
   : getEmbeddingDims(EMBEDDING_MODEL);
 
+/**
+ * Active embedding settings, read from env at call time so a provider
+ * adopted from the DB metadata (see openDb) takes effect.
+ *
+ * KB_EMBEDDING_BASE_URL points the `openai` provider at any OpenAI-compatible
+ * server (or `ollama` at a non-default host); KB_EMBEDDING_DIMS declares the
+ * vector size for models the built-in table does not know.
+ *
+ * KB_EMBEDDING_THREADS (set by `index --threads`) runs the `local` provider
+ * in that many worker threads.
+ *
+ * @returns {{ provider: string, model: string, dims: number, baseUrl: string|null, apiKey: string|null, threads: number }}
+ */
+export function getEmbeddingSettings() {
+  const provider = getEmbeddingProvider();
+  const model = provider === 'local'
+    ? (process.env.KB_LOCAL_MODEL || 'all-MiniLM-L6-v2')
+    : (process.env.KB_EMBEDDING_MODEL || DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai);
+  const declaredDims = parseInt(process.env.KB_EMBEDDING_DIMS, 10);
+  const threads = parseInt(process.env.KB_EMBEDDING_THREADS, 10);
+  const defaultBaseUrl = provider === 'ollama' ? DEFAULT_OLLAMA_BASE_URL
+    : provider === 'openai' ? DEFAULT_OPENAI_BASE_URL
+      : null;
+
+  return {
+    provider,
+    model,
+    dims: declaredDims > 0 ? declaredDims : getEmbeddingDims(model),
+    baseUrl: (process.env.KB_EMBEDDING_BASE_URL || defaultBaseUrl)?.replace(/\/+$/, '') ?? null,
+    apiKey: process.env.KB_EMBEDDING_API_KEY || (provider === 'openai' ? process.env.OPENAI_API_KEY : null) || null,
+    threads: threads > 0 ? threads : 1,
+  };
+}
+
+export function getEmbeddingProvider() {
+  return process.env.KB_EMBEDDING_PROVIDER || 'openai';
+}
+
 export const CHUNK_MAX_CHARS = 1600;       // ~400 tokens
-export const CHUNK_OVERLAP_CHARS = 200;    // ~50 tokens overlap
+export const CHUNK_OVERLAP_CHARS = 200;    // ~50 tokens overlap, line-window chunking only
 export const EMBEDDING_BATCH_SIZE = 50;    // texts per API call
+export const EMBEDDING_MAX_BATCH_TOKENS = 20000;  // estimated tokens per API call
+export const EMBEDDING_CONCURRENCY = 4;    // API calls in flight
+export const EMBEDDING_TIMEOUT_MS = 60000; // per API call, then retried
 export const EMBEDDING_API_URL = 'https://api.openai.com/v1/embeddings';
 export const MAX_EMBEDDING_SAFE_CHARS = 6000;
 
 // Hybrid search weights
 export const VECTOR_WEIGHT = 0.7;
 export const TEXT_WEIGHT = 0.3;
+export const RRF_K = 60;                   // rank damping for reciprocal rank fusion
+export const SEARCH_FUSION_MODES = ['rrf', 'score'];
+export const RERANK_MODEL = 'ms-marco-MiniLM-L-6-v2';  // cross-encoder for --rerank
+export const RERANK_CANDIDATES = 30;       // fused results the cross-encoder rescores
+export const MMR_LAMBDA = 0.7;             // --mmr relevance vs diversity trade-off
 
 // Sources to index with glob patterns (relative to UPSTREAM_ROOT)
 export const SOURCES = [
@@ -146,3 +239,152 @@ export const SOURCES = [
     exclude: ['**/*Tests*'],
   },
 ];
+
+// --- Project config file ---
+
+export const CONFIG_FILE_NAME = 'openclaw-kb.config.json';
+
+const SourceSchema = z.object({
+  name: z.string().min(1),
+  globs: z.array(z.string().min(1)).min(1),
+  exclude: z.array(z.string().min(1)).default([]),
+}).strict();
+
+export const ConfigFileSchema = z.object({
+  $schema: z.string().optional(),
+  sources: z.array(SourceSchema).min(1)
+    .refine(sources => new Set(sources.map(s => s.name)).size === sources.length, 'source names must be unique')
+    .optional(),
+  chunking: z.object({
+    maxChars: z.number().int().positive().optional(),
+    overlapChars: z.number().int().nonnegative().optional(),
+  }).strict().optional(),
+  embedding: z.object({
+    batchSize: z.number().int().positive().max(2048).optional(),
+    maxBatchTokens: z.number().int().positive().optional(),
+    concurrency: z.number().int().positive().max(64).optional(),
+    // 0 disables the limit
+    requestsPerMinute: z.number().int().nonnegative().optional(),
+    tokensPerMinute: z.number().int().nonnegative().optional(),
+    timeoutMs: z.number().int().positive().optional(),
+    pricePerMillionTokens: z.number().nonnegative().optional(),
+  }).strict().optional(),
+  search: z.object({
+    vectorWeight: z.number().nonnegative().optional(),
+    textWeight: z.number().nonnegative().optional(),
+    rrfK: z.number().nonnegative().optional(),
+    fusion: z.enum(SEARCH_FUSION_MODES).optional(),
+    rerankModel: z.string().min(1).optional(),
+    rerankCandidates: z.number().int().positive().max(200).optional(),
+    collapseOverlaps: z.boolean().optional(),
+    mmrLambda: z.number().min(0).max(1).optional(),
+  }).strict().optional(),
+}).strict();
+
+function getDefaultConfig() {
+  return {
+    sources: SOURCES,
+    chunking: { maxChars: CHUNK_MAX_CHARS, overlapChars: CHUNK_OVERLAP_CHARS },
+    embedding: {
+      batchSize: EMBEDDING_BATCH_SIZE,
+      maxBatchTokens: EMBEDDING_MAX_BATCH_TOKENS,
+      concurrency: EMBEDDING_CONCURRENCY,
+      requestsPerMinute: 0,
+      tokensPerMinute: 0,
+      timeoutMs: EMBEDDING_TIMEOUT_MS,
+    },
+    search: {
+      vectorWeight: VECTOR_WEIGHT,
+      textWeight: TEXT_WEIGHT,
+      rrfK: RRF_K,
+      fusion: 'rrf',
+      rerankModel: RERANK_MODEL,
+      rerankCandidates: RERANK_CANDIDATES,
+      collapseOverlaps: true,
+      mmrLambda: MMR_LAMBDA,
+    },
+  };
+}
+
+const configCache = new Map();
+
+/**
+ * Load the effective project config: defaults with the config file merged over them.
+ * Objects merge key by key; `sources` is replaced as a whole.
+ * Results are cached per config path.
+ * @returns {{ path: string|null, values: object, origins: Record<string, string> }}
+ * @throws {Error} When the config file cannot be read, parsed or validated
+ */
+export function loadConfig() {
+  const path = getConfigPath();
+  const cacheKey = path || '';
+  if (configCache.has(cacheKey)) return configCache.get(cacheKey);
+
+  const values = getDefaultConfig();
+  const origins = {};
+  for (const key of flattenKeys(values)) origins[key] = 'default';
+
+  if (path) {
+    const fileConfig = readConfigFile(path);
+    for (const [section, value] of Object.entries(fileConfig)) {
+      if (section === '$schema' || value === undefined) continue;
+      if (section === 'sources') {
+        values.sources = value;
+        origins.sources = path;
+        continue;
+      }
+      for (const [key, leaf] of Object.entries(value)) {
+        if (leaf === undefined) continue;
+        values[section][key] = leaf;
+        origins[`${section}.${key}`] = path;
+      }
+    }
+
+    if (values.chunking.overlapChars >= values.chunking.maxChars) {
+      throw new Error(`Invalid config ${path}: chunking.overlapChars (${values.chunking.overlapChars}) must be smaller than chunking.maxChars (${values.chunking.maxChars})`);
+    }
+  }
+
+  const loaded = { path, values, origins };
+  configCache.set(cacheKey, loaded);
+  return loaded;
+}
+
+/**
+ * Effective config values (see loadConfig).
+ * @returns {object}
+ */
+export function getConfig() {
+  return loadConfig().values;
+}
+
+function readConfigFile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Config file not found: ${path}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid config ${path}: ${err.message}`);
+  }
+
+  const parsed = ConfigFileSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid config ${path}: ${issues}`);
+  }
+  return parsed.data;
+}
+
+function flattenKeys(values) {
+  const keys = [];
+  for (const [section, value] of Object.entries(values)) {
+    if (Array.isArray(value) || typeof value !== 'object') keys.push(section);
+    else for (const key of Object.keys(value)) keys.push(`${section}.${key}`);
+  }
+  return keys;
+}
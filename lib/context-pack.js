@@ -0,0 +1,145 @@
+/**
+ * Token-budgeted "context packs": one markdown bundle of the most relevant
+ * docs, code and release notes for a question, with file/line citations, for
+ * pasting into an LLM prompt instead of several raw search result lists.
+ */
+
+import { hybridSearch, searchFTS } from './db.js';
+import { embedQuery, estimateTokens } from './embedder.js';
+import { expandQuery } from './synonyms.js';
+import { collapseOverlapping } from './search-results.js';
+import { chunkBody } from './chunker.js';
+
+export const CONTEXT_BUDGET = 8000;    // default token budget
+const CONTEXT_POOL_SIZE = 20;          // candidates fetched per scope
+const MIN_SECTION_TOKENS = 120;        // smallest truncated excerpt worth including
+const SUMMARY_TOKENS = 32;             // reserved for the "N excerpts, ~T tokens" header line
+
+/** Searched separately so code hits cannot crowd out docs and release notes */
+const CONTEXT_SCOPES = [
+  { name: 'docs', filters: { type: ['docs', 'skill', 'release'], exclude: { source: ['releases'] } } },
+  { name: 'code', filters: { type: ['code', 'config'] } },
+  { name: 'releases', filters: { source: ['releases'] } },
+];
+
+/**
+ * Search every scope and pool the hits, best first, one entry per chunk.
+ * @param {string} question - Search text without inline filters
+ * @param {{ offline?: boolean, filters?: object|null }} [options] - `filters` (SearchFilters) narrow every scope
+ * @returns {Promise<object[]>}
+ */
+export async function collectContext(question, { offline = false, filters = null } = {}) {
+  const expandedQuery = expandQuery(question);
+  const queryEmbedding = offline ? null : await embedQuery(expandedQuery);
+
+  const byId = new Map();
+  for (const scope of CONTEXT_SCOPES) {
+    // The user's filters narrow the scope; they never replace its own
+    const scopeFilters = filters ? [scope.filters, filters] : scope.filters;
+    const results = offline
+      ? searchFTS(expandedQuery, CONTEXT_POOL_SIZE, null, null, scopeFilters)
+      : hybridSearch(queryEmbedding, expandedQuery, CONTEXT_POOL_SIZE, null, null, {}, scopeFilters);
+    for (const r of results) {
+      if (!byId.has(r.id) || byId.get(r.id).score < r.score) byId.set(r.id, r);
+    }
+  }
+  return [...byId.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merge neighbouring chunks, drop repeated text and fill `budget` tokens with
+ * the best excerpts. An excerpt that no longer fits is cut short when at least
+ * MIN_SECTION_TOKENS remain, otherwise skipped in favour of smaller ones.
+ * @param {string} question
+ * @param {object[]} results - Ranked search results, best first
+ * @param {{ budget?: number, release?: string|null }} [options]
+ * @returns {{ markdown: string, tokens: number, sections: { citation: string, contentType: string, truncated: boolean }[], omitted: number }}
+ */
+export function buildContextPack(question, results, { budget = CONTEXT_BUDGET, release = null } = {}) {
+  const seen = new Set();
+  const candidates = collapseOverlapping(results).filter(r => {
+    const body = chunkBody(r.text).trim();
+    if (seen.has(body)) return false;
+    seen.add(body);
+    return true;
+  });
+
+  const title = `# Context: ${question}`;
+  let remaining = budget - estimateTokens(title) - SUMMARY_TOKENS;
+  const sections = [];
+  let omitted = 0;
+
+  for (const r of candidates) {
+    // Sections are joined with a blank line
+    let section = formatSection(sections.length + 1, r, null);
+    let cost = estimateTokens(`\n\n${section.markdown}`);
+    if (cost > remaining && remaining >= MIN_SECTION_TOKENS) {
+      section = truncateSection(sections.length + 1, r, remaining - 1);
+      cost = section ? estimateTokens(`\n\n${section.markdown}`) : Infinity;
+    }
+    if (cost > remaining) {
+      omitted++;
+      continue;
+    }
+    sections.push(section);
+    remaining -= cost;
+  }
+
+  const usedTokens = budget - remaining;
+  const omittedNote = omitted > 0 ? `; ${omitted} more matches did not fit the budget` : '';
+  const summary = `Indexed release: ${release ?? 'unknown'}. ${sections.length} excerpts, ~${usedTokens} tokens${omittedNote}.`;
+  const markdown = [title, summary, ...sections.map(s => s.markdown)].join('\n\n');
+
+  return {
+    markdown,
+    tokens: estimateTokens(markdown),
+    sections: sections.map(({ citation, contentType, truncated }) => ({ citation, contentType, truncated })),
+    omitted,
+  };
+}
+
+/**
+ * One cited excerpt. Chunks with a `// File:` header map body lines to file
+ * lines, so they are cited as path:start-end; release notes by path only.
+ * @param {number} n - 1-based position in the pack
+ * @param {object} r - Search result
+ * @param {number|null} maxLines - Keep only the first maxLines lines
+ */
+function formatSection(n, r, maxLines) {
+  const lineBased = chunkBody(r.text) !== r.text;
+  const allLines = chunkBody(r.text).split('\n');
+  const lines = maxLines === null ? allLines : allLines.slice(0, maxLines);
+  const truncated = lines.length < allLines.length;
+  const endLine = truncated && lineBased ? r.startLine + lines.length - 1 : r.endLine;
+  const citation = lineBased ? `${r.path}:${r.startLine}-${endLine}` : r.path;
+  const label = r.symbolName ? `${r.symbolName}${r.symbolKind ? ` (${r.symbolKind})` : ''}` : r.section;
+  const heading = label ? `${label} in ${citation}` : citation;
+
+  const body = lines.join('\n').replace(/\n+$/, '');
+  const fence = '`'.repeat(Math.max(3, ...[...body.matchAll(/`+/g)].map(m => m[0].length + 1)));
+  const note = truncated ? ', truncated' : '';
+  return {
+    citation,
+    contentType: r.contentType,
+    truncated,
+    markdown: `## [${n}] ${heading} (${r.contentType}${note})\n\n${fence}${r.language ?? ''}\n${body}\n${fence}`,
+  };
+}
+
+/** Longest prefix of the excerpt that fits `tokens`, or null when too little would remain. */
+function truncateSection(n, r, tokens) {
+  let low = 1;
+  let high = chunkBody(r.text).split('\n').length - 1;
+  let best = null;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const section = formatSection(n, r, mid);
+    if (estimateTokens(section.markdown) <= tokens) {
+      best = section;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return best && estimateTokens(best.markdown) >= MIN_SECTION_TOKENS ? best : null;
+}
@@ -1,8 +1,15 @@
 import { DatabaseSync } from 'node:sqlite';
-import { mkdirSync } from 'node:fs';
+import { existsSync, mkdirSync } from 'node:fs';
 import { dirname } from 'node:path';
 import { createRequire } from 'node:module';
-import { getDbPath, EMBEDDING_DIMS, VECTOR_WEIGHT, TEXT_WEIGHT } from './config.js';
+import { getDbPath, getEmbeddingSettings, getConfig } from './config.js';
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+import { runMigrations, planMigrations, getSchemaVersion, vectorTableSql } from './migrations.js';
+import { identifierSubwords, compoundIdentifiers, extractTerms } from './identifiers.js';
+import { parseReleaseFilter } from './query-filters.js';
+
+// Keyword hits on a whole compound identifier from the query outrank sub-word hits
+const WHOLE_IDENTIFIER_BOOST = 2;
 
 const require = createRequire(import.meta.url);
 
@@ -11,9 +18,16 @@ let vecLoaded = false;
 
 /**
  * Open (or create) the SQLite database and initialize schema.
+ *
+ * The embedding provider/model recorded in kb_meta is adopted when the env
+ * does not choose one; an explicit disagreement throws an error with
+ * `exitCode = EXIT_CONFIG_ERROR` unless `resetEmbeddings` is set, in which
+ * case the vector table is dropped so it can be rebuilt with new dimensions.
+ *
+ * @param {{ resetEmbeddings?: boolean }} [options]
  * @returns {DatabaseSync}
  */
-export function openDb() {
+export function openDb({ resetEmbeddings = false } = {}) {
   if (db) return db;
 
   const dbPath = getDbPath();
@@ -24,14 +38,20 @@ export function openDb() {
 
   // Load sqlite-vec extension
   try {
-    const sqliteVec = require('sqlite-vec');
-    sqliteVec.load(db);
+    loadVecExtension(db);
     vecLoaded = true;
   } catch (e) {
     console.error(`Warning: sqlite-vec not available (${e.message}). Vector search disabled.`);
   }
 
-  initSchema();
+  try {
+    runMigrations(db, msg => console.error(`[db] ${msg}`));
+    reconcileEmbeddingMeta(resetEmbeddings);
+  } catch (e) {
+    closeDb();
+    throw e;
+  }
+  initVectorTable();
   return db;
 }
 
@@ -47,152 +67,167 @@ export function closeDb() {
   }
 }
 
-function initSchema() {
-  // Create tables
-  const createTablesSQL = `
-    CREATE TABLE IF NOT EXISTS files (
-      path TEXT PRIMARY KEY,
-      source TEXT NOT NULL,
-      hash TEXT NOT NULL,
-      indexed_at INTEGER NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS chunks (
-      id TEXT PRIMARY KEY,
-      path TEXT NOT NULL,
-      source TEXT NOT NULL,
-      start_line INTEGER NOT NULL,
-      end_line INTEGER NOT NULL,
-      hash TEXT NOT NULL,
-      text TEXT NOT NULL
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_chunks_path ON chunks(path);
-    CREATE INDEX IF NOT EXISTS idx_chunks_source ON chunks(source);
-  `;
-
-  db.exec(createTablesSQL);
+/**
+ * Check or apply schema migrations on the DB file without the rest of openDb
+ * (no sqlite-vec, no embedding checks). A dry run never creates or writes the file.
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {{ from: number, to: number, pending: { version: number, name: string }[] }}
+ */
+export function migrateDb({ dryRun = false } = {}) {
+  const dbPath = getDbPath();
+  const exists = existsSync(dbPath);
+  if (!dryRun) mkdirSync(dirname(dbPath), { recursive: true });
 
-  // Releases table for tracking upstream versions
+  const handle = dryRun && !exists
+    ? new DatabaseSync(':memory:')
+    : new DatabaseSync(dbPath, { readOnly: dryRun, allowExtension: true });
   try {
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS releases (
-        tag TEXT PRIMARY KEY,
-        date TEXT NOT NULL,
-        commit_hash TEXT NOT NULL,
-        previous_tag TEXT,
-        commits_count INTEGER,
-        files_changed INTEGER,
-        kb_files_changed INTEGER,
-        kb_impact TEXT,
-        changelog_json TEXT,
-        indexed_at INTEGER
-      );
-    `);
-    db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_releases_date ON releases(date DESC);
-    `);
-  } catch (e) {
-    console.error('[db] Warning: Failed to create releases table:', e.message);
+    // Rebuilding chunks_vec needs the vec0 module; other steps run without it
+    if (!dryRun) {
+      try { loadVecExtension(handle); } catch { /* checked by the migration that needs it */ }
+    }
+    return dryRun ? planMigrations(handle) : runMigrations(handle);
+  } finally {
+    handle.close();
   }
+}
 
-  // Migrate: Add metadata columns if they don't exist
-  try {
-    db.exec('ALTER TABLE chunks ADD COLUMN content_type TEXT DEFAULT \'unknown\'');
-  } catch (e) {
-    // Column already exists, that's fine
-  }
+function loadVecExtension(handle) {
+  const sqliteVec = require('sqlite-vec');
+  sqliteVec.load(handle);
+}
 
-  try {
-    db.exec('ALTER TABLE chunks ADD COLUMN language TEXT');
-  } catch (e) {
-    // Column already exists, that's fine
+function initVectorTable() {
+  // Vector table via sqlite-vec
+  if (vecLoaded) {
+    try {
+      db.exec(vectorTableSql(getEmbeddingSettings().dims));
+    } catch (e) {
+      // Table might already exist
+      if (!e.message.includes('already exists')) {
+        console.error(`Warning: vec0 table creation failed (${e.message}).`);
+        vecLoaded = false;
+      }
+    }
   }
+}
 
-  try {
-    db.exec('ALTER TABLE chunks ADD COLUMN category TEXT');
-  } catch (e) {
-    // Column already exists, that's fine
-  }
+// --- Index metadata ---
 
-  // Migrate: Add indexed_release column to chunks
-  try {
-    db.exec('ALTER TABLE chunks ADD COLUMN indexed_release TEXT DEFAULT NULL');
-  } catch (e) {
-    // Column already exists, that's fine
-  }
+const EMBEDDING_META_KEYS = ['embedding_provider', 'embedding_model', 'embedding_dims'];
 
-  // Migrate: Add indexed_release column to files
-  try {
-    db.exec('ALTER TABLE files ADD COLUMN indexed_release TEXT DEFAULT NULL');
-  } catch (e) {
-    // Column already exists, that's fine
-  }
+/**
+ * Read all kb_meta entries.
+ * @returns {Record<string, string>}
+ */
+export function getIndexMeta() {
+  return prepare('SELECT key, value FROM kb_meta').all()
+    .reduce((meta, r) => { meta[r.key] = r.value; return meta; }, {});
+}
 
-  // Create indexes for new columns
-  try {
-    db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_content_type ON chunks(content_type)');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_language ON chunks(language)');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_category ON chunks(category)');
-    db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_indexed_release ON chunks(indexed_release)');
-  } catch (e) {
-    // Indexes might already exist
+/**
+ * Upsert kb_meta entries. Values are stored as strings.
+ * @param {Record<string, string|number>} entries
+ */
+export function setIndexMeta(entries) {
+  const upsert = prepare(`
+    INSERT INTO kb_meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `);
+  for (const [key, value] of Object.entries(entries)) {
+    upsert.run(key, String(value));
   }
+}
 
-  // FTS5 for keyword search with metadata for filtering
-  try {
-    // Check if FTS table needs migration (drop if schema changed)
-    let needsRecreate = false;
+/**
+ * Record the active embedding settings as the ones this index is built with.
+ * @param {Record<string, string|number>} [extra] - Additional entries (e.g. chunker_version)
+ */
+export function recordEmbeddingMeta(extra = {}) {
+  const { provider, model, dims } = getEmbeddingSettings();
+  setIndexMeta({
+    embedding_provider: provider,
+    embedding_model: model,
+    embedding_dims: dims,
+    ...extra,
+  });
+}
 
-    try {
-      // Check if indexed_release column exists in FTS table
-      db.prepare("SELECT indexed_release FROM chunks_fts LIMIT 0").all();
-    } catch {
-      // indexed_release column missing or table doesn't exist, need to recreate
-      needsRecreate = true;
-    }
+/**
+ * Checkpoint of an index run that has not finished (see `index --resume`).
+ * @returns {{ startedAt: number, release: string|null, force: boolean, reuseVectors: boolean }|null}
+ */
+export function getIndexCheckpoint() {
+  const value = getIndexMeta().index_checkpoint;
+  return value ? JSON.parse(value) : null;
+}
 
-    if (needsRecreate) {
-      try {
-        db.exec('DROP TABLE IF EXISTS chunks_fts');
-        console.log('[db] Dropped FTS table for schema update');
-      } catch {
-        // Table might not exist, that's fine
-      }
-    }
+/**
+ * Record (or, with null, clear) the checkpoint of the running index.
+ * @param {{ startedAt: number, release: string|null, force: boolean, reuseVectors: boolean }|null} checkpoint
+ */
+export function setIndexCheckpoint(checkpoint) {
+  if (checkpoint) setIndexMeta({ index_checkpoint: JSON.stringify(checkpoint) });
+  else prepare("DELETE FROM kb_meta WHERE key = 'index_checkpoint'").run();
+}
 
-    db.exec(`
-      CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
-        text,
-        id UNINDEXED,
-        path UNINDEXED,
-        source UNINDEXED,
-        content_type UNINDEXED,
-        language UNINDEXED,
-        indexed_release UNINDEXED
-      );
-    `);
-  } catch (e) {
-    console.error(`Warning: FTS5 not available (${e.message}).`);
+function reconcileEmbeddingMeta(resetEmbeddings) {
+  const meta = getIndexMeta();
+
+  // Read-only clients of a synced DB follow whatever the index was built with
+  if (meta.embedding_provider && !process.env.KB_EMBEDDING_PROVIDER) {
+    process.env.KB_EMBEDDING_PROVIDER = meta.embedding_provider;
+  }
+  if (meta.embedding_model && process.env.KB_EMBEDDING_PROVIDER === meta.embedding_provider) {
+    const modelVar = meta.embedding_provider === 'local' ? 'KB_LOCAL_MODEL' : 'KB_EMBEDDING_MODEL';
+    if (!process.env[modelVar]) process.env[modelVar] = meta.embedding_model;
+    // Declared dimensions of self-hosted models travel with the DB too
+    if (meta.embedding_dims && !process.env.KB_EMBEDDING_DIMS && process.env[modelVar] === meta.embedding_model) {
+      process.env.KB_EMBEDDING_DIMS = meta.embedding_dims;
+    }
   }
 
-  // Vector table via sqlite-vec
-  if (vecLoaded) {
-    try {
-      db.exec(`
-        CREATE VIRTUAL TABLE IF NOT EXISTS chunks_vec USING vec0(
-          id TEXT PRIMARY KEY,
-          embedding float32[${EMBEDDING_DIMS}]
-        );
-      `);
-    } catch (e) {
-      // Table might already exist
-      if (!e.message.includes('already exists')) {
-        console.error(`Warning: vec0 table creation failed (${e.message}).`);
-        vecLoaded = false;
-      }
+  const current = getEmbeddingSettings();
+  const indexed = {
+    provider: meta.embedding_provider || null,
+    model: meta.embedding_model || null,
+    dims: meta.embedding_dims ? Number(meta.embedding_dims) : getVectorTableDims(),
+  };
+
+  const mismatch = (indexed.provider && indexed.provider !== current.provider)
+    || (indexed.model && indexed.model !== current.model)
+    || (indexed.dims && indexed.dims !== current.dims);
+  if (!mismatch) return;
+
+  if (resetEmbeddings) {
+    console.error(`[db] Embeddings change from ${describeEmbedding(indexed)} to ${describeEmbedding(current)}, dropping vectors for rebuild`);
+    db.exec('DROP TABLE IF EXISTS chunks_vec');
+    for (const key of EMBEDDING_META_KEYS) {
+      prepare('DELETE FROM kb_meta WHERE key = ?').run(key);
     }
+    return;
   }
+
+  const err = new Error(
+    `Database was indexed with ${describeEmbedding(indexed)} embeddings, ` +
+    `but the current environment uses ${describeEmbedding(current)}. ` +
+    'Unset KB_EMBEDDING_PROVIDER/KB_EMBEDDING_MODEL/KB_LOCAL_MODEL/KB_EMBEDDING_DIMS to use the indexed provider, ' +
+    'or run `openclaw-kb index --force` to rebuild with the new one.'
+  );
+  err.exitCode = EXIT_CONFIG_ERROR;
+  throw err;
+}
+
+/** Dimensions declared by an existing chunks_vec table (for DBs that predate kb_meta). */
+function getVectorTableDims() {
+  const row = prepare("SELECT sql FROM sqlite_master WHERE name = 'chunks_vec'").get();
+  const match = row?.sql?.match(/float32\[(\d+)\]/);
+  return match ? Number(match[1]) : null;
+}
+
+function describeEmbedding({ provider, model, dims }) {
+  const name = [provider, model].filter(Boolean).join('/') || 'unknown';
+  return dims ? `${name} (${dims} dims)` : name;
 }
 
 // --- File tracking ---
@@ -208,6 +243,16 @@ export function getFileHash(path) {
   return row ? row.hash : null;
 }
 
+/**
+ * Stored hash, index time and release of a file.
+ * @param {string} path
+ * @returns {{ hash: string, indexedAt: number, indexedRelease: string|null }|null}
+ */
+export function getFileRecord(path) {
+  const row = prepare('SELECT hash, indexed_at, indexed_release FROM files WHERE path = ?').get(path);
+  return row ? { hash: row.hash, indexedAt: row.indexed_at, indexedRelease: row.indexed_release } : null;
+}
+
 export function upsertFile(path, source, hash, indexedRelease = null) {
   prepare(`
     INSERT INTO files (path, source, hash, indexed_at, indexed_release)
@@ -226,26 +271,80 @@ export function deleteFile(path) {
 
 // --- Chunk operations ---
 
+/**
+ * Content hashes of a file's stored chunks (see hashChunkBody).
+ * @param {string} path
+ * @returns {Record<string, string>} - content hash → chunk id
+ */
 export function getChunkHashes(path) {
-  return prepare('SELECT id, hash FROM chunks WHERE path = ?')
+  return prepare('SELECT id, content_hash FROM chunks WHERE path = ? AND content_hash IS NOT NULL')
     .all(path)
-    .reduce((map, r) => { map[r.id] = r.hash; return map; }, {});
+    .reduce((map, r) => { map[r.content_hash] = r.id; return map; }, {});
+}
+
+/**
+ * A stored chunk by id.
+ * @param {string} id
+ * @returns {{ id: string, path: string, source: string, startLine: number, endLine: number, text: string, indexedRelease: string|null }|null}
+ */
+export function getChunk(id) {
+  const row = prepare(`
+    SELECT id, path, source, start_line, end_line, text, indexed_release
+    FROM chunks WHERE id = ?
+  `).get(id);
+  return row ? toStoredChunk(row) : null;
+}
+
+/**
+ * All stored chunks of a file, in line order.
+ * @param {string} path
+ * @returns {{ id: string, path: string, source: string, startLine: number, endLine: number, text: string, indexedRelease: string|null }[]}
+ */
+export function getFileChunks(path) {
+  return prepare(`
+    SELECT id, path, source, start_line, end_line, text, indexed_release
+    FROM chunks WHERE path = ?
+    ORDER BY start_line, end_line
+  `).all(path).map(toStoredChunk);
+}
+
+function toStoredChunk(r) {
+  return {
+    id: r.id,
+    path: r.path,
+    source: r.source,
+    startLine: r.start_line,
+    endLine: r.end_line,
+    text: r.text,
+    indexedRelease: r.indexed_release,
+  };
+}
+
+/**
+ * Load stored vectors for chunk ids.
+ * @param {string[]} ids
+ * @returns {Map<string, number[]>} - Only ids that have a vector
+ */
+export function getEmbeddings(ids) {
+  const vectors = new Map();
+  if (!vecLoaded) return vectors;
+  const select = prepare('SELECT embedding FROM chunks_vec WHERE id = ?');
+  for (const id of ids) {
+    const row = select.get(id);
+    if (row) vectors.set(id, blobToVector(row.embedding));
+  }
+  return vectors;
 }
 
 export function deleteChunksByPath(path) {
+  prepare('DELETE FROM symbols WHERE path = ?').run(path);
   const ids = prepare('SELECT id FROM chunks WHERE path = ?').all(path).map(r => r.id);
 
   if (ids.length === 0) return;
 
+  // chunks_fts follows through triggers
   prepare('DELETE FROM chunks WHERE path = ?').run(path);
 
-  // Delete from FTS
-  for (const id of ids) {
-    try {
-      prepare('DELETE FROM chunks_fts WHERE id = ?').run(id);
-    } catch { /* ignore if not in FTS */ }
-  }
-
   // Delete from vector table
   if (vecLoaded) {
     for (const id of ids) {
@@ -267,52 +366,88 @@ export function pruneOrphanedVectors() {
 }
 
 /**
- * Insert chunks and their embeddings into all three tables.
- * @param {{ id: string, path: string, source: string, startLine: number, endLine: number, text: string, hash: string, contentType: string, language: string, category: string }[]} chunks
+ * Insert chunks and their embeddings (chunks_fts follows through triggers).
+ * @param {{ id: string, path: string, source: string, startLine: number, endLine: number, text: string, hash: string, contentHash?: string, contentType: string, language: string, category: string }[]} chunks
  * @param {number[][]} embeddings - parallel array of embedding vectors
  * @param {string|null} indexedRelease - Release tag that indexed these chunks (e.g., 'v2026.2.12')
  */
 export function insertChunks(chunks, embeddings, indexedRelease = null) {
-  const insertChunk = prepare(`
-    INSERT OR REPLACE INTO chunks (id, path, source, start_line, end_line, hash, text, content_type, language, category, indexed_release)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  transaction(() => {
+    pruneOrphanedVectors();
+    insertChunkRows(chunks, embeddings, indexedRelease);
+  });
+}
+
+/**
+ * Replace the chunks and symbols of a batch of files and record their new
+ * hashes in one transaction, so a file is only marked up to date once its
+ * chunks and vectors are stored.
+ * @param {{ path: string, source: string, hash: string, indexedRelease?: string|null, symbols?: { name: string, kind: string, startLine: number, endLine: number, language: string }[] }[]} files
+ * @param {object[]} chunks - New chunks of those files (see insertChunks)
+ * @param {number[][]} embeddings - parallel array of embedding vectors
+ * @param {string|null} indexedRelease - Release tag that indexed these chunks
+ */
+export function replaceFileChunks(files, chunks, embeddings, indexedRelease = null) {
+  transaction(() => {
+    for (const file of files) deleteChunksByPath(file.path);
+    insertChunkRows(chunks, embeddings, indexedRelease);
+    for (const file of files) {
+      insertSymbolRows(file, file.symbols ?? []);
+      upsertFile(file.path, file.source, file.hash, file.indexedRelease ?? null);
+    }
+  });
+}
+
+function insertSymbolRows(file, symbols) {
+  const insert = prepare(`
+    INSERT INTO symbols (name, kind, path, start_line, end_line, language, source, indexed_release)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
+  for (const s of symbols) {
+    insert.run(s.name, s.kind, file.path, s.startLine, s.endLine, s.language ?? null, file.source, file.indexedRelease ?? null);
+  }
+}
 
-  const insertFts = prepare(`
-    INSERT OR REPLACE INTO chunks_fts (text, id, path, source, content_type, language, indexed_release)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+function insertChunkRows(chunks, embeddings, indexedRelease) {
+  // Upsert rather than REPLACE: REPLACE deletes without firing the FTS delete trigger
+  const insertChunk = prepare(`
+    INSERT INTO chunks (id, path, source, start_line, end_line, hash, content_hash, text, identifiers, content_type, language, category,
+      symbol_name, symbol_kind, section, doc_title, doc_summary, doc_read_when, indexed_release)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      path = excluded.path, source = excluded.source, start_line = excluded.start_line, end_line = excluded.end_line,
+      hash = excluded.hash, content_hash = excluded.content_hash, text = excluded.text, identifiers = excluded.identifiers,
+      content_type = excluded.content_type, language = excluded.language, category = excluded.category,
+      symbol_name = excluded.symbol_name, symbol_kind = excluded.symbol_kind, section = excluded.section,
+      doc_title = excluded.doc_title, doc_summary = excluded.doc_summary, doc_read_when = excluded.doc_read_when,
+      indexed_release = excluded.indexed_release
   `);
 
   const insertVec = vecLoaded ? prepare(`
-    INSERT OR REPLACE INTO chunks_vec (id, embedding)
-    VALUES (?, ?)
+    INSERT OR REPLACE INTO chunks_vec (id, embedding, source, content_type, language)
+    VALUES (?, ?, ?, ?, ?)
   `) : null;
 
-  const createTablesSQLForTransaction = 'BEGIN';
-  db.exec(createTablesSQLForTransaction);
-  try {
-    pruneOrphanedVectors();
-
-    for (let i = 0; i < chunks.length; i++) {
-      const c = chunks[i];
-      insertChunk.run(
-        c.id, c.path, c.source, c.startLine, c.endLine, c.hash, c.text,
-        c.contentType || 'unknown', c.language || null, c.category || null,
-        indexedRelease
-      );
-
-      try {
-        insertFts.run(c.text, c.id, c.path, c.source, c.contentType || 'unknown', c.language || null, indexedRelease);
-      } catch (ftsErr) {
-        console.error(`[db] FTS insert failed for chunk ${c.id}: ${ftsErr.message}`);
-        // FTS insert failure is non-fatal, continue indexing
-      }
+  for (let i = 0; i < chunks.length; i++) {
+    const c = chunks[i];
+    insertChunk.run(
+      c.id, c.path, c.source, c.startLine, c.endLine, c.hash, c.contentHash || null, c.text, identifierSubwords(c.text),
+      c.contentType || 'unknown', c.language || null, c.category || null,
+      c.symbolName || null, c.symbolKind || null, c.section || null,
+      c.docTitle || null, c.docSummary || null, c.docReadWhen ? JSON.stringify(c.docReadWhen) : null, indexedRelease
+    );
 
-      if (insertVec && embeddings[i]) {
-        const blob = vectorToBlob(embeddings[i]);
-        insertVec.run(c.id, blob);
-      }
+    if (insertVec && embeddings[i]) {
+      const blob = vectorToBlob(embeddings[i]);
+      insertVec.run(c.id, blob, c.source, c.contentType || 'unknown', c.language || '');
     }
+  }
+}
+
+function transaction(fn) {
+  db.exec('BEGIN');
+  try {
+    fn();
     db.exec('COMMIT');
   } catch (e) {
     db.exec('ROLLBACK');
@@ -323,128 +458,111 @@ export function insertChunks(chunks, embeddings, indexedRelease = null) {
 // --- Search ---
 
 /**
- * Vector similarity search via sqlite-vec.
+ * Vector similarity search via sqlite-vec. Filters are applied inside the
+ * KNN query, so narrow filters still return `limit` rows when enough match.
  * @param {number[]} queryEmbedding
  * @param {number} limit
  * @param {string|null} sourceFilter
  * @param {string|null} contentTypeFilter
- * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, startLine: number, endLine: number, text: string, score: number }[]}
+ * @param {object|object[]|null} [filters] - SearchFilters (lib/query-filters.js), or several that must all hold, applied on top of the two above
+ * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, symbolName: string|null, symbolKind: string|null, section: string|null, docTitle: string|null, docSummary: string|null, docReadWhen: string[]|null, startLine: number, endLine: number, text: string, score: number }[]}
  */
-export function searchVector(queryEmbedding, limit = 10, sourceFilter = null, contentTypeFilter = null) {
+export function searchVector(queryEmbedding, limit = 10, sourceFilter = null, contentTypeFilter = null, filters = null) {
   if (!vecLoaded) return [];
 
-  const blob = vectorToBlob(queryEmbedding);
-  const candidateLimit = limit * 3; // fetch extra for filtering
+  // source/type/lang are chunks_vec columns; path and release narrow by id
+  const clauses = searchClauses(sourceFilter, contentTypeFilter, filters);
+  const conditions = [];
+  const params = [vectorToBlob(queryEmbedding), limit];
+  for (const clause of clauses.filter(cl => cl.vecSql)) {
+    conditions.push(`AND ${clause.vecSql}`);
+    params.push(...(clause.vecParams ?? clause.params));
+  }
+  const chunkClauses = clauses.filter(cl => !cl.vecSql);
+  if (chunkClauses.length > 0) {
+    conditions.push(`AND id IN (SELECT c.id FROM chunks c WHERE ${chunkClauses.map(cl => cl.sql).join(' AND ')})`);
+    params.push(...chunkClauses.flatMap(cl => cl.params));
+  }
+  params.push(limit);
 
+  // Several partition keys yield k rows each, hence the outer LIMIT
   const rows = prepare(`
-    SELECT v.id, v.distance
-    FROM chunks_vec v
-    WHERE v.embedding MATCH ?
-    ORDER BY v.distance
+    WITH knn AS (
+      SELECT id, distance
+      FROM chunks_vec
+      WHERE embedding MATCH ? AND k = ? ${conditions.join(' ')}
+    )
+    SELECT c.*, knn.distance
+    FROM knn JOIN chunks c ON c.id = knn.id
+    ORDER BY knn.distance
     LIMIT ?
-  `).all(blob, candidateLimit);
-
-  const results = [];
-  for (const row of rows) {
-    const chunk = prepare('SELECT * FROM chunks WHERE id = ?').get(row.id);
-    if (!chunk) continue;
-    if (sourceFilter && chunk.source !== sourceFilter) continue;
-    if (contentTypeFilter && chunk.content_type !== contentTypeFilter) continue;
-
-    results.push({
-      id: chunk.id,
-      path: chunk.path,
-      source: chunk.source,
-      contentType: chunk.content_type,
-      language: chunk.language,
-      category: chunk.category,
-      startLine: chunk.start_line,
-      endLine: chunk.end_line,
-      text: chunk.text,
-      score: 1 - row.distance, // distance to similarity
-    });
-
-    if (results.length >= limit) break;
-  }
+  `).all(...params);
 
-  return results;
+  return rows.map(row => toSearchResult(row, 1 - row.distance)); // distance to similarity
 }
 
 /**
- * Full-text keyword search via FTS5 BM25.
+ * Full-text keyword search via FTS5 BM25. Identifiers match whole and by
+ * sub-word (`provider schema` finds `TtsProviderSchema`); chunks containing
+ * a compound identifier from the query as a whole rank higher.
  * @param {string} query
  * @param {number} limit
  * @param {string|null} sourceFilter
  * @param {string|null} contentTypeFilter
- * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, startLine: number, endLine: number, text: string, score: number }[]}
+ * @param {object|object[]|null} [filters] - SearchFilters (lib/query-filters.js), or several that must all hold, applied on top of the two above
+ * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, symbolName: string|null, symbolKind: string|null, section: string|null, docTitle: string|null, docSummary: string|null, docReadWhen: string[]|null, startLine: number, endLine: number, text: string, score: number }[]}
  */
-export function searchFTS(query, limit = 10, sourceFilter = null, contentTypeFilter = null) {
+export function searchFTS(query, limit = 10, sourceFilter = null, contentTypeFilter = null, filters = null) {
   const ftsQuery = buildFtsQuery(query);
   if (!ftsQuery) return [];
 
-  const candidateLimit = limit * 3;
-
-  let sql, params;
-  if (sourceFilter && contentTypeFilter) {
-    sql = `
-      SELECT id, path, source, content_type, language, text, rank
-      FROM chunks_fts
-      WHERE chunks_fts MATCH ? AND source = ? AND content_type = ?
-      ORDER BY rank
-      LIMIT ?
-    `;
-    params = [ftsQuery, sourceFilter, contentTypeFilter, candidateLimit];
-  } else if (sourceFilter) {
-    sql = `
-      SELECT id, path, source, content_type, language, text, rank
-      FROM chunks_fts
-      WHERE chunks_fts MATCH ? AND source = ?
-      ORDER BY rank
-      LIMIT ?
-    `;
-    params = [ftsQuery, sourceFilter, candidateLimit];
-  } else if (contentTypeFilter) {
-    sql = `
-      SELECT id, path, source, content_type, language, text, rank
-      FROM chunks_fts
-      WHERE chunks_fts MATCH ? AND content_type = ?
-      ORDER BY rank
-      LIMIT ?
-    `;
-    params = [ftsQuery, contentTypeFilter, candidateLimit];
-  } else {
-    sql = `
-      SELECT id, path, source, content_type, language, text, rank
-      FROM chunks_fts
-      WHERE chunks_fts MATCH ?
-      ORDER BY rank
-      LIMIT ?
-    `;
-    params = [ftsQuery, candidateLimit];
+  const conditions = [];
+  const params = ftsQuery.whole ? [ftsQuery.whole, ftsQuery.match] : [ftsQuery.match];
+  for (const clause of searchClauses(sourceFilter, contentTypeFilter, filters)) {
+    conditions.push(`AND ${clause.sql}`);
+    params.push(...clause.params);
   }
+  params.push(limit);
 
   try {
-    const rows = prepare(sql).all(...params);
-    return rows.map(r => {
-      const chunk = prepare('SELECT * FROM chunks WHERE id = ?').get(r.id);
-      return {
-        id: r.id,
-        path: chunk ? chunk.path : r.path,
-        source: chunk ? chunk.source : r.source,
-        contentType: chunk ? chunk.content_type : r.content_type,
-        language: chunk ? chunk.language : r.language,
-        category: chunk ? chunk.category : null,
-        startLine: chunk ? chunk.start_line : 0,
-        endLine: chunk ? chunk.end_line : 0,
-        text: r.text,
-        score: bm25RankToScore(r.rank),
-      };
-    }).slice(0, limit);
+    // rank is negative BM25, so scaling it up moves whole-identifier hits ahead
+    const rank = ftsQuery.whole
+      ? `chunks_fts.rank * CASE WHEN c.seq IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?) THEN ${WHOLE_IDENTIFIER_BOOST} ELSE 1 END`
+      : 'chunks_fts.rank';
+    const rows = prepare(`
+      SELECT c.*, ${rank} AS rank
+      FROM chunks_fts JOIN chunks c ON c.seq = chunks_fts.rowid
+      WHERE chunks_fts MATCH ? ${conditions.join(' ')}
+      ORDER BY rank
+      LIMIT ?
+    `).all(...params);
+    return rows.map(row => toSearchResult(row, bm25RankToScore(row.rank)));
   } catch {
     return [];
   }
 }
 
+function toSearchResult(row, score) {
+  return {
+    id: row.id,
+    path: row.path,
+    source: row.source,
+    contentType: row.content_type,
+    language: row.language,
+    category: row.category,
+    symbolName: row.symbol_name,
+    symbolKind: row.symbol_kind,
+    section: row.section,
+    docTitle: row.doc_title,
+    docSummary: row.doc_summary,
+    docReadWhen: row.doc_read_when ? JSON.parse(row.doc_read_when) : null,
+    startLine: row.start_line,
+    endLine: row.end_line,
+    text: row.text,
+    score,
+  };
+}
+
 /**
  * Hybrid search merging vector + keyword results.
  * @param {number[]} queryEmbedding
@@ -452,75 +570,274 @@ export function searchFTS(query, limit = 10, sourceFilter = null, contentTypeFil
  * @param {number} limit
  * @param {string|null} sourceFilter
  * @param {string|null} contentTypeFilter
- * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, startLine: number, endLine: number, text: string, score: number }[]}
+ * @param {{ vectorWeight?: number, textWeight?: number, rrfK?: number, fusion?: 'rrf'|'score' }} [fusionOptions] - Defaults to the `search` config
+ * @param {object|object[]|null} [filters] - SearchFilters (lib/query-filters.js), or several that must all hold
+ * @returns {{ id: string, path: string, source: string, contentType: string, language: string, category: string, symbolName: string|null, symbolKind: string|null, section: string|null, docTitle: string|null, docSummary: string|null, docReadWhen: string[]|null, startLine: number, endLine: number, text: string, score: number }[]}
  */
-export function hybridSearch(queryEmbedding, queryText, limit = 8, sourceFilter = null, contentTypeFilter = null) {
-  const vecResults = searchVector(queryEmbedding, limit * 2, sourceFilter, contentTypeFilter);
-  const ftsResults = searchFTS(queryText, limit * 2, sourceFilter, contentTypeFilter);
+export function hybridSearch(queryEmbedding, queryText, limit = 8, sourceFilter = null, contentTypeFilter = null, fusionOptions = {}, filters = null) {
+  const vecResults = searchVector(queryEmbedding, limit * 2, sourceFilter, contentTypeFilter, filters);
+  const ftsResults = searchFTS(queryText, limit * 2, sourceFilter, contentTypeFilter, filters);
+  return fuseResults(vecResults, ftsResults, { ...getConfig().search, ...fusionOptions }).slice(0, limit);
+}
 
-  // Build rank maps (1-based positions)
-  const vectorRanks = new Map();
-  const textRanks = new Map();
+/**
+ * Merge ranked vector and keyword results into one list, best first.
+ *
+ * `rrf` (weighted reciprocal rank fusion) scores each result
+ * `vectorWeight / (rrfK + vectorRank) + textWeight / (rrfK + textRank)` and
+ * ignores raw scores. `score` min-max normalizes each list's scores to 0..1
+ * and takes `vectorWeight * vector + textWeight * text`, so a clear winner
+ * in one list keeps its margin. A result missing from a list gets 0 for it.
+ * @param {object[]} vecResults - searchVector results, best first
+ * @param {object[]} ftsResults - searchFTS results, best first
+ * @param {{ vectorWeight: number, textWeight: number, rrfK: number, fusion: 'rrf'|'score' }} options
+ * @returns {object[]} - Results with fused `score`, plus `vectorScore`, `textScore` and each list's weighted contribution
+ */
+export function fuseResults(vecResults, ftsResults, { vectorWeight, textWeight, rrfK, fusion }) {
+  const vectorComponents = fusion === 'score'
+    ? normalizeScores(vecResults)
+    : vecResults.map((r, idx) => 1 / (rrfK + idx + 1));
+  const textComponents = fusion === 'score'
+    ? normalizeScores(ftsResults)
+    : ftsResults.map((r, idx) => 1 / (rrfK + idx + 1));
+
+  // Merge by ID
+  const merged = new Map();
+  const entry = (r) => {
+    if (!merged.has(r.id)) {
+      merged.set(r.id, { ...r, vectorScore: 0, textScore: 0, vectorComponent: 0, textComponent: 0 });
+    }
+    return merged.get(r.id);
+  };
 
-  vecResults.forEach((r, idx) => vectorRanks.set(r.id, idx + 1));
-  ftsResults.forEach((r, idx) => textRanks.set(r.id, idx + 1));
+  vecResults.forEach((r, idx) => {
+    const e = entry(r);
+    e.vectorScore = r.score;
+    e.vectorComponent = vectorComponents[idx];
+  });
+  ftsResults.forEach((r, idx) => {
+    const e = entry(r);
+    e.textScore = r.score;
+    e.textComponent = textComponents[idx];
+  });
 
-  // Merge by ID, tracking ranks
-  const merged = new Map();
+  const results = [...merged.values()].map(r => ({
+    id: r.id,
+    path: r.path,
+    source: r.source,
+    contentType: r.contentType,
+    language: r.language,
+    category: r.category,
+    symbolName: r.symbolName,
+    symbolKind: r.symbolKind,
+    section: r.section,
+    docTitle: r.docTitle,
+    docSummary: r.docSummary,
+    docReadWhen: r.docReadWhen,
+    startLine: r.startLine,
+    endLine: r.endLine,
+    text: r.text,
+    score: vectorWeight * r.vectorComponent + textWeight * r.textComponent,
+    // Keep for debugging
+    vectorScore: r.vectorScore,
+    textScore: r.textScore,
+    vectorContribution: vectorWeight * r.vectorComponent,
+    textContribution: textWeight * r.textComponent,
+  }));
+
+  results.sort((a, b) => b.score - a.score);
+  return results;
+}
 
-  for (const r of vecResults) {
-    merged.set(r.id, {
+/**
+ * Run the same search as hybridSearch (or searchFTS when queryEmbedding is
+ * null, as in offline mode) and report how the results were ranked.
+ * Filtered-out candidates come from repeating the searches without filters,
+ * so explaining a filtered query costs two extra lookups.
+ * @param {number[]|null} queryEmbedding
+ * @param {string} queryText
+ * @param {number} limit
+ * @param {string|null} sourceFilter
+ * @param {string|null} contentTypeFilter
+ * @param {{ vectorWeight?: number, textWeight?: number, rrfK?: number, fusion?: 'rrf'|'score' }} [fusionOptions]
+ * @param {object|object[]|null} [filters] - SearchFilters (lib/query-filters.js), or several that must all hold
+ * @returns {{ results: object[], ftsQuery: { match: string, whole: string|null }|null, filters: string[], fusion: object|null, timings: { vectorMs: number|null, ftsMs: number }, filteredOut: object[] }}
+ *   - each result carries an `explain` object with its vector/BM25 ranks, its unboosted `bm25` and
+ *     whole-identifier `textBoost`, and fusion contributions;
+ *     `filteredOut[].removedBy` lists the failed filters in inline syntax (`source:ios`, `-path:extensions`)
+ */
+export function explainSearch(queryEmbedding, queryText, limit = 8, sourceFilter = null, contentTypeFilter = null, fusionOptions = {}, filters = null) {
+  const hybrid = queryEmbedding !== null;
+  const fusion = hybrid ? { ...getConfig().search, ...fusionOptions } : null;
+  const depth = hybrid ? limit * 2 : limit;
+
+  const [vecResults, vectorMs] = hybrid
+    ? timed(() => searchVector(queryEmbedding, depth, sourceFilter, contentTypeFilter, filters))
+    : [[], null];
+  const [ftsResults, ftsMs] = timed(() => searchFTS(queryText, depth, sourceFilter, contentTypeFilter, filters));
+  const results = hybrid ? fuseResults(vecResults, ftsResults, fusion).slice(0, limit) : ftsResults;
+
+  const vectorHits = rankById(vecResults);
+  const textHits = rankById(ftsResults);
+  const textRanking = textRankDetails(queryText, [...textHits.keys()]);
+  const explained = results.map(r => {
+    const vectorHit = vectorHits.get(r.id);
+    const textHit = textHits.get(r.id);
+    return {
       ...r,
-      vectorScore: r.score,
-      textScore: 0,
-      vectorRank: vectorRanks.get(r.id),
-      textRank: null,
-    });
+      explain: {
+        vectorRank: vectorHit?.rank ?? null,
+        distance: vectorHit ? 1 - vectorHit.score : null,
+        textRank: textHit?.rank ?? null,
+        bm25: textRanking.get(r.id)?.bm25 ?? null,
+        textBoost: textRanking.get(r.id)?.boost ?? null,
+        vectorContribution: r.vectorContribution ?? null,
+        textContribution: r.textContribution ?? (hybrid ? null : r.score),
+      },
+    };
+  });
+
+  let filteredOut = [];
+  const clauses = searchClauses(sourceFilter, contentTypeFilter, filters);
+  if (clauses.length > 0) {
+    const failedClauses = (id) => clauses
+      .filter(cl => !prepare(`SELECT 1 FROM chunks c WHERE c.id = ? AND ${cl.sql}`).get(id, ...cl.params))
+      .map(cl => cl.label);
+    const unfilteredVector = rankById(hybrid ? searchVector(queryEmbedding, depth) : []);
+    const unfilteredText = rankById(searchFTS(queryText, depth));
+    const candidates = new Map([...unfilteredVector, ...unfilteredText].map(([id, hit]) => [id, hit.result]));
+    filteredOut = [...candidates.values()]
+      .map(r => ({
+        path: r.path,
+        startLine: r.startLine,
+        endLine: r.endLine,
+        source: r.source,
+        contentType: r.contentType,
+        vectorRank: unfilteredVector.get(r.id)?.rank ?? null,
+        textRank: unfilteredText.get(r.id)?.rank ?? null,
+        removedBy: failedClauses(r.id),
+      }))
+      .filter(r => r.removedBy.length > 0);
   }
 
-  for (const r of ftsResults) {
-    if (merged.has(r.id)) {
-      const existing = merged.get(r.id);
-      existing.textScore = r.score;
-      existing.textRank = textRanks.get(r.id);
-    } else {
-      merged.set(r.id, {
-        ...r,
-        vectorScore: 0,
-        textScore: r.score,
-        vectorRank: null,
-        textRank: textRanks.get(r.id),
+  return {
+    results: explained,
+    ftsQuery: buildFtsQuery(queryText),
+    filters: clauses.map(cl => cl.label),
+    fusion,
+    timings: { vectorMs, ftsMs },
+    filteredOut,
+  };
+}
+
+/**
+ * Unboosted FTS5 BM25 (negative, lower is better) and the whole-identifier
+ * boost searchFTS multiplied it by, per keyword hit.
+ * @returns {Map<string, { bm25: number, boost: number }>}
+ */
+function textRankDetails(queryText, ids) {
+  const ftsQuery = buildFtsQuery(queryText);
+  if (!ftsQuery || ids.length === 0) return new Map();
+  const boost = ftsQuery.whole
+    ? `CASE WHEN c.seq IN (SELECT rowid FROM chunks_fts WHERE chunks_fts MATCH ?) THEN ${WHOLE_IDENTIFIER_BOOST} ELSE 1 END`
+    : '1';
+  const params = ftsQuery.whole ? [ftsQuery.whole, ftsQuery.match] : [ftsQuery.match];
+  const rows = prepare(`
+    SELECT c.id, chunks_fts.rank AS bm25, ${boost} AS boost
+    FROM chunks_fts JOIN chunks c ON c.seq = chunks_fts.rowid
+    WHERE chunks_fts MATCH ? AND c.id IN (SELECT value FROM json_each(?))
+  `).all(...params, JSON.stringify(ids));
+  return new Map(rows.map(r => [r.id, { bm25: r.bm25, boost: r.boost }]));
+}
+
+// --- Search filters ---
+
+const FILTER_COLUMNS = { source: 'source', type: 'content_type', lang: 'language' };
+
+/**
+ * SQL conditions for the legacy source/type arguments plus one or more
+ * SearchFilters, all of which must hold. Each condition targets chunks `c` and carries its
+ * inline-syntax label; source/type/lang also get a form for the chunks_vec
+ * KNN query (whose metadata columns store NULL language as '').
+ * @throws {Error} When a release comparison names an unknown tag (exitCode = EXIT_CONFIG_ERROR)
+ */
+function searchClauses(sourceFilter, contentTypeFilter, filters) {
+  const legacy = {
+    ...(sourceFilter ? { source: [sourceFilter] } : {}),
+    ...(contentTypeFilter ? { type: [contentTypeFilter] } : {}),
+  };
+  return [legacy, filters].flat().flatMap(filterClauses);
+}
+
+function filterClauses(filters) {
+  if (!filters) return [];
+  const clauses = [];
+
+  for (const [key, column] of Object.entries(FILTER_COLUMNS)) {
+    const included = filters[key];
+    if (included) {
+      clauses.push({
+        label: `${key}:${included.join(',')}`,
+        sql: `COALESCE(c.${column}, '') IN (SELECT value FROM json_each(?))`,
+        vecSql: `${column} IN (SELECT value FROM json_each(?))`,
+        params: [JSON.stringify(included)],
+      });
+    }
+    const excluded = filters.exclude?.[key];
+    if (excluded) {
+      // vec0 mishandles NOT IN on metadata columns; chained != works
+      clauses.push({
+        label: `-${key}:${excluded.join(',')}`,
+        sql: `COALESCE(c.${column}, '') NOT IN (SELECT value FROM json_each(?))`,
+        vecSql: excluded.map(() => `${column} != ?`).join(' AND '),
+        params: [JSON.stringify(excluded)],
+        vecParams: excluded,
       });
     }
   }
 
-  // Compute RRF scores (Reciprocal Rank Fusion)
-  const RRF_K = 60; // Standard constant
+  if (filters.path) {
+    clauses.push({
+      label: `path:${filters.path.join(',')}`,
+      sql: `(${filters.path.map(() => 'c.path GLOB ?').join(' OR ')})`,
+      params: filters.path.map(pathPattern),
+    });
+  }
+  if (filters.exclude?.path) {
+    clauses.push({
+      label: `-path:${filters.exclude.path.join(',')}`,
+      sql: `NOT (${filters.exclude.path.map(() => 'c.path GLOB ?').join(' OR ')})`,
+      params: filters.exclude.path.map(pathPattern),
+    });
+  }
 
-  const results = [...merged.values()].map(r => {
-    const vectorComponent = r.vectorRank ? 1 / (RRF_K + r.vectorRank) : 0;
-    const textComponent = r.textRank ? 1 / (RRF_K + r.textRank) : 0;
-    const rrfScore = vectorComponent + textComponent;
+  if (filters.release) {
+    const { op, tag } = parseReleaseFilter(filters.release);
+    const label = `release:${filters.release}`;
+    if (op === '=') {
+      clauses.push({ label, sql: 'c.indexed_release = ?', params: [tag] });
+    } else {
+      // Tags compare by release date, like `since`
+      const release = getReleaseByTag(tag);
+      if (!release) {
+        const err = new Error(`Unknown release "${tag}" in filter ${label} (see \`history\` for indexed releases)`);
+        err.exitCode = EXIT_CONFIG_ERROR;
+        throw err;
+      }
+      clauses.push({
+        label,
+        sql: `c.indexed_release IN (SELECT tag FROM releases WHERE date ${op} ?)`,
+        params: [release.date],
+      });
+    }
+  }
 
-    return {
-      id: r.id,
-      path: r.path,
-      source: r.source,
-      contentType: r.contentType,
-      language: r.language,
-      category: r.category,
-      startLine: r.startLine,
-      endLine: r.endLine,
-      text: r.text,
-      score: rrfScore,
-      // Keep for debugging
-      vectorScore: r.vectorScore,
-      textScore: r.textScore,
-    };
-  });
+  return clauses;
+}
 
-  results.sort((a, b) => b.score - a.score);
-  return results.slice(0, limit);
+/** Path filter value to a GLOB pattern: wildcards as given, otherwise a prefix. */
+function pathPattern(value) {
+  return /[*?[]/.test(value) ? value : `${value}*`;
 }
 
 /**
@@ -530,7 +847,186 @@ export function getStats() {
   const files = prepare('SELECT COUNT(*) as n FROM files').get().n;
   const chunks = prepare('SELECT COUNT(*) as n FROM chunks').get().n;
   const sources = prepare('SELECT source, COUNT(*) as n FROM chunks GROUP BY source').all();
-  return { files, chunks, sources, vecLoaded };
+  const symbols = prepare('SELECT COUNT(*) as n FROM symbols').get().n;
+  const configKeys = prepare('SELECT COUNT(*) as n FROM config_keys').get().n;
+  return { files, chunks, symbols, configKeys, sources, vecLoaded, schemaVersion: getSchemaVersion(db), meta: getIndexMeta(), usage: getIndexUsage() };
+}
+
+// --- Symbols ---
+
+/**
+ * @typedef {{ name: string, kind: string, path: string, startLine: number, endLine: number, language: string|null, source: string|null, indexedRelease: string|null }} StoredSymbol
+ */
+
+/**
+ * Symbols whose name equals one of `names`, ignoring case.
+ * @param {string[]} names
+ * @returns {StoredSymbol[]}
+ */
+export function getSymbolsByName(names) {
+  if (names.length === 0) return [];
+  return prepare(`
+    SELECT * FROM symbols WHERE name COLLATE NOCASE IN (${names.map(() => '?').join(', ')})
+    ORDER BY path, start_line
+  `).all(...names).map(toSymbol);
+}
+
+/**
+ * Symbols whose name starts with `prefix`, ignoring case; shortest names first.
+ * @param {string} prefix
+ * @param {number} limit
+ * @returns {StoredSymbol[]}
+ */
+export function getSymbolsByPrefix(prefix, limit) {
+  const pattern = `${prefix.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+  return prepare(`
+    SELECT * FROM symbols WHERE name LIKE ? ESCAPE '\\'
+    ORDER BY length(name), name, path
+    LIMIT ?
+  `).all(pattern, limit).map(toSymbol);
+}
+
+/**
+ * Every distinct symbol name, for fuzzy matching.
+ * @returns {string[]}
+ */
+export function getSymbolNames() {
+  return prepare('SELECT DISTINCT name FROM symbols').all().map(r => r.name);
+}
+
+/**
+ * Id of the chunk that holds `line` of a file (the latest-starting one when chunks overlap).
+ * @param {string} path
+ * @param {number} line
+ * @returns {string|null}
+ */
+export function getChunkIdAt(path, line) {
+  return prepare(`
+    SELECT id FROM chunks WHERE path = ? AND start_line <= ? AND end_line >= ?
+    ORDER BY start_line DESC LIMIT 1
+  `).get(path, line, line)?.id ?? null;
+}
+
+function toSymbol(row) {
+  return {
+    name: row.name,
+    kind: row.kind,
+    path: row.path,
+    startLine: row.start_line,
+    endLine: row.end_line,
+    language: row.language,
+    source: row.source,
+    indexedRelease: row.indexed_release,
+  };
+}
+
+// --- Config keys ---
+
+/**
+ * @typedef {import('./zod-walker.js').ConfigKey & { indexedRelease: string|null }} StoredConfigKey
+ */
+
+/**
+ * Replace the config key reference with `keys` in one transaction.
+ * @param {import('./zod-walker.js').ConfigKey[]} keys
+ * @param {string|null} indexedRelease - Release tag the schema files were read at
+ */
+export function replaceConfigKeys(keys, indexedRelease = null) {
+  transaction(() => {
+    prepare('DELETE FROM config_keys').run();
+    const insert = prepare(`
+      INSERT INTO config_keys (key_path, type, enum_values, default_value, description, optional, schema_name, path, start_line, end_line, indexed_release)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const k of keys) {
+      insert.run(
+        k.key, k.type, k.values ? JSON.stringify(k.values) : null, k.defaultValue, k.description,
+        k.optional ? 1 : 0, k.schema, k.path, k.startLine, k.endLine, indexedRelease,
+      );
+    }
+  });
+}
+
+/**
+ * Every config key, in schema order.
+ * @returns {StoredConfigKey[]}
+ */
+export function getConfigKeys() {
+  return prepare('SELECT * FROM config_keys ORDER BY rowid').all().map(row => ({
+    key: row.key_path,
+    type: row.type,
+    values: row.enum_values ? JSON.parse(row.enum_values) : null,
+    defaultValue: row.default_value,
+    description: row.description,
+    optional: row.optional === 1,
+    schema: row.schema_name,
+    path: row.path,
+    startLine: row.start_line,
+    endLine: row.end_line,
+    indexedRelease: row.indexed_release,
+  }));
+}
+
+/**
+ * Chunks whose text contains `text` (ignoring ASCII case), in path order.
+ * @param {string} text
+ * @param {{ contentTypes?: string[]|null, limit?: number }} [options]
+ * @returns {{ id: string, path: string, startLine: number, endLine: number, section: string|null, text: string }[]}
+ */
+export function getChunksContaining(text, { contentTypes = null, limit = 50 } = {}) {
+  const pattern = `%${text.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+  const typeClause = contentTypes ? `AND content_type IN (${contentTypes.map(() => '?').join(', ')})` : '';
+  return prepare(`
+    SELECT id, path, start_line, end_line, section, text FROM chunks
+    WHERE text LIKE ? ESCAPE '\\' ${typeClause}
+    ORDER BY path, start_line
+    LIMIT ?
+  `).all(pattern, ...(contentTypes ?? []), limit).map(r => ({
+    id: r.id, path: r.path, startLine: r.start_line, endLine: r.end_line, section: r.section, text: r.text,
+  }));
+}
+
+// --- Index runs ---
+
+/**
+ * Record the start of an index run. Runs still marked as running were
+ * interrupted and are closed as such.
+ * @param {{ release: string|null, provider: string, model: string }} run
+ * @returns {number} - Run id
+ */
+export function startIndexRun({ release, provider, model }) {
+  prepare("UPDATE index_runs SET status = 'interrupted' WHERE status = 'running'").run();
+  const result = prepare(`
+    INSERT INTO index_runs (started_at, release, provider, model, status)
+    VALUES (?, ?, ?, ?, 'running')
+  `).run(Date.now(), release, provider, model);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Update the counters of an index run; a final status also sets finished_at.
+ * @param {number} id
+ * @param {{ tokens: number, cost: number, embedded?: number, reused?: number, status?: 'completed'|'budget' }} usage
+ */
+export function updateIndexRun(id, { tokens, cost, embedded = null, reused = null, status = null }) {
+  prepare(`
+    UPDATE index_runs SET
+      tokens = ?, cost = ?,
+      embedded = COALESCE(?, embedded), reused = COALESCE(?, reused),
+      status = COALESCE(?, status),
+      finished_at = CASE WHEN ? IS NULL THEN finished_at ELSE ? END
+    WHERE id = ?
+  `).run(tokens, cost, embedded, reused, status, status, Date.now(), id);
+}
+
+/**
+ * Embedding usage summed over all recorded index runs.
+ * @returns {{ runs: number, tokens: number, cost: number, lastRun: object|null }}
+ */
+export function getIndexUsage() {
+  const totals = prepare('SELECT COUNT(*) as runs, COALESCE(SUM(tokens), 0) as tokens, COALESCE(SUM(cost), 0) as cost FROM index_runs').get();
+  const lastRun = prepare('SELECT * FROM index_runs ORDER BY id DESC LIMIT 1').get() || null;
+  return { runs: totals.runs, tokens: totals.tokens, cost: totals.cost, lastRun };
 }
 
 /**
@@ -651,13 +1147,46 @@ function vectorToBlob(embedding) {
   return Buffer.from(new Float32Array(embedding).buffer);
 }
 
+function blobToVector(blob) {
+  // Copy first: the blob's offset is not guaranteed to be 4-byte aligned
+  return Array.from(new Float32Array(new Uint8Array(blob).buffer));
+}
+
+/**
+ * @returns {{ match: string, whole: string|null }|null} - `match` finds any term or
+ *   sub-word; `whole` finds the query's compound identifiers as written
+ */
 function buildFtsQuery(raw) {
-  const tokens = raw.match(/[A-Za-z0-9_]+/g);
-  if (!tokens || tokens.length === 0) return null;
-  return tokens.map(t => `"${t.replace(/"/g, '')}"`).join(' OR ');
+  const terms = new Set(extractTerms(raw).map(t => t.term));
+  if (terms.size === 0) return null;
+
+  const quote = (t) => `"${t.replace(/"/g, '')}"`;
+  const wholes = compoundIdentifiers(raw).map(quote);
+  return {
+    match: [...terms].map(quote).join(' OR '),
+    whole: wholes.length > 0 ? `text : (${wholes.join(' OR ')})` : null,
+  };
 }
 
+/** FTS5 rank is negative BM25: the stronger the match, the larger |rank| and the higher the score (0..1) */
 function bm25RankToScore(rank) {
-  const normalized = Number.isFinite(rank) ? Math.abs(rank) : 999;
-  return 1 / (1 + normalized);
+  const strength = Number.isFinite(rank) ? Math.abs(rank) : 0;
+  return strength / (1 + strength);
+}
+
+function normalizeScores(results) {
+  const scores = results.map(r => r.score);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  return scores.map(score => (range > 0 ? (score - min) / range : 1));
+}
+
+function rankById(results) {
+  return new Map(results.map((result, idx) => [result.id, { rank: idx + 1, score: result.score, result }]));
+}
+
+function timed(fn) {
+  const start = performance.now();
+  const value = fn();
+  return [value, performance.now() - start];
 }
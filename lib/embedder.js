@@ -1,22 +1,64 @@
-import { EMBEDDING_MODEL, EMBEDDING_API_URL, EMBEDDING_BATCH_SIZE, EMBEDDING_PROVIDER, LOCAL_MODEL } from './config.js';
+import { DEFAULT_OPENAI_BASE_URL, getConfig, getEmbeddingSettings, getEmbeddingPrice } from './config.js';
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+import { extractTerms } from './identifiers.js';
+import { loadLocalPipeline, embedWithPipeline } from './local-embedding.js';
+import { Worker } from 'node:worker_threads';
 
 const MAX_RETRIES = 3;
 const BASE_DELAY_MS = 1000;
+const RATE_WINDOW_MS = 60000;
 
-// Provider selection
-let localPipeline = null;
+// --- Provider registry ---
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {(texts: string[], settings: object) => Promise<number[][]|{ embeddings: number[][], tokens?: number }>} embedBatch
+ *   - Embed one request's worth of texts; return `tokens` when the API reports usage (otherwise it is estimated)
+ * @property {(texts: string[], settings: object, onProgress?: Function) => Promise<number[][]>} [embedAll] - Custom bulk embedding (default: token-sized batches, several in flight)
+ * @property {(settings: object) => string|null} [configError] - Why the provider cannot run with these settings, if it cannot
+ */
+
+/** @type {Map<string, EmbeddingProvider>} */
+const providers = new Map();
+
+// Tokens embedded by this process, reported by the API or estimated
+let usedTokens = 0;
+
+/**
+ * Register an embedding provider under the name used by KB_EMBEDDING_PROVIDER.
+ * @param {string} name
+ * @param {EmbeddingProvider} provider
+ */
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+export function getProviderNames() {
+  return [...providers.keys()];
+}
 
-async function getLocalPipeline() {
-  if (localPipeline) return localPipeline;
-  try {
-    const { pipeline } = await import('@huggingface/transformers');
-    localPipeline = await pipeline('feature-extraction', `Xenova/${LOCAL_MODEL}`);
-    return localPipeline;
-  } catch (err) {
-    console.error('Error: Local embedding requires @huggingface/transformers');
-    console.error('Install it: npm install @huggingface/transformers');
-    process.exit(2);
+/**
+ * Check that the active provider exists and has what it needs (e.g. an API key).
+ * @returns {string|null} - Error message, or null when embedding can proceed
+ */
+export function getEmbeddingConfigError() {
+  const settings = getEmbeddingSettings();
+  const provider = providers.get(settings.provider);
+  if (!provider) {
+    return `Unknown embedding provider "${settings.provider}" (available: ${getProviderNames().join(', ')}).`;
+  }
+  return provider.configError ? provider.configError(settings) : null;
+}
+
+function resolveProvider() {
+  const error = getEmbeddingConfigError();
+  if (error) {
+    const err = new Error(error);
+    err.exitCode = EXIT_CONFIG_ERROR;
+    throw err;
   }
+  const settings = getEmbeddingSettings();
+  return { provider: providers.get(settings.provider), settings };
 }
 
 /**
@@ -25,95 +67,385 @@ async function getLocalPipeline() {
  * @returns {Promise<number[]>}
  */
 export async function embedQuery(text) {
-  if (EMBEDDING_PROVIDER === 'local') {
-    return embedLocalSingle(text);
-  }
-  const [embedding] = await embedBatchOpenAI([text]);
-  return embedding;
+  const { provider, settings } = resolveProvider();
+  const [embedding] = await callEmbedBatch(provider.embedBatch, [text], settings);
+  return checkDims(embedding, settings);
 }
 
 /**
- * Embed multiple texts in batches, with rate limit handling.
+ * Embed multiple texts in token-sized batches, several requests in flight,
+ * within the configured request and token rate limits.
  * @param {string[]} texts
- * @param {(done: number, total: number) => void} [onProgress]
- * @returns {Promise<number[][]>}
+ * @param {(done: number, total: number) => void} [onProgress] - Called as batches finish
+ * @returns {Promise<number[][]>} - Parallel to texts
  */
 export async function embedAll(texts, onProgress) {
-  if (EMBEDDING_PROVIDER === 'local') {
-    return embedLocalBatch(texts, onProgress);
+  const { provider, settings } = resolveProvider();
+  let embeddings;
+  if (provider.embedAll) {
+    embeddings = await provider.embedAll(texts, settings, onProgress);
+    usedTokens += texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+  } else {
+    embeddings = await embedInBatches(texts, settings, provider.embedBatch, onProgress);
   }
-  return embedAllOpenAI(texts, onProgress);
+  if (embeddings.length > 0) checkDims(embeddings[0], settings);
+  return embeddings;
 }
 
-// --- OpenAI provider ---
+/**
+ * Tokens embedded so far by this process and what they cost with the active model.
+ * @returns {{ tokens: number, cost: number }}
+ */
+export function getEmbeddingUsage() {
+  return { tokens: usedTokens, cost: estimateEmbeddingCost(usedTokens) };
+}
 
-async function embedAllOpenAI(texts, onProgress) {
-  const results = [];
-  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
-    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
-    const embeddings = await embedBatchOpenAI(batch);
-    results.push(...embeddings);
-    if (onProgress) {
-      onProgress(Math.min(i + EMBEDDING_BATCH_SIZE, texts.length), texts.length);
+/**
+ * USD cost of embedding `tokens` with the active model (0 for free models).
+ * @param {number} tokens
+ * @returns {number}
+ */
+export function estimateEmbeddingCost(tokens) {
+  return tokens * getEmbeddingPrice(getEmbeddingSettings()) / 1e6;
+}
+
+async function callEmbedBatch(embedBatch, texts, settings) {
+  const result = await embedBatch(texts, settings);
+  if (Array.isArray(result)) {
+    usedTokens += texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+    return result;
+  }
+  usedTokens += result.tokens ?? texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+  return result.embeddings;
+}
+
+/**
+ * Rough token count for batching and rate limits (~4 chars per token).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Group texts into batches of at most `batchSize` texts and about
+ * `maxBatchTokens` estimated tokens. A text larger than the token budget
+ * gets a batch of its own.
+ * @param {string[]} texts
+ * @param {{ batchSize: number, maxBatchTokens: number }} limits
+ * @returns {{ start: number, end: number, tokens: number }[]} - Index ranges into texts
+ */
+export function planBatches(texts, { batchSize, maxBatchTokens }) {
+  const batches = [];
+  let start = 0;
+  let tokens = 0;
+  for (let i = 0; i < texts.length; i++) {
+    const textTokens = estimateTokens(texts[i]);
+    if (i > start && (i - start >= batchSize || tokens + textTokens > maxBatchTokens)) {
+      batches.push({ start, end: i, tokens });
+      start = i;
+      tokens = 0;
     }
+    tokens += textTokens;
   }
+  if (start < texts.length) batches.push({ start, end: texts.length, tokens });
+  return batches;
+}
+
+async function embedInBatches(texts, settings, embedBatch, onProgress) {
+  const config = getConfig().embedding;
+  const limiter = createRateLimiter(config);
+  return runBatches(texts, planBatches(texts, config), config.concurrency, async (batch, tokens) => {
+    await limiter.acquire(tokens);
+    return callEmbedBatch(embedBatch, batch, settings);
+  }, onProgress);
+}
+
+/**
+ * Run `embedBatch` over planned batches with up to `concurrency` in flight.
+ * @returns {Promise<number[][]>} - Parallel to texts
+ */
+async function runBatches(texts, batches, concurrency, embedBatch, onProgress) {
+  const results = new Array(texts.length);
+  let next = 0;
+  let done = 0;
+  let failed = false;
+
+  // Each worker takes the next batch until none are left or one has failed
+  const worker = async () => {
+    while (next < batches.length && !failed) {
+      const { start, end, tokens } = batches[next++];
+      try {
+        const embeddings = await embedBatch(texts.slice(start, end), tokens);
+        for (let i = 0; i < embeddings.length; i++) results[start + i] = embeddings[i];
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+      done += end - start;
+      if (onProgress) onProgress(done, texts.length);
+    }
+  };
+
+  const workers = Math.min(concurrency, batches.length);
+  await Promise.all(Array.from({ length: workers }, worker));
   return results;
 }
 
-async function embedBatchOpenAI(texts) {
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY is required. Set it in your environment or pass --env-file.');
-    process.exit(2);
+/**
+ * Sliding one-minute window over requests and estimated tokens.
+ * @param {{ requestsPerMinute: number, tokensPerMinute: number }} limits - 0 disables a limit
+ * @returns {{ acquire: (tokens: number) => Promise<void> }}
+ */
+function createRateLimiter({ requestsPerMinute, tokensPerMinute }) {
+  const window = [];
+  return {
+    async acquire(tokens) {
+      if (!requestsPerMinute && !tokensPerMinute) return;
+      for (;;) {
+        const now = Date.now();
+        while (window.length > 0 && now - window[0].at >= RATE_WINDOW_MS) window.shift();
+        const used = window.reduce((sum, entry) => sum + entry.tokens, 0);
+        const requestsOk = !requestsPerMinute || window.length < requestsPerMinute;
+        // A batch larger than the whole budget still runs once the window is empty
+        const tokensOk = !tokensPerMinute || window.length === 0 || used + tokens <= tokensPerMinute;
+        if (requestsOk && tokensOk) {
+          window.push({ at: now, tokens });
+          return;
+        }
+        await sleep(window[0].at + RATE_WINDOW_MS - now);
+      }
+    },
+  };
+}
+
+function checkDims(embedding, settings) {
+  if (embedding.length !== settings.dims) {
+    const err = new Error(
+      `${settings.provider}/${settings.model} returned ${embedding.length}-dimensional vectors, ` +
+      `but ${settings.dims} dimensions are configured. Set KB_EMBEDDING_DIMS=${embedding.length}.`
+    );
+    err.exitCode = EXIT_CONFIG_ERROR;
+    throw err;
   }
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    const res = await fetch(EMBEDDING_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ model: EMBEDDING_MODEL, input: texts }),
+  return embedding;
+}
+
+// --- OpenAI-compatible provider (OpenAI, LM Studio, vLLM, LiteLLM, Ollama /v1) ---
+
+registerProvider('openai', {
+  embedBatch: embedBatchOpenAI,
+  configError(settings) {
+    if (!settings.apiKey && settings.baseUrl === DEFAULT_OPENAI_BASE_URL) {
+      return 'OPENAI_API_KEY is required for the openai provider (or set KB_EMBEDDING_BASE_URL to a self-hosted OpenAI-compatible server).';
+    }
+    return null;
+  },
+});
+
+async function embedBatchOpenAI(texts, settings) {
+  const json = await postWithRetry(`${settings.baseUrl}/embeddings`, settings.apiKey, {
+    model: settings.model,
+    input: texts,
+  });
+  return {
+    embeddings: json.data.sort((a, b) => a.index - b.index).map(d => d.embedding),
+    tokens: json.usage?.total_tokens ?? json.usage?.prompt_tokens,
+  };
+}
+
+// --- Ollama native provider (/api/embed) ---
+
+registerProvider('ollama', {
+  async embedBatch(texts, settings) {
+    const json = await postWithRetry(`${settings.baseUrl}/api/embed`, settings.apiKey, {
+      model: settings.model,
+      input: texts,
     });
+    return { embeddings: json.embeddings, tokens: json.prompt_eval_count };
+  },
+});
+
+/**
+ * POST JSON, retrying with exponential backoff on 429, 5xx, timeouts and
+ * network errors. Retry-After is honored when the server sends it.
+ */
+async function postWithRetry(url, apiKey, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const { timeoutMs } = getConfig().embedding;
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < MAX_RETRIES;
+    const delay = BASE_DELAY_MS * Math.pow(2, attempt);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
 
-    if (res.ok) {
-      const json = await res.json();
-      return json.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      if (res.ok) return await res.json();
+    } catch (err) {
+      const reason = controller.signal.aborted ? `timed out after ${timeoutMs}ms` : err.message;
+      if (!canRetry) throw new Error(`Embedding request to ${url} failed: ${reason}`);
+      console.error(`  Embedding request ${reason}, retrying in ${delay}ms...`);
+      await sleep(delay);
+      continue;
+    } finally {
+      clearTimeout(timer);
     }
 
-    if (res.status === 429 && attempt < MAX_RETRIES) {
-      const delay = BASE_DELAY_MS * Math.pow(2, attempt);
-      const retryAfter = res.headers.get('retry-after');
-      const waitMs = retryAfter ? parseInt(retryAfter, 10) * 1000 : delay;
-      console.error(`  Rate limited, retrying in ${waitMs}ms...`);
+    if ((res.status === 429 || res.status >= 500) && canRetry) {
+      const retryAfter = parseInt(res.headers.get('retry-after'), 10);
+      const waitMs = retryAfter >= 0 ? retryAfter * 1000 : delay;
+      console.error(`  ${res.status === 429 ? 'Rate limited' : `Server error ${res.status}`}, retrying in ${waitMs}ms...`);
       await sleep(waitMs);
       continue;
     }
 
-    const body = await res.text();
-    throw new Error(`OpenAI API error ${res.status}: ${body}`);
+    const text = await res.text();
+    throw new Error(`Embedding API error ${res.status} from ${url}: ${text}`);
   }
 }
 
-// --- Local provider ---
+// --- Local provider (@huggingface/transformers) ---
 
-async function embedLocalSingle(text) {
-  const pipe = await getLocalPipeline();
-  const result = await pipe(text, { pooling: 'mean', normalize: true });
-  return Array.from(result.data);
+let localPipeline = null;
+
+function getLocalPipeline(model) {
+  if (!localPipeline) {
+    localPipeline = loadLocalPipeline(model);
+    // Let a later call retry after a failed load
+    localPipeline.catch(() => { localPipeline = null; });
+  }
+  return localPipeline;
 }
 
-async function embedLocalBatch(texts, onProgress) {
-  const pipe = await getLocalPipeline();
-  const results = [];
-  for (let i = 0; i < texts.length; i++) {
-    const result = await pipe(texts[i], { pooling: 'mean', normalize: true });
-    results.push(Array.from(result.data));
-    if (onProgress && (i + 1) % 10 === 0) {
-      onProgress(i + 1, texts.length);
+registerProvider('local', {
+  async embedBatch(texts, settings) {
+    return embedWithPipeline(await getLocalPipeline(settings.model), texts);
+  },
+
+  // Batched inference; with KB_EMBEDDING_THREADS > 1 each worker thread runs its own pipeline
+  async embedAll(texts, settings, onProgress) {
+    const batches = planBatches(texts, getConfig().embedding);
+    if (settings.threads <= 1) {
+      const pipe = await getLocalPipeline(settings.model);
+      return runBatches(texts, batches, 1, batch => embedWithPipeline(pipe, batch), onProgress);
+    }
+
+    const pool = createLocalWorkerPool(Math.min(settings.threads, batches.length), settings.model);
+    try {
+      return await runBatches(texts, batches, pool.size, batch => pool.embed(batch), onProgress);
+    } finally {
+      await pool.close();
+    }
+  },
+});
+
+/**
+ * Worker threads that each embed one batch at a time.
+ * @param {number} size
+ * @param {string} model
+ * @returns {{ size: number, embed: (texts: string[]) => Promise<number[][]>, close: () => Promise<void> }}
+ */
+function createLocalWorkerPool(size, model) {
+  const workerUrl = new URL('./local-embedding-worker.js', import.meta.url);
+  const workers = Array.from({ length: size }, () => new Worker(workerUrl, { workerData: { model } }));
+  const idle = [...workers];
+
+  return {
+    size: workers.length,
+    embed(texts) {
+      const worker = idle.pop();
+      return new Promise((resolve, reject) => {
+        const onMessage = (msg) => {
+          worker.off('error', onError);
+          idle.push(worker);
+          if (msg.error) {
+            const err = new Error(msg.error);
+            if (msg.exitCode) err.exitCode = msg.exitCode;
+            reject(err);
+          } else {
+            resolve(msg.embeddings);
+          }
+        };
+        const onError = (err) => {
+          worker.off('message', onMessage);
+          reject(err);
+        };
+        worker.once('message', onMessage);
+        worker.once('error', onError);
+        worker.postMessage({ texts });
+      });
+    },
+    async close() {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    },
+  };
+}
+
+// --- Hash provider (deterministic, offline) ---
+
+// Common English words carry no topical signal; identifiers are never dropped.
+const HASH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'if', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'which', 'with',
+]);
+const HASH_PART_WEIGHT = 0.8;
+const HASH_TRIGRAM_WEIGHT = 0.25;
+
+registerProvider('hash', {
+  async embedBatch(texts, settings) {
+    return texts.map(text => hashEmbedding(text, settings.dims));
+  },
+});
+
+/**
+ * Build a stable, L2-normalized vector from feature-hashed terms.
+ * Whole identifiers, their sub-words and character trigrams of longer words
+ * are hashed into `dims` buckets with a hash-derived sign, so related texts
+ * share buckets without any model or network access.
+ * @param {string} text
+ * @param {number} dims
+ * @returns {number[]}
+ */
+export function hashEmbedding(text, dims) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  for (const { term, part } of extractTerms(text)) {
+    if (HASH_STOPWORDS.has(term)) continue;
+    add(`w:${term}`, part ? HASH_PART_WEIGHT : 1);
+    if (!part && term.length >= 5 && !term.includes('.')) {
+      for (let i = 0; i + 3 <= term.length; i++) add(`t:${term.slice(i, i + 3)}`, HASH_TRIGRAM_WEIGHT);
     }
   }
-  if (onProgress) onProgress(texts.length, texts.length);
-  return results;
+
+  const vector = new Array(dims).fill(0);
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    const sign = fnv1a(feature, 0x9e3779b9) & 1 ? 1 : -1;
+    vector[hash % dims] += sign * Math.log1p(count);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+function fnv1a(str, seed = 0x811c9dc5) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
 }
 
 function sleep(ms) {
@@ -2,3 +2,4 @@ export const EXIT_SUCCESS = 0;
 export const EXIT_RUNTIME_ERROR = 1;
 export const EXIT_CONFIG_ERROR = 2;
 export const EXIT_NO_RESULTS = 3;
+export const EXIT_BUDGET_EXCEEDED = 4;
@@ -0,0 +1,147 @@
+/**
+ * Line-numbered views of indexed files for `show` and the MCP `get_file` tool.
+ * Reads the upstream checkout when it has the file; otherwise rebuilds the text
+ * from stored chunks, so read-only clients with only a synced DB work too.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { relative, resolve, isAbsolute } from 'node:path';
+import { createHash } from 'node:crypto';
+import { getUpstreamRoot } from './config.js';
+import { getFileRecord, getFileChunks, getChunk } from './db.js';
+import { chunkBody } from './chunker.js';
+import { EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from './exit-codes.js';
+
+const LOCATION_PATTERN = /^(.+?):(\d+)(?:-(\d+))?$/;
+
+/**
+ * Split `path[:start[-end]]`.
+ * @param {string} location - e.g. 'src/gateway/auth.ts:40-80'
+ * @returns {{ path: string, startLine: number|null, endLine: number|null }}
+ * @throws {Error} On an empty or reversed range (exitCode = EXIT_CONFIG_ERROR)
+ */
+export function parseLocation(location) {
+  const match = location.match(LOCATION_PATTERN);
+  if (!match) return { path: location, startLine: null, endLine: null };
+
+  const startLine = Number(match[2]);
+  const endLine = match[3] === undefined ? startLine : Number(match[3]);
+  if (startLine < 1 || endLine < startLine) {
+    throw viewError(`Invalid line range "${match[2]}${match[3] ? `-${match[3]}` : ''}" in ${location}`, EXIT_CONFIG_ERROR);
+  }
+  return { path: match[1], startLine, endLine };
+}
+
+/**
+ * Lines of an indexed file, optionally limited to a range widened by `context`.
+ * `origin` is 'upstream' when read from UPSTREAM_DIR and 'index' when rebuilt
+ * from chunks; lines no chunk stores verbatim (over-long lines split into
+ * fragments) come back with `text: null`. `warning` is set when the checkout
+ * no longer matches the indexed file.
+ * @param {string} path - Indexed path, relative to UPSTREAM_DIR
+ * @param {{ startLine?: number|null, endLine?: number|null, context?: number }} [range]
+ * @returns {{ path: string, startLine: number, endLine: number, totalLines: number, indexedRelease: string|null, origin: 'upstream'|'index', warning: string|null, lines: { lineNo: number, text: string|null }[] }}
+ * @throws {Error} When the path is not indexed or the range is past its end (exitCode = EXIT_NO_RESULTS)
+ */
+export function loadFileView(path, { startLine = null, endLine = null, context = 0 } = {}) {
+  const record = getFileRecord(path);
+  if (!record) throw viewError(`${path} is not in the index`, EXIT_NO_RESULTS);
+
+  const root = getUpstreamRoot();
+  const filePath = resolve(root, path);
+  const fromRoot = relative(root, filePath);
+  const insideRoot = !fromRoot.startsWith('..') && !isAbsolute(fromRoot);
+
+  let allLines;
+  let origin;
+  let warning = null;
+  if (insideRoot && existsSync(filePath)) {
+    const content = readFileSync(filePath, 'utf-8');
+    allLines = content.split('\n');
+    origin = 'upstream';
+    if (createHash('sha256').update(content).digest('hex') !== record.hash) {
+      const release = record.indexedRelease ? ` at ${record.indexedRelease}` : '';
+      warning = `${path} has changed in ${root} since it was indexed${release}; line numbers may not match search results`;
+    }
+  } else {
+    allLines = linesFromChunks(getFileChunks(path));
+    origin = 'index';
+  }
+
+  const totalLines = allLines.length;
+  if (startLine !== null && startLine > totalLines) {
+    throw viewError(`${path} has ${totalLines} lines; line ${startLine} is past the end`, EXIT_NO_RESULTS);
+  }
+  const from = Math.max(1, (startLine ?? 1) - context);
+  const to = Math.min(totalLines, (endLine ?? totalLines) + context);
+
+  return {
+    path,
+    startLine: from,
+    endLine: to,
+    totalLines,
+    indexedRelease: record.indexedRelease,
+    origin,
+    warning,
+    lines: allLines.slice(from - 1, to).map((text, idx) => ({ lineNo: from + idx, text })),
+  };
+}
+
+/**
+ * The lines of a stored chunk (see loadFileView).
+ * @param {string} id - Chunk id, as in `query --json` output
+ * @param {{ context?: number }} [options]
+ * @returns {ReturnType<typeof loadFileView>}
+ * @throws {Error} When no chunk has this id (exitCode = EXIT_NO_RESULTS)
+ */
+export function loadChunkView(id, { context = 0 } = {}) {
+  const chunk = getChunk(id);
+  if (!chunk) throw viewError(`No chunk with id ${id}`, EXIT_NO_RESULTS);
+  return loadFileView(chunk.path, { startLine: chunk.startLine, endLine: chunk.endLine, context });
+}
+
+/**
+ * Render a view as a header plus `lineNo | text` lines.
+ * @param {ReturnType<typeof loadFileView>} view
+ * @returns {string}
+ */
+export function formatFileView(view) {
+  const from = view.origin === 'upstream' ? 'upstream checkout' : 'rebuilt from index';
+  const release = view.indexedRelease ?? 'unknown release';
+  const out = [`${view.path}:${view.startLine}-${view.endLine} of ${view.totalLines} (indexed at ${release}, ${from})`];
+
+  const width = String(view.endLine).length;
+  let missingFrom = null;
+  view.lines.forEach(({ lineNo, text }, idx) => {
+    if (text === null) {
+      missingFrom ??= lineNo;
+      if (idx < view.lines.length - 1 && view.lines[idx + 1].text === null) return;
+      const range = missingFrom === lineNo ? `line ${lineNo}` : `lines ${missingFrom}-${lineNo}`;
+      out.push(`${' '.repeat(width)} | … ${range} not stored in the index`);
+      missingFrom = null;
+      return;
+    }
+    out.push(`${String(lineNo).padStart(width)} | ${text}`);
+  });
+  return out.join('\n');
+}
+
+/**
+ * Reassemble file lines from chunk bodies. Chunks whose body has more lines
+ * than their range hold fragments of over-long lines and are skipped.
+ */
+function linesFromChunks(chunks) {
+  const lines = [];
+  for (const chunk of chunks) {
+    const body = chunkBody(chunk.text).split('\n');
+    if (body.length > chunk.endLine - chunk.startLine + 1) continue;
+    body.forEach((text, idx) => { lines[chunk.startLine - 1 + idx] = text; });
+  }
+  return Array.from(lines, text => text ?? null);
+}
+
+function viewError(message, exitCode) {
+  const err = new Error(message);
+  err.exitCode = exitCode;
+  return err;
+}
@@ -0,0 +1,65 @@
+/**
+ * Identifier-aware term extraction shared by the hash embedder and keyword search.
+ * Splits camelCase, PascalCase, snake_case, kebab-case and dotted paths
+ * so `TtsProviderSchema` also yields `tts`, `provider` and `schema`.
+ */
+
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*(?:[.-][A-Za-z_$][\w$]*)*|\d+(?:\.\d+)*/g;
+const CASE_BOUNDARY = /(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=[A-Za-z])(?=\d)|(?<=\d)(?=[A-Za-z])/;
+
+/**
+ * Split an identifier into its sub-words (original casing preserved).
+ * @param {string} identifier - e.g. 'agents.defaults.sandboxMode'
+ * @returns {string[]} - e.g. ['agents', 'defaults', 'sandbox', 'Mode']
+ */
+export function splitIdentifier(identifier) {
+  return identifier
+    .split(/[^A-Za-z0-9]+/)
+    .flatMap(part => part.split(CASE_BOUNDARY))
+    .filter(Boolean);
+}
+
+/**
+ * Extract lowercase terms from text: every whole identifier plus, for
+ * compound identifiers, each sub-word.
+ * @param {string} text
+ * @returns {{ term: string, part: boolean }[]} - `part` is true for sub-words of a compound
+ */
+export function extractTerms(text) {
+  const terms = [];
+  for (const match of text.matchAll(IDENTIFIER_PATTERN)) {
+    const identifier = match[0];
+    terms.push({ term: identifier.toLowerCase(), part: false });
+
+    const parts = splitIdentifier(identifier);
+    if (parts.length > 1) {
+      for (const part of parts) terms.push({ term: part.toLowerCase(), part: true });
+    }
+  }
+  return terms;
+}
+
+/**
+ * Sub-words of the compound identifiers in text, lowercased and
+ * deduplicated, for the `identifiers` FTS column.
+ * @param {string} text
+ * @returns {string} - e.g. 'tts provider schema'
+ */
+export function identifierSubwords(text) {
+  const parts = new Set();
+  for (const { term, part } of extractTerms(text)) {
+    if (part) parts.add(term);
+  }
+  return [...parts].join(' ');
+}
+
+/**
+ * Compound identifiers in text (camelCase, snake_case, kebab-case, dotted).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function compoundIdentifiers(text) {
+  return [...text.matchAll(IDENTIFIER_PATTERN)]
+    .map(match => match[0])
+    .filter(identifier => splitIdentifier(identifier).length > 1);
+}
@@ -0,0 +1,20 @@
+/**
+ * Worker thread for the `local` embedding provider: loads its own pipeline
+ * and answers each `{ texts }` message with `{ embeddings }` or `{ error }`.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { loadLocalPipeline, embedWithPipeline } from './local-embedding.js';
+
+const pipeReady = loadLocalPipeline(workerData.model);
+// Reported with the first batch instead of crashing the worker
+pipeReady.catch(() => {});
+
+parentPort.on('message', async ({ texts }) => {
+  try {
+    const embeddings = await embedWithPipeline(await pipeReady, texts);
+    parentPort.postMessage({ embeddings });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message, exitCode: err.exitCode });
+  }
+});
@@ -0,0 +1,36 @@
+/**
+ * Local ONNX embedding via @huggingface/transformers, shared by the main
+ * thread and the worker threads of the `local` provider.
+ */
+
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+
+/**
+ * Load the feature-extraction pipeline for a local model.
+ * @param {string} model - e.g. 'all-MiniLM-L6-v2'
+ * @returns {Promise<Function>}
+ * @throws {Error} When @huggingface/transformers is not installed (exitCode = EXIT_CONFIG_ERROR)
+ */
+export async function loadLocalPipeline(model) {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch {
+    const err = new Error('Local embedding requires @huggingface/transformers. Install it: npm install @huggingface/transformers');
+    err.exitCode = EXIT_CONFIG_ERROR;
+    throw err;
+  }
+  return transformers.pipeline('feature-extraction', `Xenova/${model}`);
+}
+
+/**
+ * Embed a batch of texts in one pipeline call. Mean pooling over the
+ * attention mask ignores padding, so vectors match one-at-a-time inference.
+ * @param {Function} pipe - Pipeline from loadLocalPipeline
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+export async function embedWithPipeline(pipe, texts) {
+  const result = await pipe(texts, { pooling: 'mean', normalize: true });
+  return result.tolist();
+}
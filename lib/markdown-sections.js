@@ -0,0 +1,159 @@
+/**
+ * Section-aware segmentation of markdown for the chunker: segments follow
+ * headings, never end inside a fenced code block, and carry their heading
+ * path ("Configuration > Sandbox > Docker"). Also reads the YAML frontmatter
+ * docs and skills start with.
+ */
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const SECTION_SEPARATOR = ' > ';
+
+/**
+ * Top-level keys of a leading `---` frontmatter block. Handles what docs use:
+ * plain and quoted scalars, `[a, b]` and `- item` lists, and `|`/`>` blocks.
+ * @param {string[]} lines
+ * @returns {{ data: Record<string, string|string[]>, lineCount: number }|null} - null without frontmatter
+ */
+export function parseFrontmatter(lines) {
+  if (lines[0]?.trim() !== '---') return null;
+  const end = lines.findIndex((line, i) => i > 0 && (line.trim() === '---' || line.trim() === '...'));
+  if (end === -1) return null;
+
+  const data = {};
+  let key = null;
+  let block = null;   // '|' or '>' while reading an indented block scalar
+  for (const line of lines.slice(1, end)) {
+    const entry = line.match(/^([\w-]+):\s*(.*)$/);
+    if (entry) {
+      key = entry[1];
+      block = /^[|>][-+]?$/.test(entry[2]) ? entry[2][0] : null;
+      data[key] = block ? '' : parseScalar(entry[2]);
+      continue;
+    }
+    if (!key || line.trim() === '' || !/^\s/.test(line)) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (block) {
+      data[key] += (data[key] ? (block === '|' ? '\n' : ' ') : '') + line.trim();
+    } else if (item && (data[key] === '' || Array.isArray(data[key]))) {
+      data[key] = [...(data[key] || []), parseScalar(item[1])];
+    }
+  }
+  return { data, lineCount: end + 1 };
+}
+
+function parseScalar(value) {
+  const text = value.replace(/\s+#.*$/, '').trim();
+  if (/^\[.*\]$/.test(text)) {
+    return text.slice(1, -1).split(',').map(part => parseScalar(part)).filter(Boolean);
+  }
+  const quoted = text.match(/^(["'])(.*)\1$/);
+  return quoted ? quoted[2].replace(/\\"/g, '"').replace(/''/g, "'") : text;
+}
+
+/**
+ * Split markdown into segments of up to maxChars. A segment starts at a
+ * heading, or at a blank line when one section is too long on its own, and a
+ * fenced code block always stays in one piece (the embedding size limit still
+ * applies). Runs of small sections share a segment. Frontmatter stays with the
+ * text after it.
+ * @param {string[]} lines
+ * @param {{ maxChars: number, title?: string|null }} options - `title` roots the
+ *   heading path of documents without a `#` heading
+ * @returns {{ startLine: number, endLine: number, section: string|null }[]} - 1-based inclusive ranges
+ *   covering every line; `section` is the heading path the segment sits under
+ */
+export function segmentMarkdown(lines, { maxChars, title = null }) {
+  const units = splitUnits(lines);
+  const rootTitle = title && !units.some(unit => unit.level === 1) ? [title] : [];
+
+  const segments = [];
+  let current = null;
+  const flush = () => {
+    if (current) segments.push({ startLine: current.start + 1, endLine: current.end + 1, section: sectionOf(current.paths, rootTitle) });
+    current = null;
+  };
+
+  for (const unit of units) {
+    const fits = current && current.chars + unit.chars <= maxChars;
+    // A heading starts a new segment unless the current one is still tiny
+    const newSection = current && unit.level !== null && current.chars >= maxChars / 4;
+    if (!fits || newSection) flush();
+    if (!current) current = { start: unit.start, end: unit.end, chars: 0, paths: [] };
+    current.end = unit.end;
+    current.chars += unit.chars;
+    current.paths.push(unit.path);
+  }
+  flush();
+  return segments;
+}
+
+/**
+ * Indivisible runs of lines: each starts at a heading or after a blank line
+ * outside code fences, and keeps the blank lines that follow it. A heading
+ * stays with the paragraph (or block) after it.
+ * @returns {{ start: number, end: number, chars: number, level: number|null, path: string[] }[]} - 0-based
+ */
+function splitUnits(lines) {
+  const frontmatter = parseFrontmatter(lines);
+  const units = [];
+  const headings = [];   // open headings, outermost first
+  let fence = null;      // opening marker while inside a fenced block
+  let afterBlank = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let level = null;
+
+    if (fence) {
+      const close = line.match(FENCE);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length && line.trim() === close[1]) fence = null;
+    } else if (!frontmatter || i >= frontmatter.lineCount) {
+      const heading = line.match(HEADING);
+      const open = line.match(FENCE);
+      if (heading) {
+        level = heading[1].length;
+        while (headings.length > 0 && headings.at(-1).level >= level) headings.pop();
+        headings.push({ level, title: headingTitle(heading[2]) });
+      }
+      const startsUnit = units.length === 0 || level !== null || (afterBlank && line.trim() !== '' && units.at(-1).hasBody);
+      if (startsUnit) units.push({ start: i, end: i, chars: 0, level, path: headings.map(h => h.title), hasBody: false });
+      if (level === null && line.trim() !== '') units.at(-1).hasBody = true;
+      if (open) fence = open[1];
+      afterBlank = line.trim() === '';
+    }
+
+    if (units.length === 0) units.push({ start: i, end: i, chars: 0, level: null, path: [], hasBody: true });
+    const unit = units.at(-1);
+    unit.end = i;
+    unit.chars += line.length + 1;
+  }
+  return units;
+}
+
+/** Heading text without backticks, `*` emphasis, link targets or `{#anchor}` ids */
+function headingTitle(text) {
+  return text
+    .replace(/\s*\{#[\w-]+\}$/, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*]/g, '')
+    .trim();
+}
+
+/**
+ * Longest heading path shared by every part of the segment that has one, or
+ * the first part's path when sibling sections share nothing.
+ */
+function sectionOf(paths, rootTitle) {
+  const named = paths.filter(path => path.length > 0);
+  if (named.length === 0) return rootTitle.length > 0 ? rootTitle[0] : null;
+  let common = named[0];
+  for (const path of named.slice(1)) {
+    let n = 0;
+    while (n < common.length && n < path.length && common[n] === path[n]) n++;
+    common = common.slice(0, n);
+  }
+  const section = [...rootTitle, ...(common.length > 0 ? common : named[0])];
+  return section.length > 0 ? section.join(SECTION_SEPARATOR) : null;
+}
@@ -0,0 +1,468 @@
+/**
+ * Versioned schema migrations for the knowledge base DB.
+ *
+ * Each step runs once, in order, inside its own transaction and is recorded
+ * in `schema_version`. Steps are written to be idempotent so DBs created
+ * before the migration table existed upgrade through the same path.
+ */
+
+import { createHash } from 'node:crypto';
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+import { identifierSubwords } from './identifiers.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'core-tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS files (
+          path TEXT PRIMARY KEY,
+          source TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          indexed_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS chunks (
+          id TEXT PRIMARY KEY,
+          path TEXT NOT NULL,
+          source TEXT NOT NULL,
+          start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          text TEXT NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_chunks_path ON chunks(path);
+        CREATE INDEX IF NOT EXISTS idx_chunks_source ON chunks(source);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'chunk-metadata-columns',
+    up(db) {
+      addColumnIfMissing(db, 'chunks', 'content_type', "TEXT DEFAULT 'unknown'");
+      addColumnIfMissing(db, 'chunks', 'language', 'TEXT');
+      addColumnIfMissing(db, 'chunks', 'category', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_chunks_content_type ON chunks(content_type);
+        CREATE INDEX IF NOT EXISTS idx_chunks_language ON chunks(language);
+        CREATE INDEX IF NOT EXISTS idx_chunks_category ON chunks(category);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'indexed-release-columns',
+    up(db) {
+      addColumnIfMissing(db, 'chunks', 'indexed_release', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'files', 'indexed_release', 'TEXT DEFAULT NULL');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_indexed_release ON chunks(indexed_release)');
+    },
+  },
+  {
+    version: 4,
+    name: 'releases-table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS releases (
+          tag TEXT PRIMARY KEY,
+          date TEXT NOT NULL,
+          commit_hash TEXT NOT NULL,
+          previous_tag TEXT,
+          commits_count INTEGER,
+          files_changed INTEGER,
+          kb_files_changed INTEGER,
+          kb_impact TEXT,
+          changelog_json TEXT,
+          indexed_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_releases_date ON releases(date DESC);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'fts-metadata-columns',
+    up(db) {
+      // Older FTS tables lack the filter columns; FTS5 cannot ALTER, so
+      // recreate and refill from chunks instead of leaving search empty.
+      const columns = tableColumns(db, 'chunks_fts');
+      if (columns.length > 0 && !columns.includes('indexed_release')) {
+        db.exec('DROP TABLE chunks_fts');
+      }
+
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(
+          text,
+          id UNINDEXED,
+          path UNINDEXED,
+          source UNINDEXED,
+          content_type UNINDEXED,
+          language UNINDEXED,
+          indexed_release UNINDEXED
+        );
+      `);
+
+      const ftsRows = db.prepare('SELECT COUNT(*) as n FROM chunks_fts').get().n;
+      const chunkRows = db.prepare('SELECT COUNT(*) as n FROM chunks').get().n;
+      if (ftsRows < chunkRows) {
+        db.exec('DELETE FROM chunks_fts');
+        db.exec(`
+          INSERT INTO chunks_fts (text, id, path, source, content_type, language, indexed_release)
+          SELECT text, id, path, source, COALESCE(content_type, 'unknown'), language, indexed_release
+          FROM chunks
+        `);
+      }
+    },
+  },
+  {
+    version: 6,
+    name: 'kb-meta-table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS kb_meta (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'chunk-content-hash',
+    up(db) {
+      // Hash of the chunk text without its line-number header, used to reuse vectors
+      addColumnIfMissing(db, 'chunks', 'content_hash', 'TEXT');
+      const update = db.prepare('UPDATE chunks SET content_hash = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, text FROM chunks WHERE content_hash IS NULL').all()) {
+        update.run(hashChunkBodyV7(row.text), row.id);
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_chunks_path_content_hash ON chunks(path, content_hash)');
+    },
+  },
+  {
+    version: 8,
+    name: 'index-runs-table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS index_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_at INTEGER NOT NULL,
+          finished_at INTEGER,
+          release TEXT,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          status TEXT NOT NULL,
+          embedded INTEGER NOT NULL DEFAULT 0,
+          reused INTEGER NOT NULL DEFAULT 0,
+          tokens INTEGER NOT NULL DEFAULT 0,
+          cost REAL NOT NULL DEFAULT 0
+        );
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'vec-filter-columns',
+    up(db) {
+      // Rebuild chunks_vec with filter columns, keeping the stored vectors
+      const row = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'chunks_vec'").get();
+      if (!row || row.sql.includes('content_type')) return;
+      if (!hasVecModule(db)) {
+        throw new Error('sqlite-vec is required to upgrade chunks_vec (reinstall openclaw-kb, or delete the DB and reindex)');
+      }
+
+      // vec0 cannot be renamed reliably (shadow tables keep the old name), so stage the vectors
+      const dims = Number(row.sql.match(/float32\[(\d+)\]/)[1]);
+      db.exec('CREATE TEMP TABLE chunks_vec_staging AS SELECT id, embedding FROM chunks_vec');
+      db.exec('DROP TABLE chunks_vec');
+      db.exec(vectorTableSql(dims));
+      db.exec(`
+        INSERT INTO chunks_vec (id, embedding, source, content_type, language)
+        SELECT v.id, v.embedding, c.source, COALESCE(c.content_type, 'unknown'), COALESCE(c.language, '')
+        FROM chunks_vec_staging v JOIN chunks c ON c.id = v.id
+      `);
+      db.exec('DROP TABLE chunks_vec_staging');
+    },
+  },
+  {
+    version: 10,
+    name: 'fts-external-content',
+    up(db) {
+      // External-content FTS maps to chunks by rowid, which VACUUM may renumber
+      // unless it is an INTEGER PRIMARY KEY, so rebuild chunks with a stable `seq`.
+      const columns = tableColumns(db, 'chunks').join(', ');
+      db.exec(`
+        CREATE TABLE chunks_rebuild (
+          seq INTEGER PRIMARY KEY,
+          id TEXT NOT NULL UNIQUE,
+          path TEXT NOT NULL,
+          source TEXT NOT NULL,
+          start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          text TEXT NOT NULL,
+          content_type TEXT DEFAULT 'unknown',
+          language TEXT,
+          category TEXT,
+          indexed_release TEXT DEFAULT NULL,
+          content_hash TEXT
+        );
+        INSERT INTO chunks_rebuild (${columns}) SELECT ${columns} FROM chunks;
+        DROP TABLE chunks;
+        ALTER TABLE chunks_rebuild RENAME TO chunks;
+
+        CREATE INDEX IF NOT EXISTS idx_chunks_path ON chunks(path);
+        CREATE INDEX IF NOT EXISTS idx_chunks_source ON chunks(source);
+        CREATE INDEX IF NOT EXISTS idx_chunks_content_type ON chunks(content_type);
+        CREATE INDEX IF NOT EXISTS idx_chunks_language ON chunks(language);
+        CREATE INDEX IF NOT EXISTS idx_chunks_category ON chunks(category);
+        CREATE INDEX IF NOT EXISTS idx_chunks_indexed_release ON chunks(indexed_release);
+        CREATE INDEX IF NOT EXISTS idx_chunks_path_content_hash ON chunks(path, content_hash);
+      `);
+
+      // Index chunks.text in place instead of storing a second copy; triggers keep it in sync
+      db.exec(`
+        DROP TABLE IF EXISTS chunks_fts;
+        CREATE VIRTUAL TABLE chunks_fts USING fts5(text, content='chunks', content_rowid='seq');
+
+        CREATE TRIGGER chunks_fts_insert AFTER INSERT ON chunks BEGIN
+          INSERT INTO chunks_fts (rowid, text) VALUES (new.seq, new.text);
+        END;
+        CREATE TRIGGER chunks_fts_delete AFTER DELETE ON chunks BEGIN
+          INSERT INTO chunks_fts (chunks_fts, rowid, text) VALUES ('delete', old.seq, old.text);
+        END;
+        CREATE TRIGGER chunks_fts_update AFTER UPDATE OF text ON chunks BEGIN
+          INSERT INTO chunks_fts (chunks_fts, rowid, text) VALUES ('delete', old.seq, old.text);
+          INSERT INTO chunks_fts (rowid, text) VALUES (new.seq, new.text);
+        END;
+
+        INSERT INTO chunks_fts (chunks_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'fts-identifier-column',
+    up(db) {
+      // unicode61 keeps `TtsProviderSchema` as one token; index its sub-words in a second column
+      addColumnIfMissing(db, 'chunks', 'identifiers', "TEXT NOT NULL DEFAULT ''");
+      const update = db.prepare('UPDATE chunks SET identifiers = ? WHERE seq = ?');
+      for (const row of db.prepare('SELECT seq, text FROM chunks').all()) {
+        update.run(identifierSubwords(row.text), row.seq);
+      }
+
+      db.exec(`
+        DROP TRIGGER IF EXISTS chunks_fts_insert;
+        DROP TRIGGER IF EXISTS chunks_fts_delete;
+        DROP TRIGGER IF EXISTS chunks_fts_update;
+        DROP TABLE IF EXISTS chunks_fts;
+        CREATE VIRTUAL TABLE chunks_fts USING fts5(text, identifiers, content='chunks', content_rowid='seq');
+
+        CREATE TRIGGER chunks_fts_insert AFTER INSERT ON chunks BEGIN
+          INSERT INTO chunks_fts (rowid, text, identifiers) VALUES (new.seq, new.text, new.identifiers);
+        END;
+        CREATE TRIGGER chunks_fts_delete AFTER DELETE ON chunks BEGIN
+          INSERT INTO chunks_fts (chunks_fts, rowid, text, identifiers) VALUES ('delete', old.seq, old.text, old.identifiers);
+        END;
+        CREATE TRIGGER chunks_fts_update AFTER UPDATE OF text, identifiers ON chunks BEGIN
+          INSERT INTO chunks_fts (chunks_fts, rowid, text, identifiers) VALUES ('delete', old.seq, old.text, old.identifiers);
+          INSERT INTO chunks_fts (rowid, text, identifiers) VALUES (new.seq, new.text, new.identifiers);
+        END;
+
+        -- Sub-word matches count for less than matches in the text itself
+        INSERT INTO chunks_fts (chunks_fts, rank) VALUES ('rank', 'bm25(1.0, 0.5)');
+        INSERT INTO chunks_fts (chunks_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'chunk-symbols',
+    up(db) {
+      // Declaration a chunk belongs to (TtsProviderSchema / const); filled in on the next index run
+      addColumnIfMissing(db, 'chunks', 'symbol_name', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'chunks', 'symbol_kind', 'TEXT DEFAULT NULL');
+    },
+  },
+  {
+    version: 13,
+    name: 'chunk-sections',
+    up(db) {
+      // Markdown heading path and frontmatter (read_when as a JSON array); filled in on the next index run
+      addColumnIfMissing(db, 'chunks', 'section', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'chunks', 'doc_title', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'chunks', 'doc_summary', 'TEXT DEFAULT NULL');
+      addColumnIfMissing(db, 'chunks', 'doc_read_when', 'TEXT DEFAULT NULL');
+    },
+  },
+  {
+    version: 14,
+    name: 'symbols-table',
+    up(db) {
+      // Exported declarations per file; filled in as files are (re)indexed
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS symbols (
+          name TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          path TEXT NOT NULL,
+          start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL,
+          language TEXT,
+          source TEXT,
+          indexed_release TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_symbols_name ON symbols(name COLLATE NOCASE);
+        CREATE INDEX IF NOT EXISTS idx_symbols_path ON symbols(path);
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'config-keys',
+    up(db) {
+      // Keys of the upstream config schema; rebuilt from the zod-schema files on every index run
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS config_keys (
+          key_path TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          enum_values TEXT,
+          default_value TEXT,
+          description TEXT,
+          optional INTEGER NOT NULL DEFAULT 0,
+          schema_name TEXT,
+          path TEXT NOT NULL,
+          start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL,
+          indexed_release TEXT
+        );
+      `);
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Current schema version (0 for an empty or pre-migration DB).
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @returns {number}
+ */
+export function getSchemaVersion(db) {
+  if (tableColumns(db, 'schema_version').length === 0) return 0;
+  return db.prepare('SELECT MAX(version) as v FROM schema_version').get().v ?? 0;
+}
+
+/**
+ * Describe what runMigrations would do, without changing anything.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @returns {{ from: number, to: number, pending: { version: number, name: string }[] }}
+ * @throws {Error} When the DB was written by a newer openclaw-kb (exitCode = EXIT_CONFIG_ERROR)
+ */
+export function planMigrations(db) {
+  const from = getSchemaVersion(db);
+  if (from > LATEST_SCHEMA_VERSION) {
+    const err = new Error(
+      `Database schema v${from} is newer than this openclaw-kb supports (v${LATEST_SCHEMA_VERSION}). ` +
+      'Upgrade openclaw-kb on this machine to read it.'
+    );
+    err.exitCode = EXIT_CONFIG_ERROR;
+    throw err;
+  }
+  const pending = MIGRATIONS
+    .filter(m => m.version > from)
+    .map(({ version, name }) => ({ version, name }));
+  return { from, to: LATEST_SCHEMA_VERSION, pending };
+}
+
+/**
+ * Apply pending migrations in order, one transaction per step.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {(msg: string) => void} [log]
+ * @returns {{ from: number, to: number, pending: { version: number, name: string }[] }}
+ */
+export function runMigrations(db, log = () => {}) {
+  const plan = planMigrations(db);
+  if (plan.pending.length === 0) return plan;
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+
+  for (const { version, name } of plan.pending) {
+    const migration = MIGRATIONS.find(m => m.version === version);
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      // Another process may have migrated while we waited for the lock
+      if (getSchemaVersion(db) < version) {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(version, name, Date.now());
+        log(`Applied migration ${version} (${name})`);
+      }
+      db.exec('COMMIT');
+    } catch (e) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${version} (${name}) failed: ${e.message}`);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * DDL for the sqlite-vec table. Filter columns live inside vec0 so KNN
+ * queries filter before choosing the nearest rows; vec0 metadata columns
+ * reject NULL, so a missing language is stored as ''.
+ * @param {number} dims
+ * @returns {string}
+ */
+export function vectorTableSql(dims) {
+  return `
+    CREATE VIRTUAL TABLE IF NOT EXISTS chunks_vec USING vec0(
+      id TEXT PRIMARY KEY,
+      embedding float32[${dims}],
+      source TEXT partition key,
+      content_type TEXT,
+      language TEXT
+    );
+  `;
+}
+
+// --- Helpers ---
+
+function hasVecModule(db) {
+  try {
+    db.prepare('SELECT vec_version()').get();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function tableColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!tableColumns(db, table).includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * hashChunkBody as of migration 7, frozen so later chunker changes do not
+ * change what the migration writes.
+ */
+function hashChunkBodyV7(text) {
+  const body = text.startsWith('// File: ') ? text.slice(text.indexOf('\n') + 1) : text;
+  return createHash('sha256').update(body).digest('hex');
+}
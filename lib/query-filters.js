@@ -0,0 +1,116 @@
+/**
+ * Inline search filters in query text:
+ *
+ *   keychain path:apps/shared lang:swift type:code source:ios,macos release:>=v2026.2.1 -path:extensions
+ *
+ * `key:a,b` keeps chunks matching any of the values, `-key:` drops them, and
+ * different keys must all hold. Anything else stays search text.
+ */
+
+import { z } from 'zod';
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+
+/** Inline key → SearchFilters field */
+const FILTER_KEYS = { path: 'path', lang: 'lang', type: 'type', source: 'source', release: 'release' };
+const LIST_KEYS = ['path', 'lang', 'type', 'source'];
+const FILTER_TOKEN = /(?<=^|\s)(-?)([a-z]+):(\S+)/g;
+const RELEASE_PATTERN = /^(>=|<=|>|<|=)?(\S+)$/;
+
+const valueList = z.array(z.string().min(1)).min(1);
+
+/**
+ * Structured filters accepted by the search functions and the MCP `search` tool.
+ * `path` values are prefixes (`src/gateway`) or globs with `*` / `?`.
+ * `release` compares the release a chunk was last indexed at, by release date.
+ */
+export const SearchFiltersSchema = z.object({
+  path: valueList.optional(),
+  lang: valueList.optional(),
+  type: valueList.optional(),
+  source: valueList.optional(),
+  release: z.string().regex(RELEASE_PATTERN).optional(),
+  exclude: z.object({
+    path: valueList.optional(),
+    lang: valueList.optional(),
+    type: valueList.optional(),
+    source: valueList.optional(),
+  }).strict().optional(),
+}).strict();
+
+/**
+ * Split inline filters out of query text.
+ * @param {string} text
+ * @returns {{ query: string, filters: object|null }} - `filters` matches SearchFiltersSchema, null when there are none
+ * @throws {Error} On a negated release filter or a filter without values (exitCode = EXIT_CONFIG_ERROR)
+ */
+export function parseQueryFilters(text) {
+  const filters = {};
+  const query = text.replace(FILTER_TOKEN, (token, negated, key, value) => {
+    const field = FILTER_KEYS[key];
+    if (!field) return token;
+
+    if (field === 'release') {
+      if (negated) throw filterError(`"${token.trim()}": release filters cannot be negated; use release:<${value} instead`);
+      filters.release = value;
+      return '';
+    }
+
+    const target = negated ? (filters.exclude ??= {}) : filters;
+    const values = value.split(',').filter(Boolean);
+    if (values.length === 0) throw filterError(`"${token.trim()}": give at least one value, e.g. ${key}:<value>`);
+    target[field] = [...(target[field] ?? []), ...values];
+    return '';
+  }).replace(/\s+/g, ' ').trim();
+
+  return { query, filters: Object.keys(filters).length > 0 ? filters : null };
+}
+
+/**
+ * Combine filter sets; `override` wins for every key it sets.
+ * @param {object|null} base
+ * @param {object|null} override
+ * @returns {object|null}
+ */
+export function mergeFilters(base, override) {
+  if (!base) return override ?? null;
+  if (!override) return base;
+  const exclude = { ...base.exclude, ...override.exclude };
+  return {
+    ...base,
+    ...override,
+    ...(Object.keys(exclude).length > 0 ? { exclude } : {}),
+  };
+}
+
+/**
+ * Inline-syntax labels for each filter, e.g. ['source:ios,macos', '-path:extensions'].
+ * @param {object|null} filters
+ * @returns {string[]}
+ */
+export function describeFilters(filters) {
+  if (!filters) return [];
+  const labels = [];
+  for (const key of LIST_KEYS) {
+    if (filters[key]) labels.push(`${key}:${filters[key].join(',')}`);
+  }
+  if (filters.release) labels.push(`release:${filters.release}`);
+  for (const key of LIST_KEYS) {
+    if (filters.exclude?.[key]) labels.push(`-${key}:${filters.exclude[key].join(',')}`);
+  }
+  return labels;
+}
+
+/**
+ * @param {string} release - e.g. '>=v2026.2.1'
+ * @returns {{ op: string, tag: string }}
+ */
+export function parseReleaseFilter(release) {
+  const [, op = '=', tag] = release.match(RELEASE_PATTERN);
+  return { op, tag };
+}
+
+function filterError(message) {
+  const err = new Error(`Invalid filter ${message}`);
+  err.exitCode = EXIT_CONFIG_ERROR;
+  return err;
+}
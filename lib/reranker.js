@@ -0,0 +1,88 @@
+/**
+ * Optional cross-encoder reranking of fused search results via the optional
+ * @huggingface/transformers dependency. A cross-encoder reads the query and
+ * each chunk together, so it can tell the exact implementation from a doc
+ * that only shares vocabulary — too slow for the whole index, fine for the
+ * top few dozen candidates.
+ */
+
+import { EXIT_CONFIG_ERROR } from './exit-codes.js';
+
+const rerankers = new Map();
+
+/**
+ * Load a cross-encoder (cached per model for the life of the process).
+ * @param {string} model - e.g. 'ms-marco-MiniLM-L-6-v2'
+ * @returns {Promise<(query: string, texts: string[]) => Promise<number[]>>} - Scores each text 0..1
+ * @throws {Error} When @huggingface/transformers is not installed (exitCode = EXIT_CONFIG_ERROR) or the model fails to load
+ */
+export function loadReranker(model) {
+  if (!rerankers.has(model)) {
+    const loading = createReranker(model);
+    // A failed load may be fixed (installed, downloaded) before the next query
+    loading.catch(() => rerankers.delete(model));
+    rerankers.set(model, loading);
+  }
+  return rerankers.get(model);
+}
+
+async function createReranker(model) {
+  let transformers;
+  try {
+    transformers = await import('@huggingface/transformers');
+  } catch {
+    const err = new Error('Reranking requires @huggingface/transformers. Install it: npm install @huggingface/transformers');
+    err.exitCode = EXIT_CONFIG_ERROR;
+    throw err;
+  }
+  const id = `Xenova/${model}`;
+  const tokenizer = await transformers.AutoTokenizer.from_pretrained(id);
+  const classifier = await transformers.AutoModelForSequenceClassification.from_pretrained(id);
+
+  return async (query, texts) => {
+    const inputs = tokenizer(texts.map(() => query), { text_pair: texts, padding: true, truncation: true });
+    const { logits } = await classifier(inputs);
+    return logits.sigmoid().tolist().map(([score]) => score);
+  };
+}
+
+/**
+ * Reorder candidates by cross-encoder score, best first. `score` becomes the
+ * rerank score; the fused score and position are kept as `fusedScore` and
+ * `fusedRank` (also on `explain` when present).
+ * @param {string} query
+ * @param {object[]} candidates - Fused results, best first
+ * @param {(query: string, texts: string[]) => Promise<number[]>} scorer - From loadReranker
+ * @returns {Promise<object[]>}
+ */
+export async function rerankResults(query, candidates, scorer) {
+  if (candidates.length === 0) return [];
+  const scores = await scorer(query, candidates.map(r => r.text));
+  return candidates
+    .map((r, idx) => ({
+      ...r,
+      score: scores[idx],
+      fusedScore: r.score,
+      fusedRank: idx + 1,
+      ...(r.explain ? { explain: { ...r.explain, fusedRank: idx + 1, fusedScore: r.score } } : {}),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Rerank with the given model, or keep the fused order when it can't be
+ * loaded (not installed, no network for the first download).
+ * @param {string} query
+ * @param {object[]} candidates
+ * @param {string} model
+ * @returns {Promise<{ results: object[], warning: string|null }>}
+ */
+export async function rerankOrFallback(query, candidates, model) {
+  let scorer;
+  try {
+    scorer = await loadReranker(model);
+  } catch (err) {
+    return { results: candidates, warning: `Reranking skipped, keeping fused order (${model}: ${err.message})` };
+  }
+  return { results: await rerankResults(query, candidates, scorer), warning: null };
+}
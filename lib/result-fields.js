@@ -0,0 +1,73 @@
+/**
+ * Result fields shared by `query --json` and the MCP search tools, so both
+ * serialize documents and explain reports the same way.
+ */
+
+/**
+ * One search result as `query --json` and the MCP search tools return it.
+ * @param {object} r - Search result, after any post-processing
+ * @returns {object}
+ */
+export function serializeResult(r) {
+  return {
+    id: r.id,
+    score: Math.round(r.score * 1000) / 1000,
+    path: r.path,
+    lines: `${r.startLine}-${r.endLine}`,
+    source: r.source,
+    contentType: r.contentType,
+    language: r.language,
+    category: r.category,
+    ...(r.symbolName ? { symbol: r.symbolName, symbolKind: r.symbolKind } : {}),
+    ...documentFields(r),
+    snippet: r.text.slice(0, 800),
+    ...(r.chunkIds ? { mergedChunks: r.chunkIds.length } : {}),
+    ...(r.fileHits > 1 ? { fileHits: r.fileHits } : {}),
+    ...(r.explain ? { explain: r.explain } : {}),
+  };
+}
+
+/**
+ * Query-level part of an explainSearch report (per-hit details stay on the results).
+ * @param {object} explanation - explainSearch result plus `expandedQuery` and embedding/rerank timings
+ * @returns {object}
+ */
+export function summarizeExplanation(explanation) {
+  const ms = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+  return {
+    expandedQuery: explanation.expandedQuery,
+    ftsMatch: explanation.ftsQuery?.match ?? null,
+    ftsWholeIdentifiers: explanation.ftsQuery?.whole ?? null,
+    filters: explanation.filters,
+    fusion: explanation.fusion,
+    timings: {
+      embeddingMs: ms(explanation.timings.embeddingMs),
+      vectorMs: ms(explanation.timings.vectorMs),
+      ftsMs: ms(explanation.timings.ftsMs),
+      rerankMs: ms(explanation.timings.rerankMs),
+    },
+    filteredOut: explanation.filteredOut.map(r => ({
+      path: r.path,
+      lines: `${r.startLine}-${r.endLine}`,
+      source: r.source,
+      contentType: r.contentType,
+      vectorRank: r.vectorRank,
+      textRank: r.textRank,
+      removedBy: r.removedBy,
+    })),
+  };
+}
+
+/**
+ * Markdown section and frontmatter fields of a result, only those it has.
+ * @param {object} r - Search result
+ * @returns {{ section?: string, docTitle?: string, docSummary?: string, readWhen?: string[] }}
+ */
+function documentFields(r) {
+  return {
+    ...(r.section ? { section: r.section } : {}),
+    ...(r.docTitle ? { docTitle: r.docTitle } : {}),
+    ...(r.docSummary ? { docSummary: r.docSummary } : {}),
+    ...(r.docReadWhen?.length ? { readWhen: r.docReadWhen } : {}),
+  };
+}
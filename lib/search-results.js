@@ -0,0 +1,185 @@
+/**
+ * Post-processing of ranked search results, shared by `query` and the MCP
+ * search tools. Chunks overlap by design (CHUNK_OVERLAP_CHARS), so without
+ * this a top-8 list often holds three neighbouring chunks of one file.
+ */
+
+import { buildChunkText, chunkBody, holdsLineFragment } from './chunker.js';
+import { extractTerms } from './identifiers.js';
+
+/** Fetch this many times `limit` candidates when post-processing may drop some */
+export const POST_PROCESS_POOL_FACTOR = 3;
+const MAX_MERGED_NAMES = 3;
+
+/**
+ * Apply the enabled steps in order: collapse overlapping chunks, keep the
+ * best hit per file, then reorder for diversity. Returns at most `limit`.
+ * @param {object[]} results - Ranked results, best first
+ * @param {{ limit: number, collapse?: boolean, groupBy?: 'file'|null, mmr?: number|null }} options
+ *   - `mmr` is the MMR lambda (1 = relevance only, 0 = diversity only)
+ * @returns {object[]}
+ */
+export function postProcessResults(results, { limit, collapse = true, groupBy = null, mmr = null }) {
+  let processed = results;
+  if (collapse) processed = collapseOverlapping(processed);
+  if (groupBy === 'file') processed = groupByFile(processed);
+  if (mmr !== null && mmr !== undefined) return diversify(processed, limit, mmr);
+  return processed.slice(0, limit);
+}
+
+/**
+ * Merge hits from the same file whose line ranges overlap or touch into one
+ * hit spanning them. The merged hit keeps the best member's score, id and
+ * explain data, joins the texts by line number so overlap lines appear once, and lists
+ * every member in `chunkIds`. Order follows each merged hit's best member.
+ * Chunks without a `// File:` line header (release notes) have no real line
+ * range, and chunks holding pieces of a split long line cannot be joined by
+ * line number; neither is ever merged.
+ * @param {object[]} results - Ranked results, best first
+ * @returns {object[]}
+ */
+export function collapseOverlapping(results) {
+  const byPath = new Map();
+  const merged = [];
+  results.forEach((r, rank) => {
+    if (chunkBody(r.text) === r.text || holdsLineFragment(r.text)) {
+      merged.push({ rank, result: r });
+      return;
+    }
+    if (!byPath.has(r.path)) byPath.set(r.path, []);
+    byPath.get(r.path).push({ r, rank });
+  });
+
+  for (const [path, hits] of byPath) {
+    hits.sort((a, b) => a.r.startLine - b.r.startLine);
+    let run = [hits[0]];
+    for (const hit of hits.slice(1)) {
+      const endLine = Math.max(...run.map(h => h.r.endLine));
+      if (hit.r.startLine <= endLine + 1) {
+        run.push(hit);
+      } else {
+        merged.push(mergeRun(path, run));
+        run = [hit];
+      }
+    }
+    merged.push(mergeRun(path, run));
+  }
+
+  return merged.sort((a, b) => a.rank - b.rank).map(m => m.result);
+}
+
+function mergeRun(path, run) {
+  const best = run.reduce((a, b) => (b.rank < a.rank ? b : a));
+  if (run.length === 1) return { rank: best.rank, result: best.r };
+
+  const startLine = run[0].r.startLine;
+  const endLine = Math.max(...run.map(h => h.r.endLine));
+  // Members come in start order; each adds only the lines past what is merged so far
+  const lines = [];
+  let mergedEnd = startLine - 1;
+  for (const { r } of run) {
+    if (r.endLine <= mergedEnd) continue;
+    lines.push(...chunkBody(r.text).split('\n').slice(Math.max(0, mergedEnd - r.startLine + 1)));
+    mergedEnd = r.endLine;
+  }
+  const section = mergedSection(run);
+
+  return {
+    rank: best.rank,
+    result: {
+      ...best.r,
+      startLine,
+      endLine,
+      text: buildChunkText(lines, path, startLine, endLine, section),
+      chunkIds: run.map(h => h.r.id),
+      section,
+      ...mergedSymbol(run),
+    },
+  };
+}
+
+/** One symbol when every member has it; otherwise the distinct names in line order. */
+function mergedSymbol(run) {
+  const names = [...new Set(run.map(h => h.r.symbolName).filter(Boolean))];
+  const kinds = new Set(run.map(h => h.r.symbolKind));
+  if (names.length <= 1 && kinds.size === 1) return {};
+  return {
+    symbolName: names.length > 0 ? names.slice(0, MAX_MERGED_NAMES).join(', ') + (names.length > MAX_MERGED_NAMES ? ', …' : '') : null,
+    symbolKind: kinds.size === 1 ? [...kinds][0] : null,
+  };
+}
+
+/**
+ * Heading path shared by every member with a section ("Sandbox > Docker" +
+ * "Sandbox > Podman" -> "Sandbox"), or the first one's when they share nothing.
+ */
+function mergedSection(run) {
+  const paths = run.map(h => h.r.section).filter(Boolean).map(section => section.split(' > '));
+  if (paths.length === 0) return null;
+  let common = paths[0];
+  for (const path of paths.slice(1)) {
+    let n = 0;
+    while (n < common.length && n < path.length && common[n] === path[n]) n++;
+    common = common.slice(0, n);
+  }
+  return (common.length > 0 ? common : paths[0]).join(' > ');
+}
+
+/**
+ * Keep the best hit per file; `fileHits` counts the file's hits in the input.
+ * @param {object[]} results - Ranked results, best first
+ * @returns {object[]}
+ */
+export function groupByFile(results) {
+  const best = new Map();
+  for (const r of results) {
+    if (best.has(r.path)) best.get(r.path).fileHits++;
+    else best.set(r.path, { ...r, fileHits: 1 });
+  }
+  return [...best.values()];
+}
+
+/**
+ * Maximal marginal relevance: repeatedly pick the result maximizing
+ * `lambda * relevance - (1 - lambda) * max similarity to those already picked`.
+ * Relevance is the min-max normalized score; similarity is the Jaccard overlap
+ * of identifier-aware term sets, so it works the same with or without vectors.
+ * @param {object[]} results - Ranked results, best first
+ * @param {number} limit
+ * @param {number} lambda - 0..1
+ * @returns {object[]}
+ */
+export function diversify(results, limit, lambda) {
+  if (results.length === 0) return [];
+  const scores = results.map(r => r.score);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  const candidates = results.map(r => ({
+    r,
+    relevance: range > 0 ? (r.score - min) / range : 1,
+    terms: new Set(extractTerms(chunkBody(r.text)).map(t => t.term)),
+  }));
+
+  const picked = [];
+  while (picked.length < limit && candidates.length > 0) {
+    let bestIdx = 0;
+    let bestValue = -Infinity;
+    candidates.forEach((c, idx) => {
+      const redundancy = Math.max(0, ...picked.map(p => jaccard(c.terms, p.terms)));
+      const value = lambda * c.relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIdx = idx;
+      }
+    });
+    picked.push(candidates.splice(bestIdx, 1)[0]);
+  }
+  return picked.map(p => p.r);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+}
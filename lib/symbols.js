@@ -0,0 +1,119 @@
+/**
+ * Symbol index lookups for `symbol` and the MCP `get_symbol` tool: find
+ * exported TS/JS and Swift declarations by name and show their definition,
+ * straight from the DB with no embeddings or API key.
+ */
+
+import { exportedSymbols } from './code-symbols.js';
+import { getSymbolsByName, getSymbolsByPrefix, getSymbolNames, getChunkIdAt } from './db.js';
+import { loadFileView, formatFileView } from './file-view.js';
+
+export const SYMBOL_MATCH_MODES = ['exact', 'prefix', 'fuzzy'];
+export const SYMBOL_LIMIT = 5;
+const DEFINITION_LINES = 60;   // longer definitions are cut, with a pointer to `show`
+const MAX_FUZZY_NAMES = 500;   // best fuzzy names loaded when filtering by kind
+
+const SYMBOL_LANGUAGES = { ts: 'typescript', js: 'javascript', swift: 'swift' };
+
+/**
+ * Exported declarations of a source file, for the symbols table.
+ * @param {string} content
+ * @param {string} relPath
+ * @returns {{ name: string, kind: string, startLine: number, endLine: number, language: string }[]} - empty for other file types
+ */
+export function extractSymbols(content, relPath) {
+  const language = SYMBOL_LANGUAGES[relPath.split('.').pop()];
+  if (!language) return [];
+  return exportedSymbols(content.split('\n'), language).map(symbol => ({ ...symbol, language }));
+}
+
+/**
+ * Look a name up by exact match, then prefix, then fuzzy (substring or a few
+ * typos), stopping at the first mode that finds anything; `match` forces one mode.
+ * @param {string} query
+ * @param {{ match?: 'exact'|'prefix'|'fuzzy'|null, kind?: string|null, limit?: number }} [options]
+ * @returns {{ match: string|null, symbols: import('./db.js').StoredSymbol[] }} - `match` is the mode that found them
+ */
+export function lookupSymbols(query, { match = null, kind = null, limit = SYMBOL_LIMIT } = {}) {
+  const name = query.trim();
+  const ofKind = symbols => (kind ? symbols.filter(s => s.kind === kind) : symbols);
+
+  for (const mode of match ? [match] : SYMBOL_MATCH_MODES) {
+    let symbols;
+    if (mode === 'exact') {
+      // Same case first
+      symbols = ofKind(getSymbolsByName([name])).sort((a, b) => (b.name === name) - (a.name === name));
+    } else if (mode === 'prefix') {
+      symbols = ofKind(getSymbolsByPrefix(name, kind ? Number.MAX_SAFE_INTEGER : limit));
+    } else {
+      const scores = new Map(getSymbolNames()
+        .map(n => [n, fuzzyScore(name, n)])
+        .filter(([, score]) => score > 0)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, kind ? MAX_FUZZY_NAMES : limit));
+      symbols = ofKind(getSymbolsByName([...scores.keys()]))
+        .sort((a, b) => scores.get(b.name) - scores.get(a.name) || a.name.localeCompare(b.name));
+    }
+    if (symbols.length > 0) return { match: mode, symbols: symbols.slice(0, limit) };
+  }
+  return { match: null, symbols: [] };
+}
+
+/**
+ * Substring matches score in (1, 2], closer lengths higher; otherwise names
+ * within a quarter of the query's length in edits score in (0, 1); else 0.
+ */
+function fuzzyScore(query, name) {
+  const q = query.toLowerCase();
+  const n = name.toLowerCase();
+  if (n.includes(q)) return 2 - (n.length - q.length) / n.length;
+  const maxEdits = Math.max(1, Math.floor(q.length / 4));
+  if (Math.abs(n.length - q.length) > maxEdits) return 0;
+  const edits = editDistance(q, n);
+  return edits <= maxEdits ? 1 - edits / q.length : 0;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * A symbol with its definition (first DEFINITION_LINES lines, see
+ * loadFileView) and the id of the chunk that holds it.
+ * @param {import('./db.js').StoredSymbol} symbol
+ * @returns {import('./db.js').StoredSymbol & { chunkId: string|null, truncated: boolean, definition: ReturnType<typeof loadFileView> }}
+ */
+export function loadSymbolDefinition(symbol) {
+  const endLine = Math.min(symbol.endLine, symbol.startLine + DEFINITION_LINES - 1);
+  return {
+    ...symbol,
+    chunkId: getChunkIdAt(symbol.path, symbol.startLine),
+    truncated: endLine < symbol.endLine,
+    definition: loadFileView(symbol.path, { startLine: symbol.startLine, endLine }),
+  };
+}
+
+/**
+ * Render looked-up definitions: a `name (kind)` line with the match mode and
+ * chunk id, then the line-numbered definition.
+ * @param {{ match: string|null, symbols: ReturnType<typeof loadSymbolDefinition>[] }} result
+ * @returns {string}
+ */
+export function formatSymbolDefinitions({ match, symbols }) {
+  return symbols.map(s => {
+    const chunk = s.chunkId ? `, chunk ${s.chunkId}` : '';
+    const out = [`${s.name} (${s.kind}), ${match} match${chunk}`];
+    if (s.definition.warning) out.push(`Warning: ${s.definition.warning}`);
+    out.push(formatFileView(s.definition));
+    if (s.truncated) out.push(`… ${s.endLine - s.definition.endLine} more lines: openclaw-kb show ${s.path}:${s.startLine}-${s.endLine}`);
+    return out.join('\n');
+  }).join('\n\n');
+}
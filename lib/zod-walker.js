@@ -0,0 +1,729 @@
+/**
+ * Static reading of the upstream zod schemas for the config key reference.
+ * Parses the `const FooSchema = z.object({ ... })` declarations of the
+ * zod-schema files without running them, follows references between schemas
+ * (across files too) and walks the root schema into dotted key paths with
+ * their type, allowed values, default, `.describe()` text and location.
+ * Expressions it does not understand become `unknown` instead of failing.
+ */
+
+export const ROOT_SCHEMA = 'OpenClawSchema';
+const MAX_DEPTH = 24;   // nesting guard for pathological or self-referencing schemas
+
+const PUNCTUATORS = ['...', '===', '!==', '=>', '?.', '??', '==', '!=', '&&', '||', '<=', '>=', '++', '--'];
+// Tokens after which a `/` starts a regex literal rather than a division
+const REGEX_AFTER = new Set(['(', ',', '=', ':', '[', '!', '&&', '||', '??', '?', '{', '}', ';', '=>', 'return', 'typeof']);
+const DELIMITERS = new Set([',', ')', ']', '}', ';']);
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+
+// Zod constructors whose input is a string or number with a format check
+const STRING_FORMATS = new Set(['email', 'url', 'uuid', 'cuid', 'cuid2', 'ulid', 'ipv4', 'ipv6', 'cidrv4', 'cidrv6', 'e164', 'jwt', 'base64', 'hostname', 'iso']);
+const NUMBER_FORMATS = new Set(['int', 'int32', 'uint32', 'float32', 'float64']);
+const PRIMITIVES = new Set(['string', 'number', 'boolean', 'bigint', 'date', 'any', 'unknown', 'never', 'null', 'undefined', 'void', 'symbol', 'nan']);
+
+/**
+ * A config key: `key` is its dotted path, `path` the schema file declaring it
+ * and `schema` the const it sits in.
+ * @typedef {{ key: string, type: string, values: (string|number|boolean|null)[]|null, defaultValue: string|null,
+ *   description: string|null, optional: boolean, schema: string|null, path: string, startLine: number, endLine: number }} ConfigKey
+ */
+
+/**
+ * Config keys of the root schema declared across `files`: ROOT_SCHEMA when
+ * one of them declares it, otherwise the unreferenced object schema with the
+ * most keys. Keys come in schema order; `[]` marks array items and `*`
+ * record entries (`agents.list[].id`, `channels.telegram.accounts.*.token`).
+ * @param {{ path: string, content: string }[]} files
+ * @returns {ConfigKey[]}
+ */
+export function walkConfigSchemas(files) {
+  const decls = new Map();
+  for (const file of files) {
+    for (const decl of parseDeclarations(file.content, file.path)) {
+      if (!decls.has(decl.name)) decls.set(decl.name, decl);
+    }
+  }
+  const resolve = resolver(decls);
+
+  let roots = decls.has(ROOT_SCHEMA) ? [ROOT_SCHEMA] : [];
+  if (roots.length === 0) {
+    const referenced = new Set([...decls.values()].flatMap(decl => identifiersOf(decl.node)));
+    roots = [...decls.keys()].filter(name => !referenced.has(name));
+  }
+
+  let best = [];
+  for (const name of roots) {
+    const schema = resolve(name);
+    if (!schema.fields) continue;
+    const keys = new Map();
+    collectKeys(schema, '', keys, 0);
+    if (keys.size > best.length) best = [...keys.values()];
+  }
+  return best;
+}
+
+// --- Tokens ---
+
+function tokenize(content) {
+  const tokens = [];
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) if (content[i] === '\n') lineStarts.push(i + 1);
+  const lineAt = offset => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+  const push = (type, value, start, end) => tokens.push({ type, value, start, end, line: lineAt(start) });
+
+  let i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    const start = i;
+    if (/\s/.test(c)) {
+      i++;
+    } else if (content.startsWith('//', i)) {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+    } else if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+    } else if (c === '"' || c === "'") {
+      i++;
+      while (i < content.length && content[i] !== c && content[i] !== '\n') i += content[i] === '\\' ? 2 : 1;
+      i++;
+      push('string', unescape(content.slice(start + 1, i - 1)), start, i);
+    } else if (c === '`') {
+      i = skipTemplate(content, i + 1);
+      const raw = content.slice(start + 1, i - 1);
+      push(raw.includes('${') ? 'template' : 'string', raw.includes('${') ? null : unescape(raw), start, i);
+    } else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(content[i + 1]))) {
+      const match = content.slice(i).match(/^(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)n?/);
+      i += match[0].length;
+      push('number', Number(match[0].replace(/[_n]/g, '')), start, i);
+    } else if (/[A-Za-z_$]/.test(c)) {
+      const match = content.slice(i).match(/^[\w$]+/);
+      i += match[0].length;
+      push('ident', match[0], start, i);
+    } else if (c === '/' && (tokens.length === 0 || (tokens.at(-1).type !== 'string' && REGEX_AFTER.has(tokens.at(-1).value)))) {
+      i = skipRegex(content, i + 1);
+      push('regex', content.slice(start, i), start, i);
+    } else {
+      const op = PUNCTUATORS.find(p => content.startsWith(p, i)) ?? c;
+      i += op.length;
+      push('punct', op, start, i);
+    }
+  }
+  return tokens;
+}
+
+function skipTemplate(content, i) {
+  while (i < content.length && content[i] !== '`') {
+    if (content[i] === '\\') {
+      i += 2;
+    } else if (content.startsWith('${', i)) {
+      let depth = 1;
+      i += 2;
+      while (i < content.length && depth > 0) {
+        if (content[i] === '{') depth++;
+        else if (content[i] === '}') depth--;
+        else if (content[i] === '`') i = skipTemplate(content, i + 1) - 1;
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+function skipRegex(content, i) {
+  let inClass = false;
+  while (i < content.length && content[i] !== '\n') {
+    const c = content[i];
+    if (c === '\\') i++;
+    else if (c === '[') inClass = true;
+    else if (c === ']') inClass = false;
+    else if (c === '/' && !inClass) break;
+    i++;
+  }
+  i++;
+  while (/[a-z]/.test(content[i] ?? '')) i++;
+  return i;
+}
+
+function unescape(text) {
+  const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+  return text.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r?\n|.)/g, (_, seq) => {
+    if (/^[ux]/.test(seq) && seq.length > 1) return String.fromCodePoint(parseInt(seq.replace(/[ux{}]/g, ''), 16));
+    if (seq.includes('\n')) return '';
+    return simple[seq] ?? seq;
+  });
+}
+
+// --- Parsing ---
+
+/**
+ * Top-level `const`/`let` declarations with their parsed initializer.
+ * @returns {{ name: string, node: object, file: string, line: number }[]}
+ */
+function parseDeclarations(content, file) {
+  const tokens = tokenize(content);
+  const parser = createParser(tokens, content);
+  const decls = [];
+  let depth = 0;
+
+  while (parser.pos < tokens.length) {
+    const t = tokens[parser.pos];
+    if (t.type === 'punct' && OPENERS[t.value]) depth++;
+    else if (t.type === 'punct' && CLOSERS.has(t.value)) depth = Math.max(0, depth - 1);
+
+    const name = tokens[parser.pos + 1];
+    if (depth === 0 && t.type === 'ident' && (t.value === 'const' || t.value === 'let') && name?.type === 'ident') {
+      parser.pos += 2;
+      if (parser.is(':')) parser.skipType();
+      if (parser.is('=')) {
+        parser.pos++;
+        decls.push({ name: name.value, node: parser.expression(), file, line: name.line });
+        continue;
+      }
+    }
+    parser.pos++;
+  }
+  return decls;
+}
+
+/**
+ * Recursive-descent parser for the expression subset schemas use: names,
+ * literals, member access, calls, array and object literals and arrow
+ * functions. Anything else is skipped up to the next delimiter as `opaque`.
+ */
+function createParser(tokens, content) {
+  const parser = { pos: 0, is, expression, skipType };
+  const peek = (offset = 0) => tokens[parser.pos + offset];
+
+  function is(value, offset = 0) {
+    const t = peek(offset);
+    return t !== undefined && t.type === 'punct' && t.value === value;
+  }
+
+  function isWord(value, offset = 0) {
+    const t = peek(offset);
+    return t !== undefined && t.type === 'ident' && t.value === value;
+  }
+
+  function node(type, from, props) {
+    const end = tokens[Math.max(from, parser.pos - 1)];
+    return { type, from, ...props, line: tokens[from]?.line ?? 0, endLine: end?.line ?? 0, raw: content.slice(tokens[from]?.start ?? 0, end?.end ?? 0) };
+  }
+
+  /** Index of the bracket closing the one at `index`, or -1 */
+  function matching(index) {
+    const stack = [];
+    for (let i = index; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.type !== 'punct') continue;
+      if (OPENERS[t.value]) stack.push(OPENERS[t.value]);
+      else if (CLOSERS.has(t.value) && stack.pop() !== t.value) return -1;
+      if (stack.length === 0) return i;
+    }
+    return -1;
+  }
+
+  /** Skip to the next delimiter outside brackets (`<>` too when in a type) */
+  function skipRest({ angles = false } = {}) {
+    let angle = 0;
+    while (parser.pos < tokens.length) {
+      const t = peek();
+      if (t.type === 'punct') {
+        if (OPENERS[t.value]) {
+          const close = matching(parser.pos);
+          parser.pos = close === -1 ? tokens.length : close + 1;
+          continue;
+        }
+        if (angles && t.value === '<') angle++;
+        else if (angles && t.value === '>' && angle > 0) angle--;
+        else if (angle === 0 && (DELIMITERS.has(t.value) || (angles && t.value === '='))) return;
+      }
+      parser.pos++;
+    }
+  }
+
+  function skipType() {
+    parser.pos++;
+    skipRest({ angles: true });
+  }
+
+  function expression() {
+    const from = parser.pos;
+    const result = unary();
+    if (parser.pos < tokens.length && !DELIMITERS.has(peek().value) && peek().type === 'punct') {
+      skipRest();
+      return node('opaque', from);
+    }
+    return result;
+  }
+
+  function unary() {
+    const from = parser.pos;
+    if (is('-') && peek(1)?.type === 'number') {
+      parser.pos += 2;
+      return node('number', from, { value: -tokens[from + 1].value });
+    }
+    if (is('!') || is('-') || is('+') || isWord('typeof') || isWord('await') || isWord('void') || isWord('new')) {
+      parser.pos++;
+      unary();
+      return node('opaque', from);
+    }
+    return postfix(primary());
+  }
+
+  function primary() {
+    const from = parser.pos;
+    const t = peek();
+    if (!t) return node('opaque', from);
+
+    if (t.type === 'ident') {
+      if (t.value === 'async' && (peek(1)?.type === 'ident' || is('(', 1))) parser.pos++;
+      if (isWord('function')) {
+        while (parser.pos < tokens.length && !is('{')) parser.pos++;
+        parser.pos = matching(parser.pos) + 1 || tokens.length;
+        return node('opaque', from);
+      }
+      const word = peek();
+      parser.pos++;
+      if (is('=>')) return arrow(from);
+      if (word.value === 'true' || word.value === 'false') return node('boolean', from, { value: word.value === 'true' });
+      if (word.value === 'null') return node('null', from, { value: null });
+      return node('ident', from, { name: word.value });
+    }
+    if (t.type === 'string' || t.type === 'number') {
+      parser.pos++;
+      return node(t.type, from, { value: t.value });
+    }
+    if (t.type !== 'punct') {
+      parser.pos++;
+      return node('opaque', from);
+    }
+
+    if (t.value === '(') {
+      const close = matching(parser.pos);
+      if (close !== -1 && tokens[close + 1]?.value === '=>') {
+        parser.pos = close + 1;
+        return arrow(from);
+      }
+      if (close !== -1 && tokens[close + 1]?.value === ':') {
+        // (args): ReturnType => body
+        parser.pos = close + 1;
+        skipType();
+        if (is('=>')) return arrow(from);
+        return node('opaque', from);
+      }
+      parser.pos++;
+      const inner = expression();
+      if (is(')')) parser.pos++;
+      return { ...inner, from, raw: node('paren', from).raw };
+    }
+    if (t.value === '[') {
+      parser.pos++;
+      const elements = list(']');
+      return node('array', from, { elements });
+    }
+    if (t.value === '{') return object(from);
+
+    parser.pos++;
+    return node('opaque', from);
+  }
+
+  function arrow(from) {
+    parser.pos++;   // =>
+    if (is('{')) {
+      parser.pos = matching(parser.pos) + 1 || tokens.length;
+      return node('arrow', from, { body: null });
+    }
+    return node('arrow', from, { body: expression() });
+  }
+
+  /** Comma-separated expressions (spreads included) up to `close` */
+  function list(close) {
+    const items = [];
+    while (parser.pos < tokens.length && !is(close)) {
+      if (is(',')) {
+        parser.pos++;
+        continue;
+      }
+      const from = parser.pos;
+      if (is('...')) {
+        parser.pos++;
+        items.push(node('spread', from, { argument: expression() }));
+      } else {
+        items.push(expression());
+      }
+      if (!is(',') && !is(close)) skipRest();
+      if (is(',')) parser.pos++;
+      else if (!is(close)) break;
+    }
+    if (is(close)) parser.pos++;
+    return items;
+  }
+
+  function object(from) {
+    parser.pos++;   // {
+    const props = [];
+    while (parser.pos < tokens.length && !is('}')) {
+      const keyFrom = parser.pos;
+      const t = peek();
+      if (is('...')) {
+        parser.pos++;
+        props.push({ spread: expression() });
+      } else if (is('[')) {
+        // Computed keys have no static name
+        parser.pos = matching(parser.pos) + 1 || tokens.length;
+        skipRest();
+      } else if (t.type === 'ident' || t.type === 'string' || t.type === 'number') {
+        parser.pos++;
+        if (is(':')) {
+          parser.pos++;
+          const value = expression();
+          props.push({ key: String(t.value), value, line: t.line, endLine: tokens[parser.pos - 1].line });
+        } else if (is('(') || is('<')) {
+          // Method shorthand
+          while (parser.pos < tokens.length && !is('{')) parser.pos++;
+          parser.pos = matching(parser.pos) + 1 || tokens.length;
+        } else if (t.type === 'ident') {
+          props.push({ key: t.value, value: node('ident', keyFrom, { name: t.value }), line: t.line, endLine: t.line });
+        }
+      } else {
+        skipRest();
+      }
+      if (!is(',') && !is('}')) skipRest();
+      if (is(',')) parser.pos++;
+      else if (!is('}')) break;
+    }
+    if (is('}')) parser.pos++;
+    return node('object', from, { props });
+  }
+
+  function postfix(base) {
+    let result = base;
+    const { from } = base;
+    for (;;) {
+      if ((is('.') || is('?.')) && peek(1)?.type === 'ident') {
+        parser.pos += 2;
+        result = { ...node('member', from), object: result, property: tokens[parser.pos - 1].value, line: result.line };
+      } else if (is('(')) {
+        parser.pos++;
+        const args = list(')');
+        result = { ...node('call', from), callee: result, args, line: result.line };
+      } else if (is('[')) {
+        const close = matching(parser.pos);
+        parser.pos = close === -1 ? tokens.length : close + 1;
+        result = { ...node('opaque', from), line: result.line };
+      } else if (is('!') && !is('=', 1)) {
+        parser.pos++;
+      } else if (isWord('as') || isWord('satisfies')) {
+        skipType();
+      } else if (is('<') && genericCall()) {
+        continue;
+      } else {
+        return result;
+      }
+    }
+  }
+
+  /** Skip `<T>` type arguments of a call like `z.custom<Foo>(...)` */
+  function genericCall() {
+    let angle = 0;
+    for (let i = parser.pos; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t.type !== 'punct') continue;
+      if (t.value === '<') angle++;
+      else if (t.value === '>' && --angle === 0) {
+        if (tokens[i + 1]?.value !== '(') return false;
+        parser.pos = i + 1;
+        return true;
+      } else if (t.value === ';' || t.value === ')' || t.value === '=>') {
+        return false;
+      }
+    }
+    return false;
+  }
+
+  return parser;
+}
+
+function identifiersOf(node, out = []) {
+  if (!node || typeof node !== 'object') return out;
+  if (node.type === 'ident') out.push(node.name);
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'raw') continue;
+    if (Array.isArray(value)) value.forEach(item => identifiersOf(item.spread ?? item.value ?? item, out));
+    else if (value && typeof value === 'object') identifiersOf(value, out);
+  }
+  return out;
+}
+
+// --- Schemas ---
+
+/**
+ * Turn declarations into schema descriptions on demand, each at most once; a
+ * schema that refers back to itself (through `z.lazy`) ends in a `ref`.
+ */
+function resolver(decls) {
+  const cache = new Map();
+  const resolving = new Set();
+
+  function resolve(name) {
+    if (cache.has(name)) return cache.get(name);
+    const decl = decls.get(name);
+    if (!decl) return schemaOf('unknown');
+    if (resolving.has(name)) return schemaOf('ref', { ref: name });
+    resolving.add(name);
+    const schema = describe(decl.node, { file: decl.file, owner: name });
+    resolving.delete(name);
+    cache.set(name, schema);
+    return schema;
+  }
+
+  function describe(node, ctx) {
+    switch (node?.type) {
+      case 'ident':
+        return resolve(node.name);
+      case 'object':
+        return schemaOf('object', { fields: objectFields(node, ctx) });
+      case 'arrow':
+        return node.body ? describe(node.body, ctx) : schemaOf('unknown');
+      case 'member':
+        if (node.property === 'shape') return describe(node.object, ctx);
+        return describe(node.object, ctx).fields?.find(f => f.key === node.property)?.schema ?? schemaOf('unknown');
+      case 'call':
+        return describeCall(node, ctx);
+      default:
+        return schemaOf('unknown');
+    }
+  }
+
+  function describeCall(node, ctx) {
+    const { callee, args } = node;
+    if (callee.type !== 'member') return schemaOf('unknown');
+    if (isZod(callee.object)) return construct(callee.property, args, ctx);
+    return refine(describe(callee.object, ctx), callee.property, args, ctx);
+  }
+
+  /** `z.<name>(...args)` */
+  function construct(name, args, ctx) {
+    const [first, second] = args;
+    if (name === 'object' || name === 'strictObject' || name === 'looseObject') {
+      return schemaOf('object', { fields: objectFields(first, ctx) });
+    }
+    if (PRIMITIVES.has(name)) return schemaOf(name);
+    if (STRING_FORMATS.has(name)) return schemaOf('string');
+    if (NUMBER_FORMATS.has(name)) return schemaOf('number');
+    if (name === 'literal') return schemaOf('literal', { values: [literalValue(first)].flat() });
+    if (name === 'enum') return schemaOf('enum', { values: enumValues(first) });
+    if (name === 'nativeEnum') return schemaOf('enum');
+    if (name === 'union' || name === 'discriminatedUnion') return union(elementsOf(args.at(-1)).map(n => describe(n, ctx)));
+    if (name === 'array' || name === 'set') return schemaOf('array', { element: describe(first, ctx) });
+    if (name === 'record' || name === 'map') return schemaOf('record', { value: describe(args.at(-1), ctx) });
+    if (name === 'tuple') return schemaOf('tuple');
+    if (name === 'optional') return { ...describe(first, ctx), optional: true };
+    if (name === 'nullable') return { ...describe(first, ctx), nullable: true };
+    if (name === 'nullish') return { ...describe(first, ctx), optional: true, nullable: true };
+    if (name === 'lazy') return describe(first, ctx);
+    if (name === 'preprocess') return describe(second, ctx);
+    if (name === 'intersection') return merge(describe(first, ctx), describe(second, ctx));
+    return schemaOf('unknown');
+  }
+
+  /** `<schema>.<method>(...args)` */
+  function refine(schema, method, args, ctx) {
+    const [first] = args;
+    switch (method) {
+      case 'optional': return { ...schema, optional: true };
+      case 'nullable': return { ...schema, nullable: true };
+      case 'nullish': return { ...schema, optional: true, nullable: true };
+      case 'default':
+      case 'prefault': return { ...schema, defaultValue: first ? defaultText(first) : null };
+      case 'describe': return first?.type === 'string' ? { ...schema, description: first.value } : schema;
+      case 'meta': {
+        const description = first?.type === 'object' && first.props.find(p => p.key === 'description')?.value;
+        return description?.type === 'string' ? { ...schema, description: description.value } : schema;
+      }
+      case 'extend':
+      case 'augment':
+      case 'safeExtend': return merge(schema, schemaOf('object', { fields: objectFields(first, ctx) }));
+      case 'merge':
+      case 'and': return merge(schema, describe(first, ctx));
+      case 'or': return union([schema, describe(first, ctx)]);
+      case 'array': return schemaOf('array', { element: schema });
+      case 'partial':
+      case 'deepPartial': return schema.fields ? { ...schema, fields: schema.fields.map(f => ({ ...f, schema: { ...f.schema, optional: true } })) } : schema;
+      case 'required': return schema.fields ? { ...schema, fields: schema.fields.map(f => ({ ...f, schema: { ...f.schema, optional: false } })) } : schema;
+      case 'pick':
+      case 'omit': {
+        if (!schema.fields || first?.type !== 'object') return schema;
+        const keys = new Set(first.props.map(p => p.key));
+        return { ...schema, fields: schema.fields.filter(f => keys.has(f.key) === (method === 'pick')) };
+      }
+      case 'unwrap': return schema.element ?? { ...schema, optional: false, nullable: false };
+      default:
+        // Checks and effects (min, refine, transform, strict, ...) keep the input type
+        return schema;
+    }
+  }
+
+  function objectFields(node, ctx) {
+    if (node?.type !== 'object') return describe(node, ctx).fields ?? [];
+    const fields = new Map();
+    for (const prop of node.props) {
+      if (prop.spread) {
+        for (const field of describe(prop.spread, ctx).fields ?? []) fields.set(field.key, field);
+      } else {
+        fields.set(prop.key, {
+          key: prop.key,
+          schema: describe(prop.value, ctx),
+          file: ctx.file,
+          owner: ctx.owner,
+          startLine: prop.line,
+          endLine: prop.endLine,
+        });
+      }
+    }
+    return [...fields.values()];
+  }
+
+  function enumValues(node) {
+    const resolved = node?.type === 'ident' ? decls.get(node.name)?.node : node;
+    const value = literalValue(resolved);
+    if (Array.isArray(value)) return value;
+    // z.enum({ A: 'a' }) or an enum-like object
+    if (value && typeof value === 'object') return Object.values(value);
+    return null;
+  }
+
+  return resolve;
+}
+
+function schemaOf(kind, props = {}) {
+  return { kind, optional: false, nullable: false, defaultValue: null, description: null, ...props };
+}
+
+function isZod(node) {
+  return (node.type === 'ident' && node.name === 'z')
+    || (node.type === 'member' && node.property === 'coerce' && isZod(node.object));
+}
+
+function elementsOf(node) {
+  return node?.type === 'array' ? node.elements.filter(e => e.type !== 'spread') : [];
+}
+
+function union(options) {
+  if (options.length > 0 && options.every(o => (o.kind === 'literal' || o.kind === 'enum') && o.values)) {
+    return schemaOf('enum', { values: [...new Set(options.flatMap(o => o.values))] });
+  }
+  return schemaOf('union', { options });
+}
+
+/** Object schemas combine their fields (the second wins); anything else keeps the first */
+function merge(a, b) {
+  if (!a.fields || !b.fields) return a.fields ? a : b.fields ? b : a;
+  const fields = new Map(a.fields.map(f => [f.key, f]));
+  for (const f of b.fields) fields.set(f.key, f);
+  return { ...a, fields: [...fields.values()] };
+}
+
+/** Value of a literal expression (nested arrays and objects included), or undefined */
+function literalValue(node) {
+  switch (node?.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+      return node.value;
+    case 'ident':
+      return node.name === 'undefined' ? null : undefined;
+    case 'array': {
+      const values = node.elements.map(literalValue);
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'object': {
+      const entries = node.props.map(p => (p.spread ? undefined : [p.key, literalValue(p.value)]));
+      return entries.some(e => e === undefined || e[1] === undefined) ? undefined : Object.fromEntries(entries);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function defaultText(node) {
+  const value = literalValue(node);
+  return value === undefined ? node.raw : JSON.stringify(value);
+}
+
+// --- Keys ---
+
+function collectKeys(schema, prefix, keys, depth) {
+  if (depth > MAX_DEPTH) return;
+  for (const field of schema.fields ?? []) {
+    const key = prefix ? `${prefix}.${field.key}` : field.key;
+    const existing = keys.get(key);
+    if (!existing) {
+      keys.set(key, {
+        key,
+        type: typeLabel(field.schema),
+        values: valuesOf(field.schema),
+        defaultValue: field.schema.defaultValue,
+        description: field.schema.description,
+        optional: field.schema.optional,
+        schema: field.owner,
+        path: field.file,
+        startLine: field.startLine,
+        endLine: field.endLine,
+      });
+    } else if (!existing.description && field.schema.description) {
+      existing.description = field.schema.description;
+    }
+    descend(field.schema, key, keys, depth + 1);
+  }
+}
+
+function descend(schema, key, keys, depth) {
+  if (schema.kind === 'object') collectKeys(schema, key, keys, depth);
+  else if (schema.kind === 'array') descend(schema.element, `${key}[]`, keys, depth);
+  else if (schema.kind === 'record') descend(schema.value, `${key}.*`, keys, depth);
+  else if (schema.kind === 'union') for (const option of schema.options) descend(option, key, keys, depth);
+}
+
+/** `string`, `enum`, `string[]`, `record<object>`, `boolean | object`, ... */
+function typeLabel(schema) {
+  let label;
+  if (schema.kind === 'array') {
+    const element = typeLabel(schema.element);
+    label = element.includes(' ') ? `(${element})[]` : `${element}[]`;
+  } else if (schema.kind === 'record') {
+    label = `record<${typeLabel(schema.value)}>`;
+  } else if (schema.kind === 'union') {
+    label = [...new Set(schema.options.map(typeLabel))].join(' | ');
+  } else if (schema.kind === 'ref') {
+    label = schema.ref;
+  } else {
+    label = schema.kind;
+  }
+  return schema.nullable && !label.split(' | ').includes('null') ? `${label} | null` : label;
+}
+
+/** Allowed literal values: of an enum, of a union's literal options, or of array items */
+function valuesOf(schema) {
+  if (schema.kind === 'enum' || schema.kind === 'literal') return schema.values ?? null;
+  if (schema.kind === 'array') return valuesOf(schema.element);
+  if (schema.kind === 'union') {
+    const values = schema.options.flatMap(o => (o.kind === 'enum' || o.kind === 'literal') && o.values ? o.values : []);
+    return values.length > 0 ? [...new Set(values)] : null;
+  }
+  return null;
+}
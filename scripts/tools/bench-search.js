@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Search latency benchmark on a synthetic DB (hash embeddings, no network).
+ *
+ *   node scripts/tools/bench-search.js [--chunks 20000] [--queries 200] [--dims 512]
+ *
+ * Prints p50/p95/max for vector, FTS and hybrid search, with and without a
+ * source filter, so the README's latency figures can be checked as the DB grows.
+ */
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { performance } from 'node:perf_hooks';
+
+const args = process.argv.slice(2);
+const arg = (name, fallback) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 ? parseInt(args[idx + 1], 10) : fallback;
+};
+const CHUNKS = arg('chunks', 20000);
+const QUERIES = arg('queries', 200);
+const DIMS = arg('dims', 512);
+
+const dataDir = mkdtempSync(join(tmpdir(), 'kb-bench-'));
+process.env.KB_DATA_DIR = dataDir;
+process.env.KB_EMBEDDING_PROVIDER = 'hash';
+process.env.KB_EMBEDDING_DIMS = String(DIMS);
+
+const { openDb, closeDb, insertChunks, searchVector, searchFTS, hybridSearch } = await import('../../lib/db.js');
+const { hashEmbedding } = await import('../../lib/embedder.js');
+
+// Deterministic vocabulary-based text so FTS and vector search have realistic hit rates
+const WORDS = [
+  'gateway', 'sandbox', 'docker', 'telegram', 'discord', 'slack', 'agent', 'session', 'config', 'schema',
+  'provider', 'model', 'token', 'webhook', 'channel', 'message', 'plugin', 'skill', 'memory', 'browser',
+  'cron', 'heartbeat', 'voice', 'tts', 'whisper', 'auth', 'oauth', 'tailscale', 'node', 'canvas',
+  'route', 'policy', 'retry', 'timeout', 'stream', 'queue', 'tool', 'exec', 'approval', 'workspace',
+];
+const SOURCES = ['docs', 'src', 'extensions', 'skills', 'ios', 'macos', 'shared'];
+let seed = 42;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const pick = (list) => list[Math.floor(random() * list.length)];
+const sentence = (n) => Array.from({ length: n }, () => pick(WORDS)).join(' ');
+
+try {
+  openDb();
+
+  let start = performance.now();
+  const BATCH = 1000;
+  for (let i = 0; i < CHUNKS; i += BATCH) {
+    const chunks = [];
+    const vectors = [];
+    for (let j = i; j < Math.min(i + BATCH, CHUNKS); j++) {
+      const source = SOURCES[j % SOURCES.length];
+      const text = sentence(60);
+      chunks.push({
+        id: `bench-${j}`, path: `${source}/file-${Math.floor(j / 4)}.md`, source,
+        startLine: 1, endLine: 20, text, hash: `h${j}`,
+        contentType: source === 'docs' ? 'docs' : 'code', language: 'markdown', category: null,
+      });
+      vectors.push(hashEmbedding(text, DIMS));
+    }
+    insertChunks(chunks, vectors);
+  }
+  console.log(`Built ${CHUNKS} chunks (${DIMS} dims) in ${((performance.now() - start) / 1000).toFixed(1)}s\n`);
+
+  const queries = Array.from({ length: QUERIES }, () => {
+    const text = sentence(3);
+    return { text, embedding: hashEmbedding(text, DIMS) };
+  });
+
+  const cases = [
+    ['vector', q => searchVector(q.embedding, 16)],
+    ['vector --ios', q => searchVector(q.embedding, 16, 'ios')],
+    ['fts', q => searchFTS(q.text, 16)],
+    ['fts --ios', q => searchFTS(q.text, 16, 'ios')],
+    ['hybrid', q => hybridSearch(q.embedding, q.text, 8)],
+    ['hybrid --ios', q => hybridSearch(q.embedding, q.text, 8, 'ios')],
+  ];
+
+  console.log('case            p50 ms   p95 ms   max ms');
+  for (const [name, run] of cases) {
+    const times = queries.map(q => {
+      start = performance.now();
+      run(q);
+      return performance.now() - start;
+    }).sort((a, b) => a - b);
+    const at = (p) => times[Math.min(times.length - 1, Math.floor(p * times.length))].toFixed(2).padStart(8);
+    console.log(`${name.padEnd(14)}${at(0.5)} ${at(0.95)} ${times.at(-1).toFixed(2).padStart(8)}`);
+  }
+} finally {
+  closeDb();
+  rmSync(dataDir, { recursive: true, force: true });
+}
@@ -33,7 +33,8 @@ console.log('Model                           | Avg MRR | Avg Recall@5 | Avg Top
 console.log('--------------------------------|---------|--------------|---------------|' + '-'.repeat(40));
 
 for (const result of allResults) {
-  const modelPadded = result.model.padEnd(31);
+  const label = result.fusion ? `${result.model} (${result.fusion})` : result.model;
+  const modelPadded = label.padEnd(31);
   const mrrStr = result.metrics.avgMRR.toFixed(3);
   const recallStr = result.metrics.avgRecall5.toFixed(3);
   const scoreStr = result.metrics.avgTopScore.toFixed(4);
@@ -17,6 +17,10 @@ const { values: flags } = parseArgs({
   options: {
     model: { type: 'string', default: 'current' },
     verbose: { type: 'boolean', default: false },
+    // Fusion overrides, to compare rrf vs score fusion on the same index
+    fusion: { type: 'string' },
+    'vector-weight': { type: 'string' },
+    'text-weight': { type: 'string' },
   },
   strict: false,
 });
@@ -47,6 +51,13 @@ async function main() {
     console.log(`Dimensions: ${modelInfo.dims}, Cost: $${modelInfo.cost}/M tokens\n`);
   }
 
+  const fusionOptions = {};
+  if (flags.fusion) fusionOptions.fusion = flags.fusion;
+  if (flags['vector-weight']) fusionOptions.vectorWeight = Number(flags['vector-weight']);
+  if (flags['text-weight']) fusionOptions.textWeight = Number(flags['text-weight']);
+  const fusionLabel = Object.entries(fusionOptions).map(([key, value]) => `${key}=${value}`).join(' ');
+  if (fusionLabel) console.log(`Fusion: ${fusionLabel}\n`);
+
   console.log(`Running ${queries.length} test queries...\n`);
 
   openDb();
@@ -64,7 +75,7 @@ async function main() {
     try {
       // Embed and search
       const embedding = await embedQuery(query.text);
-      const searchResults = hybridSearch(embedding, query.text, 10);
+      const searchResults = hybridSearch(embedding, query.text, 10, null, null, fusionOptions);
 
       // Calculate metrics
       const metrics = calculateMetrics(searchResults, query.expectedResults);
@@ -118,10 +129,12 @@ async function main() {
   // Save results
   if (!existsSync('test-results')) mkdirSync('test-results');
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-  const outFile = `test-results/model-${currentModel.replace(/[/:]/g, '-')}-${timestamp}.json`;
+  const fusionSuffix = fusionOptions.fusion ? `-${fusionOptions.fusion}` : '';
+  const outFile = `test-results/model-${currentModel.replace(/[/:]/g, '-')}${fusionSuffix}-${timestamp}.json`;
 
   const output = {
     model: currentModel,
+    ...(fusionLabel ? { fusion: fusionLabel } : {}),
     timestamp: new Date().toISOString(),
     metrics: {
       avgMRR,
@@ -1,6 +1,6 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { chunkFile, chunkChangelog } from '../lib/chunker.js';
+import { chunkFile, chunkChangelog, chunkBody, holdsLineFragment } from '../lib/chunker.js';
 import { MAX_EMBEDDING_SAFE_CHARS } from '../lib/config.js';
 
 test('chunkChangelog keeps only the three most recent sections and includes Unreleased', () => {
@@ -39,5 +39,172 @@ test('chunkFile hard-splits oversized single-line files into safe chunks', () =>
       chunk.text.length <= MAX_EMBEDDING_SAFE_CHARS,
       `chunk exceeded safe limit: ${chunk.text.length}`
     );
+    assert.match(chunk.text, /^\/\/ File: src\/generated\/runtime\.js \(lines 1-1, split line\)\n/);
+    assert.equal(holdsLineFragment(chunk.text), true);
   }
+  assert.equal(chunks.map(chunk => chunkBody(chunk.text)).join(''), hugeLine);
+  assert.equal(chunkFile('const small = 1;', 'src/small.js', 'src').some(chunk => holdsLineFragment(chunk.text)), false);
+});
+
+const TS_SOURCE = [
+  "import { z } from 'zod';",
+  "const PLACEHOLDER = /\\{[a-z]+\\}/g;",
+  '',
+  '/** TTS provider config. */',
+  'export const TtsProviderSchema = z.object({',
+  "  provider: z.enum(['openai', 'elevenlabs']),",
+  '  voice: z.string()',
+  '    .optional(),',
+  "  greeting: `hello ${'}'} world`,",
+  '});',
+  '',
+  'export type TtsProvider = z.infer<typeof TtsProviderSchema>;',
+  '',
+  'export class Gateway {',
+  '  private server: Server | null = null;',
+  '',
+  '  async start(): Promise<void> {',
+  '    const url = `http://${this.host}:${this.port}`;',
+  '    if (/^https?:/.test(url)) this.server = listen(url);',
+  '  }',
+  '',
+  '  stop() {',
+  '    this.server?.close();',
+  '  }',
+  '}',
+  '',
+  'export const createHandler = (config) => (req) => handle(config, req);',
+].join('\n');
+
+test('chunkFile splits TypeScript along declarations and records each symbol', () => {
+  const chunks = chunkFile(TS_SOURCE, 'src/tts/provider.ts', 'providers');
+
+  assert.deepEqual(chunks.map(c => [c.startLine, c.endLine, c.symbolName, c.symbolKind]), [
+    [1, 3, 'PLACEHOLDER', 'const'],
+    [4, 11, 'TtsProviderSchema', 'const'],
+    [12, 13, 'TtsProvider', 'type'],
+    [14, 26, 'Gateway', 'class'],
+    [27, 27, 'createHandler', 'function'],
+  ]);
+  assert.match(chunks[1].text, /^\/\/ File: src\/tts\/provider\.ts \(lines 4-11\)\n\/\*\* TTS provider config/);
+});
+
+test('chunkFile splits an oversized class along its methods', () => {
+  const body = Array.from({ length: 40 }, (_, i) => `    this.log('step ${i} of the startup sequence');`);
+  const source = [
+    'export class Gateway {',
+    '  start() {',
+    ...body,
+    '  }',
+    '',
+    '  stop() {',
+    '    this.server?.close();',
+    '  }',
+    '}',
+  ].join('\n');
+
+  const chunks = chunkFile(source, 'src/gateway/server.ts', 'gateway');
+  const names = chunks.map(c => c.symbolName);
+
+  assert.ok(chunks.length > 2);
+  assert.ok(names.every(name => name.startsWith('Gateway')), names.join(', '));
+  assert.ok(names.includes('Gateway.start'));
+  assert.deepEqual(chunks.at(-1).symbolName, 'Gateway.stop');
+  assert.equal(chunks.at(-1).symbolKind, 'method');
+  for (let i = 1; i < chunks.length; i++) assert.equal(chunks[i].startLine, chunks[i - 1].endLine + 1);
+});
+
+test('chunkFile falls back to line chunking when brackets do not balance', () => {
+  const chunks = chunkFile('export function broken() {\n  return 1;\n', 'src/broken.ts', 'src');
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].symbolName, null);
+});
+
+test('chunkFile splits Swift types along their members and names them after the type', () => {
+  const rows = Array.from({ length: 40 }, (_, i) => `            Toggle("Option ${i}", isOn: $options[${i}])`);
+  const source = [
+    'import SwiftUI',
+    '',
+    '@MainActor',
+    'struct SettingsView: View {',
+    '    @State private var showReset = false',
+    '',
+    '    var body: some View {',
+    '        Form {',
+    ...rows,
+    '        }',
+    '        .navigationTitle("Settings \\(version)")',
+    '    }',
+    '',
+    '    private func reset() {',
+    '        let note = """',
+    '        Reset { everything',
+    '        """',
+    '        model.reset(note)',
+    '    }',
+    '}',
+    '',
+    'extension SettingsView {',
+    '    enum Field { case host, port }',
+    '}',
+  ].join('\n');
+
+  const chunks = chunkFile(source, 'apps/ios/Sources/SettingsView.swift', 'ios');
+  const names = chunks.map(c => c.symbolName);
+
+  assert.ok(names.includes('SettingsView.body'), names.join(', '));
+  assert.ok(chunks.some(c => c.symbolName === 'SettingsView.reset' && c.symbolKind === 'method'), names.join(', '));
+  assert.match(chunks.find(c => c.symbolName === 'SettingsView.showReset')?.text ?? '', /@MainActor\nstruct SettingsView/);
+  assert.deepEqual([chunks.at(-1).symbolName, chunks.at(-1).symbolKind], ['SettingsView', 'extension']);
+  for (let i = 1; i < chunks.length; i++) assert.equal(chunks[i].startLine, chunks[i - 1].endLine + 1);
+});
+
+test('chunkFile keeps markdown fences whole and prefixes chunks with their heading path', () => {
+  const filler = Array.from({ length: 12 }, (_, i) => `Docker sandbox paragraph ${i} describes container isolation for tools.`);
+  const fence = ['```bash', '# not a heading', ...Array.from({ length: 25 }, (_, i) => `docker run --rm sandbox-${i}`), '```'];
+  const source = [
+    '---',
+    'title: "Configuration"',
+    'summary: Gateway and sandbox settings',
+    'read_when:',
+    '  - Changing sandbox options',
+    '---',
+    '',
+    '## Sandbox',
+    '',
+    filler.join('\n'),
+    '',
+    '### Docker',
+    '',
+    ...fence,
+    '',
+    filler.join(' '),
+  ].join('\n');
+
+  const chunks = chunkFile(source, 'docs/gateway/configuration.md', 'docs');
+
+  const fenceChunks = chunks.filter(c => c.text.includes('docker run'));
+  assert.equal(fenceChunks.length, 1);
+  assert.ok(chunkBody(fenceChunks[0].text).includes(fence.join('\n')));
+  assert.equal(fenceChunks[0].section, 'Configuration > Sandbox > Docker');
+  assert.match(fenceChunks[0].text, /^\/\/ File: docs\/gateway\/configuration\.md \(lines \d+-\d+, section: Configuration > Sandbox > Docker\)\n/);
+  assert.ok(!chunks.some(c => c.section?.endsWith('not a heading')));
+  assert.deepEqual(
+    [chunks[0].docTitle, chunks[0].docSummary, chunks[0].docReadWhen],
+    ['Configuration', 'Gateway and sandbox settings', ['Changing sandbox options']],
+  );
+  for (const chunk of chunks) {
+    const body = chunkBody(chunk.text).split('\n');
+    assert.equal(body.length, chunk.endLine - chunk.startLine + 1);
+  }
+});
+
+test('chunkBody keeps source lines that look like a section header', () => {
+  const source = ['// Section: helpers', 'export function a() {', '  return 1;', '}', ''].join('\n');
+  const [chunk] = chunkFile(source, 'src/a.ts', 'src');
+
+  assert.equal(chunk.section, null);
+  assert.deepEqual(chunkBody(chunk.text).split('\n'), source.split('\n').slice(chunk.startLine - 1, chunk.endLine));
+  assert.equal(chunkBody(chunk.text).split('\n')[0], '// Section: helpers');
 });
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { openDb, closeDb, replaceFileChunks, replaceConfigKeys } from '../lib/db.js';
+import { chunkFile } from '../lib/chunker.js';
+import { walkConfigSchemas } from '../lib/zod-walker.js';
+import { lookupConfigKeys, formatConfigKeys, isConfigSchemaPath } from '../lib/config-keys.js';
+
+const SCHEMA_FILES = [
+  {
+    path: 'src/config/zod-schema.ts',
+    content: [
+      'import { z } from "zod";',
+      'import { AgentsSchema } from "./zod-schema.agents.js";',
+      '',
+      'export const OpenClawSchema = z',
+      '  .object({',
+      '    agents: AgentsSchema.optional(),',
+      '    channels: z.object({ telegram: z.object({ accounts: z.record(z.string(), TelegramAccountSchema) }) }).partial(),',
+      '    gateway: z.object({ port: z.number().int().default(18789), bind: z.enum(["loopback", "lan"]).default("loopback") }),',
+      '  })',
+      '  .strict();',
+    ].join('\n'),
+  },
+  {
+    path: 'src/config/zod-schema.agents.ts',
+    content: [
+      'const SANDBOX_MODES = ["off", "non-main", "all"] as const;',
+      '',
+      'export const SandboxSchema = z.object({',
+      '  mode: z.enum(SANDBOX_MODES).default("non-main").describe("Which sessions run in the sandbox"),',
+      '  docker: z',
+      '    .object({ image: z.string().regex(/^[a-z\\/:]+$/).optional() })',
+      '    .strict()',
+      '    .optional(),',
+      '});',
+      '',
+      'const shared = { enabled: z.boolean().default(true) };',
+      'export const TelegramAccountSchema = z.object({ ...shared, token: z.string().min(1) }).superRefine((v, ctx) => {',
+      '  if (!v.token) ctx.addIssue({ code: "custom" });',
+      '});',
+      '',
+      'export const AgentsSchema = z.object({',
+      '  defaults: z.object({ sandbox: SandboxSchema.optional() }).optional(),',
+      '  list: z.array(z.object({ id: z.string(), thinking: z.union([z.boolean(), z.literal("auto")]).nullable() })).optional(),',
+      '});',
+    ].join('\n'),
+  },
+];
+
+const DOC_PATH = 'docs/gateway/sandboxing.md';
+const DOC_CONTENT = [
+  '# Sandboxing',
+  '',
+  'Set `agents.defaults.sandbox.mode` to `all` to sandbox every session.',
+  'The `sandbox.modes` list of the CLI is something else.',
+].join('\n');
+
+function withConfigKeys(fn) {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-config-keys-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const chunks = chunkFile(DOC_CONTENT, DOC_PATH, 'docs');
+    replaceFileChunks([{ path: DOC_PATH, source: 'docs', hash: 'x' }], chunks, chunks.map(() => Array(1536).fill(0)));
+    replaceConfigKeys(walkConfigSchemas(SCHEMA_FILES), 'v2026.3.1');
+    fn();
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('walkConfigSchemas follows schema references across files into dotted keys', () => {
+  const keys = walkConfigSchemas(SCHEMA_FILES);
+
+  assert.deepEqual(keys.map(k => [k.key, k.type]), [
+    ['agents', 'object'],
+    ['agents.defaults', 'object'],
+    ['agents.defaults.sandbox', 'object'],
+    ['agents.defaults.sandbox.mode', 'enum'],
+    ['agents.defaults.sandbox.docker', 'object'],
+    ['agents.defaults.sandbox.docker.image', 'string'],
+    ['agents.list', 'object[]'],
+    ['agents.list[].id', 'string'],
+    ['agents.list[].thinking', 'boolean | literal | null'],
+    ['channels', 'object'],
+    ['channels.telegram', 'object'],
+    ['channels.telegram.accounts', 'record<object>'],
+    ['channels.telegram.accounts.*.enabled', 'boolean'],
+    ['channels.telegram.accounts.*.token', 'string'],
+    ['gateway', 'object'],
+    ['gateway.port', 'number'],
+    ['gateway.bind', 'enum'],
+  ]);
+
+  const mode = keys.find(k => k.key === 'agents.defaults.sandbox.mode');
+  assert.deepEqual(mode, {
+    key: 'agents.defaults.sandbox.mode',
+    type: 'enum',
+    values: ['off', 'non-main', 'all'],
+    defaultValue: '"non-main"',
+    description: 'Which sessions run in the sandbox',
+    optional: false,
+    schema: 'SandboxSchema',
+    path: 'src/config/zod-schema.agents.ts',
+    startLine: 4,
+    endLine: 4,
+  });
+  assert.deepEqual(keys.find(k => k.key === 'agents.list[].thinking').values, ['auto']);
+  assert.equal(keys.find(k => k.key === 'channels.telegram').optional, true);
+  assert.equal(keys.find(k => k.key === 'gateway.port').defaultValue, '18789');
+  assert.deepEqual(walkConfigSchemas([]), []);
+});
+
+test('isConfigSchemaPath matches the zod-schema files only', () => {
+  assert.equal(isConfigSchemaPath('src/config/zod-schema.ts'), true);
+  assert.equal(isConfigSchemaPath('src/config/zod-schema.agent-defaults.ts'), true);
+  assert.equal(isConfigSchemaPath('src/config/types.ts'), false);
+  assert.equal(isConfigSchemaPath('docs/zod-schema.md'), false);
+});
+
+test('lookupConfigKeys finds exact keys with their docs, then falls back to prefixes', () => {
+  withConfigKeys(() => {
+    const exact = lookupConfigKeys('agents.defaults.sandbox.mode');
+    assert.equal(exact.match, 'exact');
+    const [mode] = exact.keys;
+    assert.equal(mode.indexedRelease, 'v2026.3.1');
+    assert.equal(mode.docsTerm, 'agents.defaults.sandbox.mode');
+    assert.deepEqual(mode.docs.map(d => [d.path, d.section]), [[DOC_PATH, 'Sandboxing']]);
+    assert.match(formatConfigKeys(exact), /^agents\.defaults\.sandbox\.mode \(enum\)\n {2}Which sessions run in the sandbox\n {2}Values: "off" \| "non-main" \| "all"\n {2}Default: "non-main"\n {2}Defined in: src\/config\/zod-schema\.agents\.ts:4 \(SandboxSchema\)\n {2}Docs mentioning agents\.defaults\.sandbox\.mode:\n {4}docs\/gateway\/sandboxing\.md:1-4 \(Sandboxing\), chunk \S+$/);
+
+    assert.deepEqual(lookupConfigKeys('Agents.Defaults.Sandbox').keys[0].children, ['mode', 'docker']);
+    assert.deepEqual(lookupConfigKeys('agents.list[0].thinking').keys.map(k => k.key), ['agents.list[].thinking']);
+    assert.deepEqual(lookupConfigKeys('agents.list.id').keys.map(k => k.key), ['agents.list[].id']);
+    assert.deepEqual(lookupConfigKeys('channels.telegram.accounts.work.token').keys.map(k => k.key), ['channels.telegram.accounts.*.token']);
+    assert.deepEqual(lookupConfigKeys('gateway.bind').keys[0].docs, []);
+
+    const prefix = lookupConfigKeys('agents.defaults.sandbox.d', { limit: 1 });
+    assert.equal(prefix.match, 'prefix');
+    assert.equal(prefix.total, 2);
+    assert.equal(formatConfigKeys(prefix), 'agents.defaults.sandbox.docker: object\n… 1 more keys (raise --limit or narrow the prefix)');
+
+    assert.deepEqual(lookupConfigKeys('agents.nope'), { match: null, total: 0, keys: [] });
+  });
+});
@@ -1,6 +1,30 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { SOURCES } from '../lib/config.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { SOURCES, CHUNK_OVERLAP_CHARS, CONFIG_FILE_NAME, loadConfig } from '../lib/config.js';
+
+function withConfigDir(contents, fn) {
+  const originalDataDir = process.env.KB_DATA_DIR;
+  const originalConfig = process.env.KB_CONFIG;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-config-'));
+
+  try {
+    delete process.env.KB_CONFIG;
+    process.env.KB_DATA_DIR = dir;
+    if (contents !== null) {
+      writeFileSync(join(dir, CONFIG_FILE_NAME), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    }
+    return fn(dir);
+  } finally {
+    if (originalDataDir === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = originalDataDir;
+    if (originalConfig === undefined) delete process.env.KB_CONFIG;
+    else process.env.KB_CONFIG = originalConfig;
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
 
 test('src indexing keeps JS but excludes generated and bundled noise', () => {
   const src = SOURCES.find(source => source.name === 'src');
@@ -25,3 +49,47 @@ test('extensions indexing keeps JS but excludes generated runtime bundles', () =
   assert.ok(extensions.exclude.includes('**/assets/*.js'));
   assert.ok(extensions.exclude.includes('**/node_modules/**'));
 });
+
+test('loadConfig falls back to defaults when no config file exists', () => {
+  withConfigDir(null, () => {
+    const config = loadConfig();
+
+    assert.equal(config.path, null);
+    assert.equal(config.values.sources, SOURCES);
+    assert.ok(Object.values(config.origins).every(origin => origin === 'default'));
+  });
+});
+
+test('loadConfig merges the config file from KB_DATA_DIR over defaults and records origins', () => {
+  withConfigDir({
+    sources: [{ name: 'docs', globs: ['docs/**/*.md'] }],
+    chunking: { maxChars: 2400 },
+    search: { vectorWeight: 0.5 },
+  }, (dir) => {
+    const config = loadConfig();
+    const path = join(dir, CONFIG_FILE_NAME);
+
+    assert.equal(config.path, path);
+    assert.deepEqual(config.values.sources, [{ name: 'docs', globs: ['docs/**/*.md'], exclude: [] }]);
+    assert.equal(config.values.chunking.maxChars, 2400);
+    assert.equal(config.values.chunking.overlapChars, CHUNK_OVERLAP_CHARS);
+    assert.equal(config.values.search.vectorWeight, 0.5);
+    assert.equal(config.origins.sources, path);
+    assert.equal(config.origins['chunking.maxChars'], path);
+    assert.equal(config.origins['chunking.overlapChars'], 'default');
+  });
+});
+
+test('loadConfig rejects unknown keys and invalid values', () => {
+  withConfigDir({ chunking: { maxChars: 0 }, weights: {} }, () => {
+    assert.throws(() => loadConfig(), /chunking\.maxChars.*Unrecognized key/s);
+  });
+
+  withConfigDir({ chunking: { maxChars: 100, overlapChars: 100 } }, () => {
+    assert.throws(() => loadConfig(), /overlapChars \(100\) must be smaller/);
+  });
+
+  withConfigDir('{ not json', () => {
+    assert.throws(() => loadConfig(), /Invalid config/);
+  });
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { openDb, closeDb, insertChunks } from '../lib/db.js';
+import { buildChunkText, chunkFile } from '../lib/chunker.js';
+import { collectContext, buildContextPack } from '../lib/context-pack.js';
+
+function hit(id, path, startLine, lines, score, extra = {}) {
+  const endLine = startLine + lines.length - 1;
+  return {
+    id, path, startLine, endLine, score,
+    source: 'core', contentType: 'code', language: 'typescript',
+    text: buildChunkText(lines, path, startLine, endLine),
+    ...extra,
+  };
+}
+
+test('buildContextPack merges neighbours, drops duplicates and cites line ranges', () => {
+  const results = [
+    hit('a2', 'src/auth.ts', 2, ['const b = 2;', 'const c = 3;'], 0.9),
+    hit('copy', 'dist/auth.ts', 1, ['const b = 2;', 'const c = 3;'], 0.85),
+    hit('a1', 'src/auth.ts', 1, ['const a = 1;', 'const b = 2;'], 0.8),
+    { id: 'v1#1', path: 'releases/v1', startLine: 1, endLine: 1, score: 0.5, source: 'releases', contentType: 'docs', language: 'markdown', text: '## v1\n- Fixed ```auth``` retries' },
+  ];
+
+  const pack = buildContextPack('auth retries', results, { budget: 2000, release: 'v2026.3.1' });
+
+  assert.deepEqual(pack.sections.map(s => s.citation), ['src/auth.ts:1-3', 'dist/auth.ts:1-2', 'releases/v1']);
+  assert.match(pack.markdown, /^# Context: auth retries\n\nIndexed release: v2026\.3\.1\. 3 excerpts/);
+  assert.match(pack.markdown, /## \[1\] src\/auth\.ts:1-3 \(code\)\n\n```typescript\nconst a = 1;\nconst b = 2;\nconst c = 3;\n```/);
+  assert.match(pack.markdown, /````markdown\n## v1\n- Fixed ```auth``` retries\n````/);
+  assert.equal(pack.omitted, 0);
+});
+
+test('buildContextPack stays within the budget, truncating or skipping excerpts', () => {
+  const long = Array.from({ length: 200 }, (_, i) => `export const value${i} = ${i};`);
+  const results = [
+    hit('big', 'src/big.ts', 1, long, 0.9),
+    hit('small', 'src/small.ts', 1, ['export const small = true;'], 0.8),
+  ];
+
+  const pack = buildContextPack('values', results, { budget: 400 });
+
+  assert.ok(pack.tokens <= 400, `pack uses ${pack.tokens} tokens`);
+  assert.equal(pack.sections[0].truncated, true);
+  assert.match(pack.sections[0].citation, /^src\/big\.ts:1-\d+$/);
+  assert.notEqual(pack.sections[0].citation, 'src/big.ts:1-200');
+  assert.match(pack.markdown, /\(code, truncated\)/);
+
+  const tiny = buildContextPack('values', results, { budget: 100 });
+  assert.deepEqual(tiny.sections.map(s => s.citation), ['src/small.ts:1-1']);
+  assert.equal(tiny.omitted, 1);
+});
+
+test('collectContext searches docs, code and releases separately', async () => {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-context-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const codeChunks = Array.from({ length: 30 }, (_, i) =>
+      chunkFile(`export function pairingToken${i}() { return pairing token rotation; }`, `src/pairing/p${i}.ts`, 'gateway')).flat();
+    const docChunks = chunkFile('# Pairing\n\nToken rotation for device pairing.', 'docs/pairing.md', 'docs');
+    const chunks = [...codeChunks, ...docChunks];
+    insertChunks(chunks, chunks.map(() => Array(1536).fill(0)), 'v2026.3.1');
+
+    const results = await collectContext('pairing token rotation', { offline: true });
+
+    assert.ok(results.some(r => r.path === 'docs/pairing.md'), 'docs hit survives 30 code hits');
+    assert.equal(results.filter(r => r.contentType === 'code').length, 20);
+    assert.deepEqual(results.map(r => r.score), [...results.map(r => r.score)].sort((a, b) => b - a));
+
+    // Filters narrow each scope instead of turning it into another scope's search
+    const code = await collectContext('pairing token rotation', { offline: true, filters: { type: ['code'] } });
+    assert.equal(code.length, 20);
+    assert.ok(code.every(r => r.contentType === 'code'));
+    insertChunks(chunkFile('pairing token rotation notes', 'notes/pairing.txt', 'docs'), [Array(1536).fill(0)], 'v2026.3.1');
+    assert.deepEqual(await collectContext('pairing token rotation', { offline: true, filters: { type: ['unknown'] } }), []);
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -1,9 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { existsSync, mkdtempSync, rmSync } from 'node:fs';
+import { DatabaseSync } from 'node:sqlite';
+import { createRequire } from 'node:module';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
-import { openDb, closeDb, insertChunks, pruneOrphanedVectors, insertRelease, getChunksSinceRelease } from '../lib/db.js';
+import { openDb, closeDb, insertChunks, pruneOrphanedVectors, insertRelease, getChunksSinceRelease, recordEmbeddingMeta, getIndexMeta, searchVector, searchFTS, deleteChunksByPath, fuseResults, explainSearch } from '../lib/db.js';
+import { runMigrations } from '../lib/migrations.js';
+import { EXIT_CONFIG_ERROR } from '../lib/exit-codes.js';
 
 test('openDb follows KB_DATA_DIR at call time across reopen cycles', () => {
   const original = process.env.KB_DATA_DIR;
@@ -133,3 +137,343 @@ test('getChunksSinceRelease uses release metadata instead of lexical tag compari
     rmSync(dir, { recursive: true, force: true });
   }
 });
+
+test('openDb adopts the embedding provider recorded in kb_meta and refuses mismatches', () => {
+  const keys = ['KB_DATA_DIR', 'KB_EMBEDDING_PROVIDER', 'KB_EMBEDDING_MODEL', 'KB_LOCAL_MODEL', 'KB_EMBEDDING_DIMS'];
+  const original = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-meta-'));
+
+  try {
+    for (const key of keys) delete process.env[key];
+    process.env.KB_DATA_DIR = dir;
+
+    process.env.KB_EMBEDDING_PROVIDER = 'local';
+    openDb();
+    recordEmbeddingMeta({ chunker_version: 1 });
+    assert.deepEqual(getIndexMeta(), {
+      embedding_provider: 'local',
+      embedding_model: 'all-MiniLM-L6-v2',
+      embedding_dims: '384',
+      chunker_version: '1',
+    });
+    closeDb();
+
+    // A client with no provider configured picks it up from the DB
+    delete process.env.KB_EMBEDDING_PROVIDER;
+    openDb();
+    assert.equal(process.env.KB_EMBEDDING_PROVIDER, 'local');
+    assert.equal(process.env.KB_LOCAL_MODEL, 'all-MiniLM-L6-v2');
+    assert.equal(process.env.KB_EMBEDDING_DIMS, '384');
+    closeDb();
+
+    // An explicit disagreement is a configuration error (fresh process env)
+    delete process.env.KB_LOCAL_MODEL;
+    delete process.env.KB_EMBEDDING_DIMS;
+    process.env.KB_EMBEDDING_PROVIDER = 'openai';
+    assert.throws(() => openDb(), err => err.exitCode === EXIT_CONFIG_ERROR && /local\/all-MiniLM-L6-v2 \(384 dims\)/.test(err.message));
+
+    // ...unless the caller is rebuilding the vectors
+    const db = openDb({ resetEmbeddings: true });
+    assert.match(db.prepare("SELECT sql FROM sqlite_master WHERE name = 'chunks_vec'").get().sql, /float32\[1536\]/);
+    assert.equal(getIndexMeta().embedding_provider, undefined);
+  } finally {
+    closeDb();
+    for (const key of keys) {
+      if (original[key] === undefined) delete process.env[key];
+      else process.env[key] = original[key];
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function vectorChunk(id, source, contentType) {
+  return {
+    id, path: `${source}/${id}`, source, startLine: 1, endLine: 1,
+    text: id, hash: id, contentType, language: source === 'ios' ? 'swift' : 'markdown', category: null,
+  };
+}
+
+test('filtered vector search returns limit results even when other sources are closer', () => {
+  const original = { KB_DATA_DIR: process.env.KB_DATA_DIR, KB_EMBEDDING_DIMS: process.env.KB_EMBEDDING_DIMS };
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-vecfilter-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    process.env.KB_EMBEDDING_DIMS = '2';
+    openDb();
+
+    // 200 docs chunks sit right next to the query; the 8 iOS chunks are far away
+    const chunks = [];
+    const vectors = [];
+    for (let i = 0; i < 200; i++) {
+      chunks.push(vectorChunk(`doc-${i}`, 'docs', 'docs'));
+      vectors.push([1, i / 1000]);
+    }
+    for (let i = 0; i < 8; i++) {
+      chunks.push(vectorChunk(`ios-${i}`, 'ios', 'code'));
+      vectors.push([0, 1 + i]);
+    }
+    insertChunks(chunks, vectors);
+
+    const ios = searchVector([1, 0], 5, 'ios');
+    assert.equal(ios.length, 5);
+    assert.ok(ios.every(r => r.source === 'ios'));
+    assert.deepEqual(ios.map(r => r.id), ['ios-0', 'ios-1', 'ios-2', 'ios-3', 'ios-4']);
+
+    assert.equal(searchVector([1, 0], 5, null, 'code').length, 5);
+    assert.equal(searchVector([1, 0], 5, 'docs', 'code').length, 0);
+  } finally {
+    closeDb();
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('migration rebuilds a chunks_vec without filter columns and keeps its vectors', () => {
+  const db = new DatabaseSync(':memory:', { allowExtension: true });
+  createRequire(import.meta.url)('sqlite-vec').load(db);
+  runMigrations(db);
+  db.exec('DELETE FROM schema_version WHERE version >= 9');
+  // Later migrations replay on top, so undo the columns migrations 11 to 13 added
+  db.exec(`
+    DROP TRIGGER chunks_fts_insert; DROP TRIGGER chunks_fts_delete; DROP TRIGGER chunks_fts_update;
+    ALTER TABLE chunks DROP COLUMN identifiers;
+    ALTER TABLE chunks DROP COLUMN symbol_name;
+    ALTER TABLE chunks DROP COLUMN symbol_kind;
+    ALTER TABLE chunks DROP COLUMN section;
+    ALTER TABLE chunks DROP COLUMN doc_title;
+    ALTER TABLE chunks DROP COLUMN doc_summary;
+    ALTER TABLE chunks DROP COLUMN doc_read_when;
+  `);
+  db.exec('CREATE VIRTUAL TABLE chunks_vec USING vec0(id TEXT PRIMARY KEY, embedding float32[2])');
+  db.exec(`
+    INSERT INTO chunks (id, path, source, start_line, end_line, hash, text, content_type, language)
+    VALUES ('c1', 'apps/ios/A.swift', 'ios', 1, 2, 'h', 'struct A {}', 'code', NULL)
+  `);
+  db.prepare('INSERT INTO chunks_vec (id, embedding) VALUES (?, ?)')
+    .run('c1', new Uint8Array(new Float32Array([0.6, 0.8]).buffer));
+
+  runMigrations(db);
+
+  const row = db.prepare("SELECT id, source, content_type, language, vec_to_json(embedding) as v FROM chunks_vec WHERE source = 'ios'").get();
+  assert.equal(row.id, 'c1');
+  assert.equal(row.content_type, 'code');
+  assert.equal(row.language, '');
+  assert.deepEqual(JSON.parse(row.v).map(x => Math.round(x * 10) / 10), [0.6, 0.8]);
+  db.close();
+});
+
+test('keyword search follows chunk inserts, rewrites and deletes through the external-content FTS table', () => {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-fts-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const chunk = { ...vectorChunk('doc-1', 'docs', 'docs'), text: 'Run tools inside a docker sandbox' };
+
+    insertChunks([chunk], [null]);
+    assert.deepEqual(searchFTS('docker', 5).map(r => [r.id, r.path, r.text]), [['doc-1', 'docs/doc-1', chunk.text]]);
+    assert.equal(searchFTS('docker', 5, 'ios').length, 0);
+
+    insertChunks([{ ...chunk, text: 'Connect a telegram bot' }], [null]);
+    assert.equal(searchFTS('docker', 5).length, 0);
+    assert.equal(searchFTS('telegram', 5)[0].id, 'doc-1');
+
+    deleteChunksByPath('docs/doc-1');
+    assert.equal(searchFTS('telegram', 5).length, 0);
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('keyword search matches identifier sub-words and ranks whole-identifier hits first', () => {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-fts-ident-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const chunks = [
+      { ...vectorChunk('schema-def', 'src', 'code'), text: 'export const TtsProviderSchema = z.object({ voice: z.string() });' },
+      { ...vectorChunk('schema-prose', 'docs', 'docs'), text: 'The tts provider schema lists every voice.' },
+      { ...vectorChunk('sandbox-key', 'docs', 'docs'), text: 'Set agents.defaults.sandbox to isolate tools.' },
+      { ...vectorChunk('sandbox-prose', 'docs', 'docs'), text: 'Agents share sandbox defaults with tools.' },
+      ...Array.from({ length: 8 }, (_, i) => ({ ...vectorChunk(`filler-${i}`, 'docs', 'docs'), text: `Unrelated note number ${i}` })),
+    ];
+    insertChunks(chunks, chunks.map(() => null));
+
+    assert.ok(searchFTS('provider schema', 5).some(r => r.id === 'schema-def'));
+    assert.deepEqual(searchFTS('TtsProviderSchema', 5).map(r => r.id), ['schema-def', 'schema-prose']);
+    assert.equal(searchFTS('agents.defaults.sandbox', 5)[0].id, 'sandbox-key');
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fuseResults weights vector and keyword ranks, or their normalized scores', () => {
+  const result = (id, score) => ({ id, path: `docs/${id}.md`, score, text: id });
+  const vec = [result('a', 0.9), result('b', 0.8), result('c', 0.1)];
+  const fts = [result('c', 0.5), result('d', 0.4)];
+  const ids = (results) => results.map(r => r.id);
+
+  assert.deepEqual(ids(fuseResults(vec, fts, { vectorWeight: 1, textWeight: 1, rrfK: 60, fusion: 'rrf' })), ['c', 'a', 'b', 'd']);
+  assert.deepEqual(ids(fuseResults(vec, fts, { vectorWeight: 1, textWeight: 0, rrfK: 60, fusion: 'rrf' })).slice(0, 3), ['a', 'b', 'c']);
+  assert.deepEqual(ids(fuseResults(vec, fts, { vectorWeight: 0.2, textWeight: 0.8, rrfK: 60, fusion: 'rrf' })).slice(0, 2), ['c', 'd']);
+
+  // Score fusion keeps margins: b is nearly as close as a, c is far behind in vectors
+  const fused = fuseResults(vec, [], { vectorWeight: 0.7, textWeight: 0.3, rrfK: 60, fusion: 'score' });
+  assert.deepEqual(ids(fused), ['a', 'b', 'c']);
+  assert.equal(fused[0].score, 0.7);
+  assert.equal(fused[2].score, 0);
+});
+
+test('score fusion ranks the strongest keyword match first', () => {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-score-fusion-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const chunks = [
+      { ...vectorChunk('weak', 'docs', 'docs'), text: 'Gateway setup covers ports, tokens, logging, channels, pairing and one docker note.' },
+      { ...vectorChunk('strong', 'docs', 'docs'), text: 'Docker sandbox: run the docker image with docker compose.' },
+      ...Array.from({ length: 4 }, (_, i) => ({ ...vectorChunk(`filler-${i}`, 'docs', 'docs'), text: `Unrelated note number ${i}` })),
+    ];
+    insertChunks(chunks, chunks.map(() => null));
+
+    const fts = searchFTS('docker', 5);
+    assert.deepEqual(fts.map(r => r.id), ['strong', 'weak']);
+    assert.ok(fts[0].score > fts[1].score);
+
+    const fused = fuseResults([], fts, { vectorWeight: 0.7, textWeight: 0.3, rrfK: 60, fusion: 'score' });
+    assert.deepEqual(fused.map(r => r.id), ['strong', 'weak']);
+    assert.equal(fused[0].textContribution, 0.3);
+    assert.equal(fused[1].textContribution, 0);
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('explainSearch reports per-hit ranks, fusion contributions and filtered-out candidates', () => {
+  const original = { KB_DATA_DIR: process.env.KB_DATA_DIR, KB_EMBEDDING_DIMS: process.env.KB_EMBEDDING_DIMS };
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-explain-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    process.env.KB_EMBEDDING_DIMS = '2';
+    openDb();
+    const chunks = [
+      { ...vectorChunk('sandbox', 'docs', 'docs'), text: 'Run tools inside a docker sandbox' },
+      { ...vectorChunk('image', 'src', 'code'), text: 'Build the docker image' },
+      { ...vectorChunk('telegram', 'docs', 'docs'), text: 'Connect a telegram bot' },
+    ];
+    insertChunks(chunks, [[1, 0], [0.9, 0.1], [0, 1]]);
+
+    const explanation = explainSearch([1, 0], 'docker', 2, 'docs', null, { vectorWeight: 1, textWeight: 1, rrfK: 60, fusion: 'rrf' });
+    assert.equal(explanation.ftsQuery.match, '"docker"');
+    assert.equal(explanation.fusion.fusion, 'rrf');
+    assert.ok(explanation.timings.vectorMs >= 0 && explanation.timings.ftsMs >= 0);
+
+    const [top, second] = explanation.results;
+    assert.equal(top.id, 'sandbox');
+    assert.deepEqual([top.explain.vectorRank, top.explain.textRank], [1, 1]);
+    assert.ok(top.explain.distance < 0.001);
+    assert.ok(top.explain.bm25 < 0);
+    assert.equal(top.explain.textBoost, 1);
+    assert.equal(top.explain.vectorContribution + top.explain.textContribution, top.score);
+    assert.equal(second.id, 'telegram');
+    assert.deepEqual([second.explain.vectorRank, second.explain.textRank, second.explain.textContribution], [2, null, 0]);
+
+    assert.deepEqual(
+      explanation.filteredOut.map(r => [r.path, r.vectorRank, r.textRank, r.removedBy]),
+      [['src/image', 2, 1, ['source:docs']]]
+    );
+
+    const offline = explainSearch(null, 'docker', 5, null, 'code');
+    assert.equal(offline.fusion, null);
+    assert.equal(offline.timings.vectorMs, null);
+    assert.deepEqual(offline.results.map(r => [r.id, r.explain.textRank, r.explain.vectorRank]), [['image', 1, null]]);
+    assert.deepEqual(offline.filteredOut.map(r => [r.path, r.removedBy]), [['docs/sandbox', ['type:code']]]);
+
+    // The reported bm25 is the raw FTS5 value; the whole-identifier boost is separate
+    insertChunks([{ ...vectorChunk('schema', 'src', 'code'), text: 'TtsProviderSchema validates the provider' }], [[0, 1]]);
+    const [boosted] = explainSearch(null, 'TtsProviderSchema', 1).results;
+    assert.equal(boosted.explain.textBoost, 2);
+    const strength = Math.abs(boosted.explain.bm25 * 2);
+    assert.ok(Math.abs(strength / (1 + strength) - boosted.score) < 1e-9);
+  } finally {
+    closeDb();
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('vector and keyword search honor structured filters', () => {
+  const original = { KB_DATA_DIR: process.env.KB_DATA_DIR, KB_EMBEDDING_DIMS: process.env.KB_EMBEDDING_DIMS };
+  const dir = mkdtempSync(join(tmpdir(), 'kb-db-filters-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    process.env.KB_EMBEDDING_DIMS = '2';
+    openDb();
+    insertRelease({ tag: 'v2026.2.1', date: '2026-02-01T00:00:00Z', commit: 'a' });
+    insertRelease({ tag: 'v2026.2.10', date: '2026-02-10T00:00:00Z', commit: 'b' });
+
+    const chunk = (id, path, source, language, contentType = 'code') => ({
+      id, path, source, startLine: 1, endLine: 1, hash: id, contentType, language, category: null,
+      text: `keychain storage in ${id}`,
+    });
+    insertChunks([
+      chunk('shared-swift', 'apps/shared/Keychain.swift', 'shared', 'swift'),
+      chunk('ios-swift', 'apps/ios/Keychain.swift', 'ios', 'swift'),
+      chunk('gateway-ts', 'src/gateway/keychain.ts', 'src', 'typescript'),
+    ], [[1, 0], [1, 0.1], [1, 0.2]], 'v2026.2.1');
+    insertChunks([
+      chunk('ext-ts', 'extensions/keychain/index.ts', 'extensions', 'typescript'),
+      chunk('docs-md', 'docs/keychain.md', 'docs', 'markdown', 'docs'),
+    ], [[1, 0.05], [1, 0.15]], 'v2026.2.10');
+
+    const ids = (results) => results.map(r => r.id).sort();
+    const both = (filters) => {
+      const vector = ids(searchVector([1, 0], 10, null, null, filters));
+      assert.deepEqual(ids(searchFTS('keychain', 10, null, null, filters)), vector);
+      return vector;
+    };
+
+    assert.deepEqual(both({ path: ['apps/shared'], lang: ['swift'] }), ['shared-swift']);
+    assert.deepEqual(both({ source: ['ios', 'shared'] }), ['ios-swift', 'shared-swift']);
+    assert.deepEqual(both({ lang: ['typescript'], exclude: { path: ['extensions'] } }), ['gateway-ts']);
+    assert.deepEqual(both({ path: ['**/Keychain.swift'], exclude: { source: ['ios'] } }), ['shared-swift']);
+    assert.deepEqual(both({ type: ['docs'] }), ['docs-md']);
+    assert.deepEqual(both({ exclude: { type: ['code'], lang: ['swift'] } }), ['docs-md']);
+    // v2026.2.10 sorts before v2026.2.1 as text; release filters compare release dates
+    assert.deepEqual(both({ release: '>v2026.2.1' }), ['docs-md', 'ext-ts']);
+    assert.deepEqual(both({ release: 'v2026.2.1', source: ['src'] }), ['gateway-ts']);
+    assert.deepEqual(ids(searchVector([1, 0], 2, null, null, { source: ['ios', 'shared', 'extensions'] })), ['ext-ts', 'shared-swift']);
+
+    assert.throws(() => searchFTS('keychain', 10, null, null, { release: '>=v1999.1.1' }), err => err.exitCode === 2);
+  } finally {
+    closeDb();
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
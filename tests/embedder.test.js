@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { embedAll, embedQuery, getEmbeddingConfigError, getEmbeddingUsage, planBatches } from '../lib/embedder.js';
+import { embedWithPipeline } from '../lib/local-embedding.js';
+
+const EMBEDDING_ENV = [
+  'KB_EMBEDDING_PROVIDER', 'KB_EMBEDDING_MODEL', 'KB_EMBEDDING_BASE_URL',
+  'KB_EMBEDDING_API_KEY', 'KB_EMBEDDING_DIMS', 'OPENAI_API_KEY', 'KB_CONFIG',
+];
+
+async function withEmbeddingEnv(env, fetchImpl, fn) {
+  const original = Object.fromEntries(EMBEDDING_ENV.map(key => [key, process.env[key]]));
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+
+  try {
+    for (const key of EMBEDDING_ENV) delete process.env[key];
+    Object.assign(process.env, env);
+    globalThis.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push({ url, headers: init.headers, body });
+      return new Response(JSON.stringify(fetchImpl(body)), { status: 200 });
+    };
+    await fn(requests);
+  } finally {
+    globalThis.fetch = originalFetch;
+    for (const key of EMBEDDING_ENV) {
+      if (original[key] === undefined) delete process.env[key];
+      else process.env[key] = original[key];
+    }
+  }
+}
+
+test('openai provider talks to a self-hosted OpenAI-compatible server without an API key', async () => {
+  await withEmbeddingEnv({
+    KB_EMBEDDING_BASE_URL: 'http://gpu-box:8000/v1/',
+    KB_EMBEDDING_MODEL: 'bge-small',
+    KB_EMBEDDING_DIMS: '3',
+  }, body => ({
+    data: body.input.map((_, index) => ({ index, embedding: [index, 0, 1] })).reverse(),
+  }), async (requests) => {
+    assert.equal(getEmbeddingConfigError(), null);
+
+    const embeddings = await embedAll(['a', 'b']);
+
+    assert.deepEqual(embeddings, [[0, 0, 1], [1, 0, 1]]);
+    assert.equal(requests[0].url, 'http://gpu-box:8000/v1/embeddings');
+    assert.equal(requests[0].body.model, 'bge-small');
+    assert.equal(requests[0].headers.Authorization, undefined);
+  });
+});
+
+test('openai provider still requires a key for api.openai.com', async () => {
+  await withEmbeddingEnv({}, () => ({}), async () => {
+    assert.match(getEmbeddingConfigError(), /OPENAI_API_KEY is required/);
+    await assert.rejects(() => embedQuery('x'), err => err.exitCode === 2);
+  });
+});
+
+test('ollama provider uses the native /api/embed endpoint', async () => {
+  await withEmbeddingEnv({
+    KB_EMBEDDING_PROVIDER: 'ollama',
+    KB_EMBEDDING_API_KEY: 'secret',
+    KB_EMBEDDING_DIMS: '2',
+  }, body => ({
+    embeddings: body.input.map(() => [0.5, 0.5]),
+  }), async (requests) => {
+    const embedding = await embedQuery('sandbox');
+
+    assert.deepEqual(embedding, [0.5, 0.5]);
+    assert.equal(requests[0].url, 'http://localhost:11434/api/embed');
+    assert.equal(requests[0].body.model, 'nomic-embed-text');
+    assert.equal(requests[0].headers.Authorization, 'Bearer secret');
+  });
+});
+
+test('embedding dimension mismatches surface as configuration errors', async () => {
+  await withEmbeddingEnv({
+    KB_EMBEDDING_PROVIDER: 'ollama',
+  }, body => ({
+    embeddings: body.input.map(() => [1, 2, 3]),
+  }), async () => {
+    await assert.rejects(() => embedQuery('x'), /returned 3-dimensional vectors.*KB_EMBEDDING_DIMS=3/);
+  });
+});
+
+test('unknown providers are reported with the available names', async () => {
+  await withEmbeddingEnv({ KB_EMBEDDING_PROVIDER: 'cohere' }, () => ({}), async () => {
+    assert.match(getEmbeddingConfigError(), /Unknown embedding provider "cohere" \(available: openai, ollama, local, hash\)/);
+  });
+});
+
+test('hash provider builds deterministic normalized vectors that match identifier sub-words', async () => {
+  await withEmbeddingEnv({ KB_EMBEDDING_PROVIDER: 'hash', KB_EMBEDDING_DIMS: '256' }, () => ({}), async (requests) => {
+    const [doc, unrelated] = await embedAll([
+      'export const TtsProviderSchema = z.object({ provider: z.string() })',
+      'Telegram bot webhook delivery retries',
+    ]);
+    const query = await embedQuery('tts provider schema');
+    const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+    assert.equal(requests.length, 0);
+    assert.equal(doc.length, 256);
+    assert.ok(Math.abs(cosine(doc, doc) - 1) < 1e-9);
+    assert.deepEqual(await embedQuery('tts provider schema'), query);
+    assert.ok(cosine(query, doc) > cosine(query, unrelated));
+  });
+});
+
+test('planBatches sizes batches by estimated tokens as well as text count', () => {
+  const texts = ['a'.repeat(400), 'b'.repeat(400), 'c'.repeat(4000), 'd', 'e', 'f'];
+
+  const batches = planBatches(texts, { batchSize: 2, maxBatchTokens: 250 });
+
+  // 100 + 100 tokens fit; the 1000-token text gets its own batch; then 2 per batch
+  assert.deepEqual(batches.map(b => [b.start, b.end]), [[0, 2], [2, 3], [3, 5], [5, 6]]);
+  assert.equal(batches[1].tokens, 1000);
+});
+
+test('embedAll runs batches concurrently, keeps input order and reports progress', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  await withEmbeddingEnv({ KB_EMBEDDING_BASE_URL: 'http://gpu-box:8000/v1', KB_EMBEDDING_DIMS: '1' }, () => ({}), async () => {
+    globalThis.fetch = async (url, init) => {
+      const { input } = JSON.parse(init.body);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5 * (input.length % 3)));
+      inFlight--;
+      const data = input.map((text, index) => ({ index, embedding: [Number(text)] }));
+      return new Response(JSON.stringify({ data }), { status: 200 });
+    };
+    const texts = Array.from({ length: 170 }, (_, i) => String(i));
+    const progress = [];
+
+    const embeddings = await embedAll(texts, (done, total) => progress.push([done, total]));
+
+    assert.deepEqual(embeddings.map(e => e[0]), texts.map(Number));
+    assert.ok(maxInFlight > 1 && maxInFlight <= 4, `max in flight ${maxInFlight}`);
+    assert.equal(progress.length, 4);
+    assert.ok(progress.every(([, total]) => total === 170));
+    assert.deepEqual(progress.at(-1), [170, 170]);
+  });
+});
+
+test('embedding requests are retried after timeouts and server errors', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'kb-embed-'));
+  const config = join(dir, 'kb.config.json');
+  writeFileSync(config, JSON.stringify({ embedding: { timeoutMs: 50 } }));
+  const errorLog = console.error;
+  console.error = () => {};
+
+  try {
+    await withEmbeddingEnv({ KB_CONFIG: config, KB_EMBEDDING_BASE_URL: 'http://gpu-box:8000/v1', KB_EMBEDDING_DIMS: '2' }, () => ({}), async () => {
+      let attempts = 0;
+      globalThis.fetch = (url, init) => {
+        attempts++;
+        if (attempts === 1) {
+          // Hang until the client gives up
+          return new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+          });
+        }
+        if (attempts === 2) {
+          return Promise.resolve(new Response('upstream overloaded', { status: 503, headers: { 'retry-after': '0' } }));
+        }
+        return Promise.resolve(new Response(JSON.stringify({ data: [{ index: 0, embedding: [1, 0] }] }), { status: 200 }));
+      };
+
+      assert.deepEqual(await embedQuery('sandbox'), [1, 0]);
+      assert.equal(attempts, 3);
+    });
+  } finally {
+    console.error = errorLog;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('local pipeline embeds a whole batch in one mean-pooled, normalized call', async () => {
+  const calls = [];
+  const pipe = async (input, options) => {
+    calls.push({ input, options });
+    return { tolist: () => input.map((_, i) => [i, 1]) };
+  };
+
+  const embeddings = await embedWithPipeline(pipe, ['a', 'b', 'c']);
+
+  assert.deepEqual(embeddings, [[0, 1], [1, 1], [2, 1]]);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0], { input: ['a', 'b', 'c'], options: { pooling: 'mean', normalize: true } });
+});
+
+test('token usage comes from the API response and is priced for api.openai.com models', async () => {
+  await withEmbeddingEnv({ OPENAI_API_KEY: 'sk-test', KB_EMBEDDING_DIMS: '1' }, body => ({
+    data: body.input.map((_, index) => ({ index, embedding: [index] })),
+    usage: { prompt_tokens: 1000, total_tokens: 1000 },
+  }), async () => {
+    const before = getEmbeddingUsage();
+
+    await embedAll(['a', 'b']);
+
+    const after = getEmbeddingUsage();
+    assert.equal(after.tokens - before.tokens, 1000);
+    // text-embedding-3-small: $0.02 per 1M tokens
+    assert.ok(Math.abs(after.cost - before.cost - 0.00002) < 1e-12);
+  });
+});
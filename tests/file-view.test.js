@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { openDb, closeDb, insertChunks, upsertFile } from '../lib/db.js';
+import { chunkFile } from '../lib/chunker.js';
+import { parseLocation, loadFileView, loadChunkView, formatFileView } from '../lib/file-view.js';
+import { EXIT_CONFIG_ERROR, EXIT_NO_RESULTS } from '../lib/exit-codes.js';
+
+const PATH = 'src/gateway/auth.ts';
+const CONTENT = Array.from({ length: 120 }, (_, i) => `export const authStep${i + 1} = ${i + 1};`).join('\n');
+
+function withIndexedFile(fn) {
+  const originalData = process.env.KB_DATA_DIR;
+  const originalUpstream = process.env.UPSTREAM_DIR;
+  const dataDir = mkdtempSync(join(tmpdir(), 'kb-view-data-'));
+  const upstreamDir = mkdtempSync(join(tmpdir(), 'kb-view-upstream-'));
+
+  try {
+    process.env.KB_DATA_DIR = dataDir;
+    process.env.UPSTREAM_DIR = upstreamDir;
+    openDb();
+    const chunks = chunkFile(CONTENT, PATH, 'gateway');
+    insertChunks(chunks, chunks.map(() => Array(1536).fill(0)), 'v2026.3.1');
+    upsertFile(PATH, 'gateway', createHash('sha256').update(CONTENT).digest('hex'), 'v2026.3.1');
+    fn({ upstreamDir, chunks });
+  } finally {
+    closeDb();
+    if (originalData === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = originalData;
+    if (originalUpstream === undefined) delete process.env.UPSTREAM_DIR;
+    else process.env.UPSTREAM_DIR = originalUpstream;
+    rmSync(dataDir, { recursive: true, force: true });
+    rmSync(upstreamDir, { recursive: true, force: true });
+  }
+}
+
+test('parseLocation splits optional line ranges', () => {
+  assert.deepEqual(parseLocation('src/a.ts'), { path: 'src/a.ts', startLine: null, endLine: null });
+  assert.deepEqual(parseLocation('src/a.ts:12'), { path: 'src/a.ts', startLine: 12, endLine: 12 });
+  assert.deepEqual(parseLocation('src/a.ts:12-40'), { path: 'src/a.ts', startLine: 12, endLine: 40 });
+  assert.throws(() => parseLocation('src/a.ts:40-12'), err => err.exitCode === EXIT_CONFIG_ERROR);
+});
+
+test('loadFileView rebuilds lines from stored chunks without an upstream checkout', () => {
+  withIndexedFile(() => {
+    const view = loadFileView(PATH, { startLine: 50, endLine: 52, context: 2 });
+
+    assert.equal(view.origin, 'index');
+    assert.equal(view.warning, null);
+    assert.equal(view.indexedRelease, 'v2026.3.1');
+    assert.equal(view.totalLines, 120);
+    assert.deepEqual(view.lines.map(l => l.lineNo), [48, 49, 50, 51, 52, 53, 54]);
+    assert.equal(view.lines[2].text, 'export const authStep50 = 50;');
+
+    const text = formatFileView(view);
+    assert.match(text, /^src\/gateway\/auth\.ts:48-54 of 120 \(indexed at v2026\.3\.1, rebuilt from index\)/);
+    assert.match(text, /\n50 \| export const authStep50 = 50;\n/);
+  });
+});
+
+test('loadFileView reads the upstream checkout and warns when it drifted', () => {
+  withIndexedFile(({ upstreamDir }) => {
+    mkdirSync(join(upstreamDir, 'src/gateway'), { recursive: true });
+    writeFileSync(join(upstreamDir, PATH), CONTENT);
+
+    const clean = loadFileView(PATH, { startLine: 1, endLine: 1 });
+    assert.equal(clean.origin, 'upstream');
+    assert.equal(clean.warning, null);
+
+    writeFileSync(join(upstreamDir, PATH), `// new header\n${CONTENT}`);
+    const drifted = loadFileView(PATH, { startLine: 1, endLine: 1 });
+    assert.equal(drifted.lines[0].text, '// new header');
+    assert.match(drifted.warning, /has changed .* since it was indexed at v2026\.3\.1/);
+  });
+});
+
+test('loadChunkView shows a chunk range and rejects unknown ids and paths', () => {
+  withIndexedFile(({ chunks }) => {
+    const chunk = chunks[1];
+    const view = loadChunkView(chunk.id);
+    assert.equal(view.startLine, chunk.startLine);
+    assert.equal(view.endLine, chunk.endLine);
+
+    assert.throws(() => loadChunkView('missing-1'), err => err.exitCode === EXIT_NO_RESULTS);
+    assert.throws(() => loadFileView('src/missing.ts'), err => err.exitCode === EXIT_NO_RESULTS);
+    assert.throws(() => loadFileView(PATH, { startLine: 500, endLine: 500 }), err => err.exitCode === EXIT_NO_RESULTS);
+  });
+});
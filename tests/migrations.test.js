@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { runMigrations, planMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../lib/migrations.js';
+import { migrateDb } from '../lib/db.js';
+import { EXIT_CONFIG_ERROR } from '../lib/exit-codes.js';
+
+function createLegacyDb() {
+  const db = new DatabaseSync(':memory:');
+  db.exec(`
+    CREATE TABLE files (path TEXT PRIMARY KEY, source TEXT NOT NULL, hash TEXT NOT NULL, indexed_at INTEGER NOT NULL);
+    CREATE TABLE chunks (
+      id TEXT PRIMARY KEY, path TEXT NOT NULL, source TEXT NOT NULL,
+      start_line INTEGER NOT NULL, end_line INTEGER NOT NULL, hash TEXT NOT NULL, text TEXT NOT NULL,
+      content_type TEXT DEFAULT 'unknown', language TEXT, category TEXT
+    );
+    CREATE VIRTUAL TABLE chunks_fts USING fts5(text, id UNINDEXED, path UNINDEXED, source UNINDEXED);
+    INSERT INTO chunks (id, path, source, start_line, end_line, hash, text, content_type, language)
+      VALUES ('c1', 'docs/sandbox.md', 'docs', 1, 5, 'h1', 'Sandbox docker configuration', 'docs', 'markdown');
+    INSERT INTO chunks_fts (text, id, path, source) VALUES ('Sandbox docker configuration', 'c1', 'docs/sandbox.md', 'docs');
+  `);
+  return db;
+}
+
+test('runMigrations upgrades a pre-migration DB and backfills FTS instead of emptying it', () => {
+  const db = createLegacyDb();
+
+  const plan = runMigrations(db);
+
+  assert.equal(plan.from, 0);
+  assert.equal(getSchemaVersion(db), LATEST_SCHEMA_VERSION);
+  const row = db.prepare("SELECT c.id, c.content_type, c.indexed_release FROM chunks_fts JOIN chunks c ON c.seq = chunks_fts.rowid WHERE chunks_fts MATCH 'docker'").get();
+  assert.equal(row.id, 'c1');
+  assert.equal(row.content_type, 'docs');
+  assert.equal(row.indexed_release, null);
+
+  // Second run is a no-op
+  assert.deepEqual(runMigrations(db).pending, []);
+  db.close();
+});
+
+test('planMigrations refuses a DB written by a newer schema version', () => {
+  const db = new DatabaseSync(':memory:');
+  runMigrations(db);
+  db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+    .run(LATEST_SCHEMA_VERSION + 1, 'from-the-future', Date.now());
+
+  assert.throws(
+    () => planMigrations(db),
+    err => err.exitCode === EXIT_CONFIG_ERROR && /newer than this openclaw-kb supports/.test(err.message)
+  );
+  db.close();
+});
+
+test('migrateDb dry run reports pending steps without creating the DB', () => {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-migrate-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    const plan = migrateDb({ dryRun: true });
+
+    assert.equal(plan.from, 0);
+    assert.equal(plan.pending.length, LATEST_SCHEMA_VERSION);
+    assert.ok(!existsSync(join(dir, 'openclaw.db')));
+
+    migrateDb();
+    assert.deepEqual(migrateDb({ dryRun: true }).pending, []);
+  } finally {
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
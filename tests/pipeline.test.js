@@ -0,0 +1,231 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { spawnSync } from 'node:child_process';
+import { handler as indexHandler } from '../commands/index.js';
+import { openDb, closeDb, hybridSearch, getIndexMeta, getIndexCheckpoint, getIndexUsage } from '../lib/db.js';
+import { embedQuery, registerProvider, hashEmbedding } from '../lib/embedder.js';
+
+const PIPELINE_ENV = ['UPSTREAM_DIR', 'KB_DATA_DIR', 'KB_CONFIG', 'KB_EMBEDDING_PROVIDER', 'KB_EMBEDDING_MODEL', 'KB_EMBEDDING_DIMS'];
+
+function writeFile(root, relPath, content) {
+  mkdirSync(join(root, relPath, '..'), { recursive: true });
+  writeFileSync(join(root, relPath), content);
+}
+
+async function withPipeline(env, fn) {
+  const original = Object.fromEntries(PIPELINE_ENV.map(key => [key, process.env[key]]));
+  const upstream = mkdtempSync(join(tmpdir(), 'kb-upstream-'));
+  const data = mkdtempSync(join(tmpdir(), 'kb-data-'));
+  const log = console.log;
+  const write = process.stdout.write;
+
+  try {
+    for (const key of PIPELINE_ENV) delete process.env[key];
+    Object.assign(process.env, { UPSTREAM_DIR: upstream, KB_DATA_DIR: data }, env);
+    const index = async (opts = {}) => {
+      console.log = () => {};
+      process.stdout.write = () => true;
+      try {
+        await indexHandler({ release: 'v-test', ...opts });
+      } finally {
+        console.log = log;
+        process.stdout.write = write;
+      }
+    };
+    await fn({ upstream, index });
+  } finally {
+    console.log = log;
+    process.stdout.write = write;
+    closeDb();
+    for (const key of PIPELINE_ENV) {
+      if (original[key] === undefined) delete process.env[key];
+      else process.env[key] = original[key];
+    }
+    rmSync(upstream, { recursive: true, force: true });
+    rmSync(data, { recursive: true, force: true });
+  }
+}
+
+test('index and hybrid search run end to end offline with the hash provider', async () => {
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'hash' }, async ({ upstream, index }) => {
+    writeFile(upstream, 'docs/gateway/sandbox.md', '# Sandbox\n\nRun agent tools inside a Docker sandbox container.\n');
+    writeFile(upstream, 'docs/channels/telegram.md', '# Telegram\n\nConnect a Telegram bot token to receive messages.\n');
+    writeFile(upstream, 'src/config/zod-schema.ts', 'export const TtsProviderSchema = z.object({\n  provider: z.enum(["openai", "elevenlabs"]),\n});\n');
+
+    await index();
+
+    openDb();
+    assert.equal(getIndexMeta().embedding_provider, 'hash');
+
+    const search = async (text) => hybridSearch(await embedQuery(text), text, 3);
+    assert.equal((await search('docker sandbox'))[0].path, 'docs/gateway/sandbox.md');
+    assert.equal((await search('telegram bot'))[0].path, 'docs/channels/telegram.md');
+    assert.equal((await search('TtsProviderSchema'))[0].path, 'src/config/zod-schema.ts');
+  });
+});
+
+test('query --verify applies the query filters to its related-code pass', async () => {
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'hash' }, async ({ upstream, index }) => {
+    writeFile(upstream, 'docs/gateway/sandbox.md', '# Sandbox\n\nRun agent tools inside a Docker sandbox container.\n');
+    writeFile(upstream, 'src/agents/sandbox/docker.ts', 'export function startDockerSandbox() {\n  return dockerRun("sandbox");\n}\n');
+    writeFile(upstream, 'src/legacy/docker-sandbox.ts', 'export function legacyDockerSandbox() {\n  return dockerRun("sandbox");\n}\n');
+    await index();
+    closeDb();
+
+    const query = spawnSync(process.execPath, ['bin/cli.js', 'query', 'docker sandbox -path:src/legacy', '--verify', '--json'], {
+      cwd: join(import.meta.dirname, '..'),
+      env: process.env,
+      encoding: 'utf-8',
+    });
+    assert.equal(query.status, 0, query.stderr);
+    const { relatedCode } = JSON.parse(query.stdout);
+    assert.deepEqual(relatedCode.map(r => r.path), ['src/agents/sandbox/docker.ts']);
+  });
+});
+
+test('reindexing an edited file only embeds chunks whose text changed', async () => {
+  const embedded = [];
+  registerProvider('counting-hash', {
+    async embedBatch(texts, settings) {
+      embedded.push(...texts);
+      return texts.map(text => hashEmbedding(text, settings.dims));
+    },
+  });
+
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'counting-hash', KB_EMBEDDING_DIMS: '64' }, async ({ upstream, index }) => {
+    const sections = Array.from({ length: 40 }, (_, i) =>
+      `## Section ${i}\n\n${`Paragraph ${i} explains gateway option number ${i} in detail. `.repeat(4)}\n`);
+    writeFile(upstream, 'docs/gateway.md', sections.join('\n'));
+
+    await index();
+    const firstRun = embedded.length;
+    assert.ok(firstRun > 3, `first run embedded ${firstRun}`);
+
+    // A one-line edit near the top shifts every later chunk down by one line
+    embedded.length = 0;
+    writeFile(upstream, 'docs/gateway.md', `# Gateway\n${sections.join('\n')}`);
+    await index();
+
+    assert.ok(embedded.length > 0);
+    assert.ok(embedded.length <= 2, `expected only the edited chunk to be embedded, got ${embedded.length}`);
+    assert.ok(embedded.every(text => text.includes('# Gateway')));
+
+    const db = openDb();
+    const chunks = db.prepare("SELECT COUNT(*) as n FROM chunks WHERE path = 'docs/gateway.md'").get().n;
+    const vectors = db.prepare("SELECT COUNT(*) as n FROM chunks_vec WHERE id IN (SELECT id FROM chunks WHERE path = 'docs/gateway.md')").get().n;
+    assert.equal(vectors, chunks);
+  });
+});
+
+test('an interrupted index stores only complete files and --resume finishes without re-embedding them', async () => {
+  const embedded = [];
+  let failAfter = Infinity;
+  registerProvider('flaky-hash', {
+    async embedBatch(texts, settings) {
+      if (embedded.length >= failAfter) throw new Error('Embedding API error 503');
+      embedded.push(...texts);
+      return texts.map(text => hashEmbedding(text, settings.dims));
+    },
+  });
+
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'flaky-hash', KB_EMBEDDING_DIMS: '64' }, async ({ upstream, index }) => {
+    const config = join(upstream, 'kb.config.json');
+    writeFileSync(config, JSON.stringify({ embedding: { batchSize: 2, concurrency: 1 } }));
+    process.env.KB_CONFIG = config;
+    for (let i = 0; i < 6; i++) {
+      writeFile(upstream, `docs/page-${i}.md`, `# Page ${i}\n\nTopic number ${i} of the gateway guide.\n`);
+    }
+
+    failAfter = 3;
+    await assert.rejects(index({ force: true }), /503/);
+
+    let db = openDb();
+    const incomplete = db.prepare('SELECT COUNT(*) as n FROM files WHERE path NOT IN (SELECT path FROM chunks)').get().n;
+    assert.equal(incomplete, 0, 'no file is recorded without its chunks');
+    const stored = db.prepare('SELECT COUNT(*) as n FROM files').get().n;
+    assert.ok(stored > 0 && stored < 6, `stored ${stored} files before failing`);
+    assert.equal(getIndexCheckpoint().force, true);
+    closeDb();
+
+    failAfter = Infinity;
+    const beforeResume = embedded.length;
+    await index({ resume: true });
+
+    assert.equal(embedded.length - beforeResume, 6 - stored, 'only unfinished files are embedded');
+    db = openDb();
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM files').get().n, 6);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM chunks_vec').get().n, 6);
+    assert.equal(getIndexCheckpoint(), null);
+  });
+});
+
+test('a plain index after an interrupted --force run finishes the files the forced run did not reach', async () => {
+  const embedded = [];
+  let failAfter = Infinity;
+  registerProvider('flaky-hash', {
+    async embedBatch(texts, settings) {
+      if (embedded.length >= failAfter) throw new Error('Embedding API error 503');
+      embedded.push(...texts);
+      return texts.map(text => hashEmbedding(text, settings.dims));
+    },
+  });
+
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'hash', KB_EMBEDDING_DIMS: '64' }, async ({ upstream, index }) => {
+    const config = join(upstream, 'kb.config.json');
+    writeFileSync(config, JSON.stringify({ embedding: { batchSize: 2, concurrency: 1 } }));
+    process.env.KB_CONFIG = config;
+    for (let i = 0; i < 6; i++) {
+      writeFile(upstream, `docs/page-${i}.md`, `# Page ${i}\n\nTopic number ${i} of the gateway guide.\n`);
+    }
+    await index();
+    closeDb();
+
+    // Switching providers drops every vector; the forced run fails after two batches
+    process.env.KB_EMBEDDING_PROVIDER = 'flaky-hash';
+    failAfter = 4;
+    await assert.rejects(index({ force: true }), /503/);
+    closeDb();
+
+    failAfter = Infinity;
+    await index();
+
+    const db = openDb();
+    assert.equal(getIndexMeta().embedding_provider, 'flaky-hash');
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM chunks').get().n, 6);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM chunks_vec').get().n, 6);
+    assert.equal(embedded.length, 6, 'files finished by the forced run are not embedded again');
+    assert.equal(getIndexCheckpoint(), null);
+  });
+});
+
+test('--max-tokens stops before the budget is spent and usage is recorded per run', async () => {
+  await withPipeline({ KB_EMBEDDING_PROVIDER: 'hash', KB_EMBEDDING_DIMS: '64' }, async ({ upstream, index }) => {
+    const config = join(upstream, 'kb.config.json');
+    writeFileSync(config, JSON.stringify({ embedding: { batchSize: 2, concurrency: 1 } }));
+    process.env.KB_CONFIG = config;
+    for (let i = 0; i < 6; i++) {
+      writeFile(upstream, `docs/page-${i}.md`, `# Page ${i}\n\nTopic number ${i} of the gateway guide.\n`);
+    }
+
+    await assert.rejects(index({ maxTokens: '70' }), err => err.exitCode === 4 && /--max-tokens 70/.test(err.message));
+
+    openDb();
+    let usage = getIndexUsage();
+    assert.equal(usage.lastRun.status, 'budget');
+    assert.ok(usage.tokens > 0 && usage.tokens <= 70, `used ${usage.tokens} tokens`);
+    assert.ok(getIndexCheckpoint());
+    closeDb();
+
+    await index({ resume: true });
+
+    openDb();
+    usage = getIndexUsage();
+    assert.equal(usage.runs, 2);
+    assert.equal(usage.lastRun.status, 'completed');
+    assert.equal(usage.cost, 0);
+    assert.equal(openDb().prepare('SELECT COUNT(*) as n FROM chunks').get().n, 6);
+  });
+});
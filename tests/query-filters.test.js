@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQueryFilters, mergeFilters, describeFilters, SearchFiltersSchema } from '../lib/query-filters.js';
+
+test('parseQueryFilters splits inline filters from the search text', () => {
+  const { query, filters } = parseQueryFilters(
+    'keychain path:src/gateway lang:swift type:config source:ios,macos release:>=v2026.2.1 -path:extensions storage'
+  );
+
+  assert.equal(query, 'keychain storage');
+  assert.deepEqual(filters, {
+    path: ['src/gateway'],
+    lang: ['swift'],
+    type: ['config'],
+    source: ['ios', 'macos'],
+    release: '>=v2026.2.1',
+    exclude: { path: ['extensions'] },
+  });
+  assert.ok(SearchFiltersSchema.safeParse(filters).success);
+  assert.deepEqual(describeFilters(filters), [
+    'path:src/gateway', 'lang:swift', 'type:config', 'source:ios,macos', 'release:>=v2026.2.1', '-path:extensions',
+  ]);
+});
+
+test('parseQueryFilters leaves unknown keys and URLs in the text', () => {
+  assert.deepEqual(parseQueryFilters('channel:discord see https://docs.openclaw.ai'), {
+    query: 'channel:discord see https://docs.openclaw.ai',
+    filters: null,
+  });
+  assert.throws(() => parseQueryFilters('tts -release:v2026.2.1'), err => err.exitCode === 2);
+  assert.throws(() => parseQueryFilters('tts path:,'), err => err.exitCode === 2 && /path:,/.test(err.message));
+  assert.throws(() => parseQueryFilters('tts -lang:,,'), err => err.exitCode === 2);
+});
+
+test('mergeFilters lets structured filters override inline ones per key', () => {
+  const inline = { source: ['ios'], lang: ['swift'], exclude: { path: ['extensions'] } };
+  const structured = { source: ['macos'], exclude: { type: ['release'] } };
+
+  assert.deepEqual(mergeFilters(inline, structured), {
+    source: ['macos'],
+    lang: ['swift'],
+    exclude: { path: ['extensions'], type: ['release'] },
+  });
+  assert.equal(mergeFilters(null, null), null);
+  assert.equal(mergeFilters(inline, null), inline);
+});
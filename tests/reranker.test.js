@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rerankResults } from '../lib/reranker.js';
+
+test('rerankResults orders candidates by cross-encoder score and keeps the fused rank', async () => {
+  const candidates = [
+    { id: 'guide', text: 'Overview of providers', score: 0.03, explain: { textRank: 1 } },
+    { id: 'impl', text: 'export const TtsProviderSchema = z.object({})', score: 0.02 },
+    { id: 'other', text: 'Telegram bot setup', score: 0.01 },
+  ];
+  const calls = [];
+  const scorer = async (query, texts) => {
+    calls.push({ query, texts });
+    return [0.4, 0.9, 0.1];
+  };
+
+  const reranked = await rerankResults('tts provider schema', candidates, scorer);
+
+  assert.deepEqual(calls, [{ query: 'tts provider schema', texts: candidates.map(c => c.text) }]);
+  assert.deepEqual(reranked.map(r => [r.id, r.score, r.fusedRank, r.fusedScore]), [
+    ['impl', 0.9, 2, 0.02],
+    ['guide', 0.4, 1, 0.03],
+    ['other', 0.1, 3, 0.01],
+  ]);
+  assert.deepEqual(reranked[1].explain, { textRank: 1, fusedRank: 1, fusedScore: 0.03 });
+  assert.equal(reranked[0].explain, undefined);
+  assert.deepEqual(await rerankResults('q', [], scorer), []);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChunkText, chunkFile, chunkBody } from '../lib/chunker.js';
+import { collapseOverlapping, groupByFile, diversify, postProcessResults } from '../lib/search-results.js';
+
+function hit(id, path, startLine, lines, score) {
+  const endLine = startLine + lines.length - 1;
+  return { id, path, startLine, endLine, score, source: 'core', text: buildChunkText(lines, path, startLine, endLine) };
+}
+
+test('collapseOverlapping merges overlapping and adjacent chunks of one file', () => {
+  const results = [
+    hit('b', 'src/a.ts', 3, ['line3', 'line4', 'line5'], 0.9),
+    hit('x', 'src/other.ts', 1, ['other'], 0.8),
+    hit('a', 'src/a.ts', 1, ['line1', 'line2', 'line3', 'line4'], 0.7),
+    hit('c', 'src/a.ts', 6, ['line6'], 0.6),
+    hit('far', 'src/a.ts', 40, ['line40'], 0.5),
+  ];
+
+  const collapsed = collapseOverlapping(results);
+
+  assert.deepEqual(collapsed.map(r => [r.id, r.path, r.startLine, r.endLine]), [
+    ['b', 'src/a.ts', 1, 6],
+    ['x', 'src/other.ts', 1, 1],
+    ['far', 'src/a.ts', 40, 40],
+  ]);
+  assert.equal(collapsed[0].score, 0.9);
+  assert.deepEqual(collapsed[0].chunkIds, ['a', 'b', 'c']);
+  assert.equal(collapsed[0].text, buildChunkText(['line1', 'line2', 'line3', 'line4', 'line5', 'line6'], 'src/a.ts', 1, 6));
+  assert.equal(collapsed[1].chunkIds, undefined);
+});
+
+test('collapseOverlapping joins members by line number, keeping repeated boundary lines', () => {
+  const [adjacent] = collapseOverlapping([
+    hit('a', 'src/a.ts', 1, ['function a() {', '}', ''], 0.9),
+    hit('b', 'src/a.ts', 4, ['', 'function b() {', '}'], 0.8),
+  ]);
+  assert.equal(adjacent.text, buildChunkText(['function a() {', '}', '', '', 'function b() {', '}'], 'src/a.ts', 1, 6));
+
+  const [shared] = collapseOverlapping([
+    hit('a', 'src/a.ts', 1, ['if (x) {', '}', '}'], 0.9),
+    hit('b', 'src/a.ts', 3, ['}', '}'], 0.8),
+  ]);
+  assert.equal(shared.text, buildChunkText(['if (x) {', '}', '}', '}'], 'src/a.ts', 1, 4));
+});
+
+test('collapseOverlapping adds nothing for a chunk inside another', () => {
+  const [merged] = collapseOverlapping([
+    hit('inner', 'src/a.ts', 2, ['l2', 'l3'], 0.9),
+    hit('outer', 'src/a.ts', 1, ['l1', 'l2', 'l3', 'l4', 'l5', 'l6'], 0.8),
+  ]);
+
+  assert.deepEqual([merged.id, merged.startLine, merged.endLine, merged.chunkIds], ['inner', 1, 6, ['outer', 'inner']]);
+  assert.equal(merged.text, buildChunkText(['l1', 'l2', 'l3', 'l4', 'l5', 'l6'], 'src/a.ts', 1, 6));
+});
+
+test('collapseOverlapping leaves chunks holding pieces of a long minified line apart', () => {
+  const minified = Array.from({ length: 1500 }, (_, i) => `var a${i}=1;`).join('');
+  const chunks = chunkFile(['// bundle', minified, 'export default a0;'].join('\n'), 'dist/app.min.js', 'core');
+  assert.ok(chunks.filter(c => c.startLine === 2 && c.endLine === 2).length > 1, 'the long line spans several chunks');
+
+  const collapsed = collapseOverlapping(chunks.map((c, i) => ({ ...c, score: 1 - i / 10 })));
+
+  assert.equal(collapsed.length, chunks.length);
+  assert.equal(collapsed.filter(r => r.startLine <= 2 && r.endLine >= 2).map(r => chunkBody(r.text)).join(''), minified);
+});
+
+test('groupByFile keeps the best hit per file and counts the rest', () => {
+  const grouped = groupByFile([
+    hit('a1', 'src/a.ts', 1, ['a'], 0.9),
+    hit('b1', 'src/b.ts', 1, ['b'], 0.8),
+    hit('a2', 'src/a.ts', 50, ['a'], 0.7),
+  ]);
+
+  assert.deepEqual(grouped.map(r => [r.id, r.fileHits]), [['a1', 2], ['b1', 1]]);
+});
+
+test('diversify trades relevance for novelty according to lambda', () => {
+  const results = [
+    hit('gw1', 'src/gateway/a.ts', 1, ['gateway auth token refresh'], 1.0),
+    hit('gw2', 'src/gateway/b.ts', 1, ['gateway auth token refresh'], 0.9),
+    hit('tg', 'src/telegram/bot.ts', 1, ['telegram webhook handler'], 0.5),
+  ];
+
+  assert.deepEqual(diversify(results, 3, 1).map(r => r.id), ['gw1', 'gw2', 'tg']);
+  assert.deepEqual(diversify(results, 3, 0.5).map(r => r.id), ['gw1', 'tg', 'gw2']);
+  assert.deepEqual(diversify(results, 1, 0.5).map(r => r.id), ['gw1']);
+  assert.deepEqual(diversify([], 3, 0.5), []);
+});
+
+test('postProcessResults applies the enabled steps and the limit', () => {
+  const results = [
+    hit('a1', 'src/a.ts', 1, ['x1', 'x2'], 0.9),
+    hit('a2', 'src/a.ts', 2, ['x2', 'x3'], 0.8),
+    hit('b1', 'src/b.ts', 1, ['y'], 0.7),
+    hit('a3', 'src/a.ts', 90, ['z'], 0.6),
+  ];
+
+  assert.deepEqual(postProcessResults(results, { limit: 10, collapse: false }).map(r => r.id), ['a1', 'a2', 'b1', 'a3']);
+  assert.deepEqual(postProcessResults(results, { limit: 10 }).map(r => r.id), ['a1', 'b1', 'a3']);
+  assert.deepEqual(postProcessResults(results, { limit: 2, groupBy: 'file' }).map(r => [r.id, r.fileHits]), [['a1', 2], ['b1', 1]]);
+});
+
+test('collapseOverlapping leaves chunks without a line header alone', () => {
+  const results = [
+    { id: 'v1#1', path: 'releases/v1', startLine: 1, endLine: 1, score: 0.9, text: '## v1\n- Added A' },
+    { id: 'v1#2', path: 'releases/v1', startLine: 1, endLine: 1, score: 0.8, text: '## v1 (cont.)\n- Fixed B' },
+  ];
+
+  assert.deepEqual(collapseOverlapping(results), results);
+});
+
+test('collapseOverlapping lists the symbols of merged declaration chunks', () => {
+  const results = [
+    { ...hit('schema', 'src/tts.ts', 1, ['const A = 1;'], 0.9), symbolName: 'TtsProviderSchema', symbolKind: 'const' },
+    { ...hit('type', 'src/tts.ts', 2, ['type B = 2;'], 0.8), symbolName: 'TtsProvider', symbolKind: 'type' },
+    { ...hit('m1', 'src/gw.ts', 1, ['a'], 0.7), symbolName: 'Gateway', symbolKind: 'class' },
+    { ...hit('m2', 'src/gw.ts', 2, ['b'], 0.6), symbolName: 'Gateway', symbolKind: 'class' },
+  ];
+
+  const collapsed = collapseOverlapping(results);
+
+  assert.deepEqual(collapsed.map(r => [r.symbolName, r.symbolKind]), [
+    ['TtsProviderSchema, TtsProvider', null],
+    ['Gateway', 'class'],
+  ]);
+});
+
+test('collapseOverlapping keeps the heading path the merged sections share', () => {
+  const section = (id, startLine, lines, path) => ({
+    id, path: 'docs/config.md', startLine, endLine: startLine + lines.length - 1, score: 1 / startLine, section: path,
+    text: buildChunkText(lines, 'docs/config.md', startLine, startLine + lines.length - 1, path),
+  });
+
+  const [merged] = collapseOverlapping([
+    section('docker', 1, ['### Docker', 'run it'], 'Config > Sandbox > Docker'),
+    section('podman', 3, ['### Podman', 'or this'], 'Config > Sandbox > Podman'),
+  ]);
+
+  assert.equal(merged.section, 'Config > Sandbox');
+  assert.equal(merged.text, buildChunkText(['### Docker', 'run it', '### Podman', 'or this'], 'docs/config.md', 1, 4, 'Config > Sandbox'));
+});
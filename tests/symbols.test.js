@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { openDb, closeDb, replaceFileChunks, deleteChunksByPath } from '../lib/db.js';
+import { chunkFile } from '../lib/chunker.js';
+import { extractSymbols, lookupSymbols, loadSymbolDefinition, formatSymbolDefinitions } from '../lib/symbols.js';
+
+const TS_PATH = 'src/config/zod-schema.ts';
+const TS_CONTENT = [
+  '/** Supported TTS providers. */',
+  'export const TtsProviderSchema = z.enum([',
+  '  "openai",',
+  '  "elevenlabs",',
+  ']);',
+  '',
+  'export type TtsProvider = z.infer<typeof TtsProviderSchema>;',
+  '',
+  'const internalDefault = "openai";',
+  '',
+  'export function resolveTtsProvider(value) {',
+  '  return TtsProviderSchema.parse(value ?? internalDefault);',
+  '}',
+].join('\n');
+
+const SWIFT_PATH = 'apps/ios/Sources/SettingsView.swift';
+const SWIFT_CONTENT = [
+  '@MainActor',
+  'struct SettingsView: View {',
+  '    var body: some View { Text("Settings") }',
+  '}',
+  '',
+  'extension SettingsView {',
+  '    static let title = "Settings"',
+  '}',
+  '',
+  'private func helper() {}',
+].join('\n');
+
+function withSymbols(fn) {
+  const original = process.env.KB_DATA_DIR;
+  const dir = mkdtempSync(join(tmpdir(), 'kb-symbols-'));
+
+  try {
+    process.env.KB_DATA_DIR = dir;
+    openDb();
+    const files = [[TS_PATH, TS_CONTENT, 'src'], [SWIFT_PATH, SWIFT_CONTENT, 'ios']].map(([path, content, source]) => ({
+      file: { path, source, hash: path, indexedRelease: 'v2026.3.1', symbols: extractSymbols(content, path) },
+      chunks: chunkFile(content, path, source),
+    }));
+    const chunks = files.flatMap(f => f.chunks);
+    replaceFileChunks(files.map(f => f.file), chunks, chunks.map(() => Array(1536).fill(0)), 'v2026.3.1');
+    fn();
+  } finally {
+    closeDb();
+    if (original === undefined) delete process.env.KB_DATA_DIR;
+    else process.env.KB_DATA_DIR = original;
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('extractSymbols keeps exported TS declarations and non-private Swift ones', () => {
+  assert.deepEqual(extractSymbols(TS_CONTENT, TS_PATH).map(s => [s.name, s.kind, s.startLine, s.endLine]), [
+    ['TtsProviderSchema', 'const', 1, 5],
+    ['TtsProvider', 'type', 7, 7],
+    ['resolveTtsProvider', 'function', 11, 13],
+  ]);
+  assert.deepEqual(extractSymbols(SWIFT_CONTENT, SWIFT_PATH).map(s => [s.name, s.kind, s.startLine, s.endLine, s.language]), [
+    ['SettingsView', 'struct', 1, 4, 'swift'],
+  ]);
+  assert.deepEqual(extractSymbols('# Title', 'docs/a.md'), []);
+});
+
+test('lookupSymbols falls back from exact to prefix to fuzzy matches', () => {
+  withSymbols(() => {
+    const exact = lookupSymbols('ttsproviderschema');
+    assert.equal(exact.match, 'exact');
+    assert.deepEqual(exact.symbols.map(s => [s.name, s.path, s.indexedRelease]), [['TtsProviderSchema', TS_PATH, 'v2026.3.1']]);
+
+    const prefix = lookupSymbols('TtsProv');
+    assert.equal(prefix.match, 'prefix');
+    assert.deepEqual(prefix.symbols.map(s => s.name), ['TtsProvider', 'TtsProviderSchema']);
+
+    assert.deepEqual(lookupSymbols('TtsProvidrSchema').symbols.map(s => s.name), ['TtsProviderSchema']);
+    assert.deepEqual(lookupSymbols('Provider', { kind: 'function' }).symbols.map(s => s.name), ['resolveTtsProvider']);
+    assert.deepEqual(lookupSymbols('TtsProv', { match: 'exact' }), { match: null, symbols: [] });
+    assert.deepEqual(lookupSymbols('internalDefault').symbols, []);
+  });
+});
+
+test('loadSymbolDefinition returns the definition lines and the chunk that holds them', () => {
+  withSymbols(() => {
+    const found = { match: 'exact', symbols: lookupSymbols('SettingsView').symbols.map(loadSymbolDefinition) };
+    const [symbol] = found.symbols;
+
+    assert.ok(symbol.chunkId);
+    assert.equal(symbol.truncated, false);
+    assert.deepEqual(symbol.definition.lines.map(l => l.text), SWIFT_CONTENT.split('\n').slice(0, 4));
+    assert.match(formatSymbolDefinitions(found), /^SettingsView \(struct\), exact match, chunk \S+\napps\/ios\/Sources\/SettingsView\.swift:1-4 of 10/);
+
+    deleteChunksByPath(SWIFT_PATH);
+    assert.deepEqual(lookupSymbols('SettingsView').symbols, []);
+  });
+});